@@ -1,164 +1,19 @@
 pragma solidity 0.5.16;
 
-import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
-import "@openzeppelin/contracts-ethereum-package/contracts/utils/Address.sol";
-import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
-import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
-import "@openzeppelin/contracts-ethereum-package/contracts/utils/ReentrancyGuard.sol";
-import "./IERC20Mintable.sol";
-import "./Sacrifice.sol";
-import "./lib/Sigmoid.sol";
+import "./EasyStakingBase.sol";
 
 /**
  * @title EasyStaking
  *
+ * Some of the methods are implemented by EasyStakingExtension to keep the contract within the contract size limit (EIP-170):
+ * they delegate the calls to the extension contract. The methods of the staking pools are implemented by EasyStakingPools
+ * the same way.
+ *
  * Note: all percentage values are between 0 (0%) and 1 (100%)
  * and represented as fixed point numbers containing 18 decimals like with Ether
  * 100% == 1 ether
  */
-contract EasyStaking is Ownable, ReentrancyGuard {
-    using Address for address;
-    using SafeMath for uint256;
-    using SafeERC20 for IERC20;
-    using Sigmoid for Sigmoid.State;
-
-    /**
-     * @dev Emitted when a user deposits tokens.
-     * @param sender User address.
-     * @param id User's unique deposit ID.
-     * @param amount The amount of deposited tokens.
-     * @param balance Current user balance.
-     * @param accruedEmission User's accrued emission.
-     * @param prevDepositDuration Duration of the previous deposit in seconds.
-     */
-    event Deposited(
-        address indexed sender,
-        uint256 indexed id,
-        uint256 amount,
-        uint256 balance,
-        uint256 accruedEmission,
-        uint256 prevDepositDuration
-    );
-
-    /**
-     * @dev Emitted when a user requests withdrawal.
-     * @param sender User address.
-     * @param id User's unique deposit ID.
-     */
-    event WithdrawalRequested(address indexed sender, uint256 indexed id);
-
-    /**
-     * @dev Emitted when a user withdraws tokens.
-     * @param sender User address.
-     * @param id User's unique deposit ID.
-     * @param amount The amount of withdrawn tokens.
-     * @param fee The withdrawal fee.
-     * @param balance Current user balance.
-     * @param accruedEmission User's accrued emission.
-     * @param lastDepositDuration Duration of the last deposit in seconds.
-     */
-    event Withdrawn(
-        address indexed sender,
-        uint256 indexed id,
-        uint256 amount,
-        uint256 fee,
-        uint256 balance,
-        uint256 accruedEmission,
-        uint256 lastDepositDuration
-    );
-
-    /**
-     * @dev Emitted when a new fee value is set.
-     * @param value A new fee value.
-     * @param sender The owner address at the moment of fee changing.
-     */
-    event FeeSet(uint256 value, address sender);
-
-    /**
-     * @dev Emitted when a new withdrawal lock duration value is set.
-     * @param value A new withdrawal lock duration value.
-     * @param sender The owner address at the moment of value changing.
-     */
-    event WithdrawalLockDurationSet(uint256 value, address sender);
-
-    /**
-     * @dev Emitted when a new withdrawal unlock duration value is set.
-     * @param value A new withdrawal unlock duration value.
-     * @param sender The owner address at the moment of value changing.
-     */
-    event WithdrawalUnlockDurationSet(uint256 value, address sender);
-
-    /**
-     * @dev Emitted when a new total supply factor value is set.
-     * @param value A new total supply factor value.
-     * @param sender The owner address at the moment of value changing.
-     */
-    event TotalSupplyFactorSet(uint256 value, address sender);
-
-    /**
-     * @dev Emitted when new sigmoid parameters values are set.
-     * @param a A new parameter A value.
-     * @param b A new parameter B value.
-     * @param c A new parameter C value.
-     * @param sender The owner address at the moment of value changing.
-     */
-    event SigmoidParametersSet(uint256 a, int256 b, uint256 c, address sender);
-
-    /**
-     * @dev Emitted when a new Liquidity Providers Reward address value is set.
-     * @param value A new address value.
-     * @param sender The owner address at the moment of address changing.
-     */
-    event LiquidityProvidersRewardAddressSet(address value, address sender);
-
-    uint256 private constant YEAR = 365 days;
-    // The maximum emission rate (in percentage)
-    uint256 public constant MAX_EMISSION_RATE = 150 finney; // 15%, 0.15 ether
-    // The period after which the new value of the parameter is set
-    uint256 public constant PARAM_UPDATE_DELAY = 7 days;
-
-    // STAKE token
-    IERC20Mintable public token;
-
-    struct UintParam {
-        uint256 oldValue;
-        uint256 newValue;
-        uint256 timestamp;
-    }
-
-    struct AddressParam {
-        address oldValue;
-        address newValue;
-        uint256 timestamp;
-    }
-
-    // The address for the Liquidity Providers reward
-    AddressParam public liquidityProvidersRewardAddressParam;
-    // The fee of the forced withdrawal (in percentage)
-    UintParam public feeParam;
-    // The time from the request after which the withdrawal will be available (in seconds)
-    UintParam public withdrawalLockDurationParam;
-    // The time during which the withdrawal will be available from the moment of unlocking (in seconds)
-    UintParam public withdrawalUnlockDurationParam;
-    // Total supply factor for calculating emission rate (in percentage)
-    UintParam public totalSupplyFactorParam;
-
-    // The deposit balances of users
-    mapping (address => mapping (uint256 => uint256)) public balances;
-    // The dates of users' deposits
-    mapping (address => mapping (uint256 => uint256)) public depositDates;
-    // The dates of users' withdrawal requests
-    mapping (address => mapping (uint256 => uint256)) public withdrawalRequestsDates;
-    // The last deposit id
-    mapping (address => uint256) public lastDepositIds;
-    // The total staked amount
-    uint256 public totalStaked;
-
-    // Variable that prevents _deposit method from being called 2 times
-    bool private locked;
-    // The library that is used to calculate user's current emission rate
-    Sigmoid.State private sigmoid;
-
+contract EasyStaking is EasyStakingBase {
     /**
      * @dev Initializes the contract.
      * @param _owner The owner of the contract.
@@ -171,6 +26,7 @@ contract EasyStaking is Ownable, ReentrancyGuard {
      * @param _sigmoidParamA Sigmoid parameter A.
      * @param _sigmoidParamB Sigmoid parameter B.
      * @param _sigmoidParamC Sigmoid parameter C.
+     * @param _extension The address of the EasyStakingExtension contract.
      */
     function initialize(
         address _owner,
@@ -182,19 +38,25 @@ contract EasyStaking is Ownable, ReentrancyGuard {
         uint256 _totalSupplyFactor,
         uint256 _sigmoidParamA,
         int256 _sigmoidParamB,
-        uint256 _sigmoidParamC
+        uint256 _sigmoidParamC,
+        address _extension
     ) external initializer {
         require(_owner != address(0), "zero address");
-        require(_tokenAddress.isContract(), "not a contract address");
+        require(_tokenAddress.isContract() && _extension.isContract(), "not a contract address");
         Ownable.initialize(msg.sender);
         ReentrancyGuard.initialize();
         token = IERC20Mintable(_tokenAddress);
+        extension = _extension;
         setFee(_fee);
         setWithdrawalLockDuration(_withdrawalLockDuration);
         setWithdrawalUnlockDuration(_withdrawalUnlockDuration);
         setTotalSupplyFactor(_totalSupplyFactor);
         setSigmoidParameters(_sigmoidParamA, _sigmoidParamB, _sigmoidParamC);
         setLiquidityProvidersRewardAddress(_liquidityProvidersRewardAddress);
+        // initial values are applied without the delay
+        for (uint256 i = 0; i < paramChanges.length; i++) {
+            _applyParamChange(i);
+        }
         Ownable.transferOwnership(_owner);
     }
 
@@ -221,11 +83,23 @@ contract EasyStaking is Ownable, ReentrancyGuard {
      * @param _amount The amount to deposit.
      */
     function deposit(uint256 _depositId, uint256 _amount) public {
-        require(_depositId > 0 && _depositId <= lastDepositIds[msg.sender], "wrong deposit id");
+        _checkDepositId(msg.sender, _depositId);
         _deposit(msg.sender, _depositId, _amount);
-        _setLocked(true);
-        require(token.transferFrom(msg.sender, address(this), _amount), "transfer failed");
-        _setLocked(false);
+        _receiveTokens(msg.sender, _amount);
+    }
+
+    /**
+     * @dev Deposits tokens with an EIP-2612 permit. See "EasyStakingExtension.depositWithPermit".
+     */
+    function depositWithPermit(uint256, uint256, uint8, bytes32, bytes32) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Makes a fixed-term deposit. See "EasyStakingExtension.depositWithLockup".
+     */
+    function depositWithLockup(uint256, uint256) external {
+        _delegate();
     }
 
     /**
@@ -263,9 +137,7 @@ contract EasyStaking is Ownable, ReentrancyGuard {
      * @param _depositId User's unique deposit ID.
      */
     function requestWithdrawal(uint256 _depositId) external {
-        require(_depositId > 0 && _depositId <= lastDepositIds[msg.sender], "wrong deposit id");
-        withdrawalRequestsDates[msg.sender][_depositId] = _now();
-        emit WithdrawalRequested(msg.sender, _depositId);
+        _requestWithdrawal(msg.sender, _depositId);
     }
 
     /**
@@ -279,298 +151,428 @@ contract EasyStaking is Ownable, ReentrancyGuard {
      * @param _amount The amount to withdraw (0 - to withdraw all).
      */
     function makeRequestedWithdrawal(uint256 _depositId, uint256 _amount) external {
-        uint256 requestDate = withdrawalRequestsDates[msg.sender][_depositId];
-        require(requestDate > 0, "withdrawal wasn't requested");
-        uint256 timestamp = _now();
-        uint256 lockEnd = requestDate.add(withdrawalLockDuration());
-        require(timestamp >= lockEnd, "too early");
-        require(timestamp < lockEnd.add(withdrawalUnlockDuration()), "too late");
-        withdrawalRequestsDates[msg.sender][_depositId] = 0;
-        _withdraw(msg.sender, _depositId, _amount, false);
-    }
-
-    /**
-     * @dev This method is used to claim unsupported tokens accidentally sent to the contract.
-     * It can only be called by the owner.
-     * @param _token The address of the token contract (zero address for claiming native coins).
-     * @param _to The address of the tokens/coins receiver.
-     * @param _amount Amount to claim.
-     */
-    function claimTokens(address _token, address payable _to, uint256 _amount) external onlyOwner {
-        require(_to != address(0) && _to != address(this), "not a valid recipient");
-        require(_amount > 0, "amount should be greater than 0");
-        if (_token == address(0)) {
-            if (!_to.send(_amount)) { // solium-disable-line security/no-send
-                (new Sacrifice).value(_amount)(_to);
-            }
-        } else if (_token == address(token)) {
-            uint256 availableAmount = token.balanceOf(address(this)).sub(totalStaked);
-            require(availableAmount >= _amount, "insufficient funds");
-            require(token.transfer(_to, _amount), "transfer failed");
-        } else {
-            IERC20 customToken = IERC20(_token);
-            customToken.safeTransfer(_to, _amount);
-        }
+        _makeRequestedWithdrawal(msg.sender, _depositId, _amount);
     }
 
     /**
-     * @dev Sets the fee for forced withdrawals. Can only be called by owner.
-     * @param _value The new fee value (in percentage).
+     * @dev This method is used to cancel the withdrawal request.
+     * It resets the date of the request.
+     * @param _depositId User's unique deposit ID.
      */
-    function setFee(uint256 _value) public onlyOwner {
-        require(_value <= 1 ether, "should be less than or equal to 1 ether");
-        _updateUintParam(feeParam, _value);
-        emit FeeSet(_value, msg.sender);
+    function cancelWithdrawalRequest(uint256 _depositId) external {
+        _cancelWithdrawalRequest(msg.sender, _depositId);
     }
 
     /**
-     * @dev Sets the time from the request after which the withdrawal will be available.
-     * Can only be called by owner.
-     * @param _value The new duration value (in seconds).
+     * @dev Requests a withdrawal signed by the holder. See "EasyStakingExtension.requestWithdrawalBySig".
      */
-    function setWithdrawalLockDuration(uint256 _value) public onlyOwner {
-        require(_value <= 30 days, "shouldn't be greater than 30 days");
-        _updateUintParam(withdrawalLockDurationParam, _value);
-        emit WithdrawalLockDurationSet(_value, msg.sender);
+    function requestWithdrawalBySig(address, uint256, uint256, uint8, bytes32, bytes32) external {
+        _delegate();
     }
 
     /**
-     * @dev Sets the time during which the withdrawal will be available from the moment of unlocking.
-     * Can only be called by owner.
-     * @param _value The new duration value (in seconds).
+     * @dev Makes a requested withdrawal signed by the holder. See "EasyStakingExtension.makeRequestedWithdrawalBySig".
      */
-    function setWithdrawalUnlockDuration(uint256 _value) public onlyOwner {
-        require(_value >= 1 hours, "shouldn't be less than 1 hour");
-        _updateUintParam(withdrawalUnlockDurationParam, _value);
-        emit WithdrawalUnlockDurationSet(_value, msg.sender);
+    function makeRequestedWithdrawalBySig(
+        address,
+        uint256,
+        uint256,
+        uint256,
+        uint8,
+        bytes32,
+        bytes32
+    ) external {
+        _delegate();
     }
 
     /**
-     * @dev Sets total supply factor for calculating emission rate.
-     * Can only be called by owner.
-     * @param _value The new factor value (in percentage).
+     * @dev Requests withdrawals of several deposits. See "EasyStakingExtension.requestWithdrawals".
      */
-    function setTotalSupplyFactor(uint256 _value) public onlyOwner {
-        require(_value <= 1 ether, "should be less than or equal to 1 ether");
-        _updateUintParam(totalSupplyFactorParam, _value);
-        emit TotalSupplyFactorSet(_value, msg.sender);
+    function requestWithdrawals(uint256[] calldata) external {
+        _delegate();
     }
 
     /**
-     * @dev Sets parameters of the sigmoid that is used to calculate the user's current emission rate.
-     * Can only be called by owner.
-     * @param _a Sigmoid parameter A. Unsigned integer.
-     * @param _b Sigmoid parameter B. Signed integer.
-     * @param _c Sigmoid parameter C. Unsigned integer. Cannot be zero.
+     * @dev Makes requested withdrawals of several deposits. See "EasyStakingExtension.makeRequestedWithdrawals".
      */
-    function setSigmoidParameters(uint256 _a, int256 _b, uint256 _c) public onlyOwner {
-        require(_a <= MAX_EMISSION_RATE.div(2), "should be less than or equal to a half of the maximum emission rate");
-        sigmoid.setParameters(_a, _b, _c);
-        emit SigmoidParametersSet(_a, _b, _c, msg.sender);
+    function makeRequestedWithdrawals(uint256[] calldata, uint256[] calldata) external {
+        _delegate();
     }
 
     /**
-     * @dev Sets the address for the Liquidity Providers reward.
-     * Can only be called by owner.
-     * @param _address The new address.
+     * @dev Makes forced withdrawals of several deposits. See "EasyStakingExtension.makeForcedWithdrawals".
      */
-    function setLiquidityProvidersRewardAddress(address _address) public onlyOwner {
-        require(_address != address(0), "zero address");
-        require(_address != address(this), "wrong address");
-        AddressParam memory param = liquidityProvidersRewardAddressParam;
-        if (param.timestamp == 0) {
-            param.oldValue = _address;
-        } else if (_paramUpdateDelayElapsed(param.timestamp)) {
-            param.oldValue = param.newValue;
-        }
-        param.newValue = _address;
-        param.timestamp = _now();
-        liquidityProvidersRewardAddressParam = param;
-        emit LiquidityProvidersRewardAddressSet(_address, msg.sender);
+    function makeForcedWithdrawals(uint256[] calldata, uint256[] calldata) external {
+        _delegate();
     }
 
     /**
-     * @return Returns current fee.
+     * @dev Grants an operator a permission for the sender's deposits. See "EasyStakingExtension.grantOperator".
      */
-    function fee() public view returns (uint256) {
-        return _getUintParamValue(feeParam);
+    function grantOperator(address, uint256, OperatorPermission) external {
+        _delegate();
     }
 
     /**
-     * @return Returns current withdrawal lock duration.
+     * @dev Revokes the permission of an operator. See "EasyStakingExtension.revokeOperator".
      */
-    function withdrawalLockDuration() public view returns (uint256) {
-        return _getUintParamValue(withdrawalLockDurationParam);
+    function revokeOperator(address, uint256) external {
+        _delegate();
     }
 
     /**
-     * @return Returns current withdrawal unlock duration.
+     * @dev Requests a withdrawal on behalf of the holder. See "EasyStakingExtension.requestWithdrawalFor".
      */
-    function withdrawalUnlockDuration() public view returns (uint256) {
-        return _getUintParamValue(withdrawalUnlockDurationParam);
+    function requestWithdrawalFor(address, uint256) external {
+        _delegate();
     }
 
     /**
-     * @return Returns current total supply factor.
+     * @dev Cancels a withdrawal request on behalf of the holder. See "EasyStakingExtension.cancelWithdrawalRequestFor".
      */
-    function totalSupplyFactor() public view returns (uint256) {
-        return _getUintParamValue(totalSupplyFactorParam);
+    function cancelWithdrawalRequestFor(address, uint256) external {
+        _delegate();
     }
 
     /**
-     * @return Returns current liquidity providers reward address.
+     * @dev Makes a requested withdrawal on behalf of the holder. See "EasyStakingExtension.makeRequestedWithdrawalFor".
      */
-    function liquidityProvidersRewardAddress() public view returns (address) {
-        AddressParam memory param = liquidityProvidersRewardAddressParam;
-        return _paramUpdateDelayElapsed(param.timestamp) ? param.newValue : param.oldValue;
+    function makeRequestedWithdrawalFor(address, uint256, uint256) external {
+        _delegate();
     }
 
     /**
-     * @return Emission rate based on the ratio of total staked to total supply.
+     * @dev Makes a forced withdrawal on behalf of the holder. See "EasyStakingExtension.makeForcedWithdrawalFor".
      */
-    function getSupplyBasedEmissionRate() public view returns (uint256) {
-        uint256 totalSupply = token.totalSupply();
-        uint256 factor = totalSupplyFactor();
-        if (factor == 0) return 0;
-        uint256 target = totalSupply.mul(factor).div(1 ether);
-        uint256 maxSupplyBasedEmissionRate = MAX_EMISSION_RATE.div(2); // 7.5%
-        if (totalStaked >= target) {
-            return maxSupplyBasedEmissionRate;
-        }
-        return maxSupplyBasedEmissionRate.mul(totalStaked).div(target);
+    function makeForcedWithdrawalFor(address, uint256, uint256) external {
+        _delegate();
     }
 
     /**
-     * @param _depositDate Deposit date.
-     * @param _amount Amount based on which emission is calculated and accrued.
-     * @return Total accrued emission (for the user and Liquidity Providers), user share, and seconds passed since the previous deposit started.
+     * @dev Claims accrued emission of the deposit. See "EasyStakingExtension.claimEmission".
      */
-    function getAccruedEmission(
-        uint256 _depositDate,
-        uint256 _amount
-    ) public view returns (uint256 total, uint256 userShare, uint256 timePassed) {
-        if (_amount == 0 || _depositDate == 0) return (0, 0, 0);
-        timePassed = _now().sub(_depositDate);
-        if (timePassed == 0) return (0, 0, 0);
-        uint256 userEmissionRate = sigmoid.calculate(int256(timePassed));
-        userEmissionRate = userEmissionRate.add(getSupplyBasedEmissionRate());
-        if (userEmissionRate == 0) return (0, 0, timePassed);
-        assert(userEmissionRate <= MAX_EMISSION_RATE);
-        total = _amount.mul(MAX_EMISSION_RATE).mul(timePassed).div(YEAR * 1 ether);
-        userShare = _amount.mul(userEmissionRate).mul(timePassed).div(YEAR * 1 ether);
+    function claimEmission(uint256) external {
+        _delegate();
     }
 
     /**
-     * @return Sigmoid parameters.
+     * @dev Enables or disables auto-compounding of the deposit. See "EasyStakingExtension.setCompounding".
      */
-    function getSigmoidParameters() public view returns (uint256 a, int256 b, uint256 c) {
-        return sigmoid.getParameters();
+    function setCompounding(uint256, bool) external {
+        _delegate();
     }
 
     /**
-     * @dev Calls internal "_mint" method, increases the user balance, and updates the deposit date.
-     * @param _sender The address of the sender.
-     * @param _id User's unique deposit ID.
-     * @param _amount The amount to deposit.
+     * @dev Adds accrued emission to the deposit. See "EasyStakingExtension.compound".
      */
-    function _deposit(address _sender, uint256 _id, uint256 _amount) internal nonReentrant {
-        require(_amount > 0, "deposit amount should be more than 0");
-        (uint256 sigmoidParamA,,) = getSigmoidParameters();
-        if (sigmoidParamA == 0 && totalSupplyFactor() == 0) revert("emission stopped");
-        (uint256 userShare, uint256 timePassed) = _mint(_sender, _id, 0);
-        uint256 newBalance = balances[_sender][_id].add(_amount);
-        balances[_sender][_id] = newBalance;
-        totalStaked = totalStaked.add(_amount);
-        depositDates[_sender][_id] = _now();
-        emit Deposited(_sender, _id, _amount, newBalance, userShare, timePassed);
+    function compound(address, uint256) external {
+        _delegate();
     }
 
     /**
-     * @dev Calls internal "_mint" method and then transfers tokens to the sender.
-     * @param _sender The address of the sender.
-     * @param _id User's unique deposit ID.
-     * @param _amount The amount to withdraw (0 - to withdraw all).
-     * @param _forced Defines whether to apply fee (true), or not (false).
-     */
-    function _withdraw(address _sender, uint256 _id, uint256 _amount, bool _forced) internal nonReentrant {
-        require(_id > 0 && _id <= lastDepositIds[_sender], "wrong deposit id");
-        require(balances[_sender][_id] > 0 && balances[_sender][_id] >= _amount, "insufficient funds");
-        (uint256 accruedEmission, uint256 timePassed) = _mint(_sender, _id, _amount);
-        uint256 amount = _amount == 0 ? balances[_sender][_id] : _amount.add(accruedEmission);
-        balances[_sender][_id] = balances[_sender][_id].sub(amount);
-        totalStaked = totalStaked.sub(amount);
-        if (balances[_sender][_id] == 0) {
-            depositDates[_sender][_id] = 0;
-        }
-        uint256 feeValue = 0;
-        if (_forced) {
-            feeValue = amount.mul(fee()).div(1 ether);
-            amount = amount.sub(feeValue);
-            require(token.transfer(liquidityProvidersRewardAddress(), feeValue), "transfer failed");
-        }
-        require(token.transfer(_sender, amount), "transfer failed");
-        emit Withdrawn(_sender, _id, amount, feeValue, balances[_sender][_id], accruedEmission, timePassed);
+     * @dev Merges one deposit into another. See "EasyStakingExtension.mergeDeposits".
+     */
+    function mergeDeposits(uint256, uint256) external {
+        _delegate();
     }
 
     /**
-     * @dev Mints MAX_EMISSION_RATE per annum and distributes the emission between the user and Liquidity Providers in proportion.
-     * @param _user User's address.
-     * @param _id User's unique deposit ID.
-     * @param _amount Amount based on which emission is calculated and accrued. When 0, current deposit balance is used.
+     * @dev Moves a part of the deposit to a new deposit. See "EasyStakingExtension.splitDeposit".
      */
-    function _mint(address _user, uint256 _id, uint256 _amount) internal returns (uint256, uint256) {
-        uint256 currentBalance = balances[_user][_id];
-        uint256 amount = _amount == 0 ? currentBalance : _amount;
-        (uint256 total, uint256 userShare, uint256 timePassed) = getAccruedEmission(depositDates[_user][_id], amount);
-        if (total > 0) {
-            require(token.mint(address(this), total), "minting failed");
-            balances[_user][_id] = currentBalance.add(userShare);
-            totalStaked = totalStaked.add(userShare);
-            require(token.transfer(liquidityProvidersRewardAddress(), total.sub(userShare)), "transfer failed");
-        }
-        return (userShare, timePassed);
+    function splitDeposit(uint256, uint256) external returns (uint256) {
+        _delegate();
+    }
+
+    /**
+     * @dev Transfers a deposit to another address. See "EasyStakingExtension.transferDeposit".
+     */
+    function transferDeposit(uint256, address) external returns (uint256) {
+        _delegate();
+    }
+
+    /**
+     * @dev Transfers a deposit to a contract and notifies it. See "EasyStakingExtension.transferDepositAndCall".
+     */
+    function transferDepositAndCall(uint256, address, bytes calldata) external returns (bool) {
+        _delegate();
+    }
+
+    /**
+     * @dev This method is used to send the accumulated Liquidity Providers reward
+     * (the emission remainder and the fees of forced withdrawals) to the Liquidity Providers reward address.
+     * Can be called by anyone.
+     */
+    function claimLiquidityProvidersReward() external nonReentrant {
+        uint256 amount = liquidityProvidersReward;
+        require(amount > 0, "nothing to claim");
+        liquidityProvidersReward = 0;
+        address recipient = liquidityProvidersRewardAddress();
+        _transferTokens(recipient, amount);
+        emit LiquidityProvidersRewardClaimed(recipient, amount, msg.sender);
+    }
+
+    /**
+     * @dev Tops up the reward reserve. See "EasyStakingExtension.fundRewardReserve".
+     */
+    function fundRewardReserve(uint256) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Claims unsupported tokens accidentally sent to the contract. See "EasyStakingExtension.claimTokens".
+     */
+    function claimTokens(address, address payable, uint256) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Sets the boost of a lockup tier. See "EasyStakingExtension.setLockupBoost".
+     */
+    function setLockupBoost(uint256, uint256) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Sets the EasyStakingPools contract. See "EasyStakingExtension.setPoolsExtension".
+     */
+    function setPoolsExtension(address) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Adds a staking pool of another token. See "EasyStakingPools.addPool".
+     */
+    function addPool(address, uint256, uint256, uint256, uint256, uint256, int256, uint256) external returns (uint256) {
+        _delegate(poolsExtension);
+    }
+
+    /**
+     * @dev Sets the parameters of a pool. See "EasyStakingPools.setPoolParameters".
+     */
+    function setPoolParameters(uint256, uint256, uint256, uint256, uint256, uint256, int256, uint256) external {
+        _delegate(poolsExtension);
+    }
+
+    /**
+     * @dev Deposits tokens to a pool. See "EasyStakingPools.depositToPool".
+     */
+    function depositToPool(uint256, uint256, uint256) external returns (uint256) {
+        _delegate(poolsExtension);
+    }
+
+    /**
+     * @dev Requests a withdrawal from a pool. See "EasyStakingPools.requestPoolWithdrawal".
+     */
+    function requestPoolWithdrawal(uint256, uint256) external {
+        _delegate(poolsExtension);
     }
 
     /**
-     * @dev Sets the next value of the parameter and the timestamp of this setting.
+     * @dev Cancels a withdrawal request in a pool. See "EasyStakingPools.cancelPoolWithdrawalRequest".
      */
-    function _updateUintParam(UintParam storage _param, uint256 _newValue) internal {
-        if (_param.timestamp == 0) {
-            _param.oldValue = _newValue;
-        } else if (_paramUpdateDelayElapsed(_param.timestamp)) {
-            _param.oldValue = _param.newValue;
+    function cancelPoolWithdrawalRequest(uint256, uint256) external {
+        _delegate(poolsExtension);
+    }
+
+    /**
+     * @dev Makes a requested withdrawal from a pool. See "EasyStakingPools.makeRequestedPoolWithdrawal".
+     */
+    function makeRequestedPoolWithdrawal(uint256, uint256, uint256) external {
+        _delegate(poolsExtension);
+    }
+
+    /**
+     * @dev Makes a forced withdrawal from a pool. See "EasyStakingPools.makeForcedPoolWithdrawal".
+     */
+    function makeForcedPoolWithdrawal(uint256, uint256, uint256) external {
+        _delegate(poolsExtension);
+    }
+
+    /**
+     * @dev Sets the address that can pause and unpause the contract. Can only be called by owner.
+     * Takes effect immediately since the guardian needs to be able to react quickly.
+     * @param _address The new pause guardian address (zero address to remove the role).
+     */
+    function setPauseGuardian(address _address) external onlyOwner {
+        pauseGuardian = _address;
+        emit PauseGuardianSet(_address, msg.sender);
+    }
+
+    /**
+     * @dev Sets the EasyStakingExtension contract that the delegated methods are called at. Can only be called by owner.
+     * It is needed to set the extension of a proxy upgraded from an implementation without the extension,
+     * since "initialize" is not called again after an upgrade.
+     * @param _address The new extension address.
+     */
+    function setExtension(address _address) external onlyOwner {
+        require(_address.isContract(), "not a contract address");
+        extension = _address;
+        emit ExtensionSet(_address, msg.sender);
+    }
+
+    /**
+     * @dev Pauses or unpauses the contract. Can only be called by the pause guardian.
+     * While paused, deposits, emission claims, compounding, merging and splitting are not available
+     * and emission is not accrued (the paused time is excluded from the accrual of emission after unpausing too).
+     * Users can still withdraw their deposits with the emission accrued before the pause:
+     * forced withdrawals are made without the fee
+     * and requested withdrawals are available at any time, without the withdrawal window.
+     * @param _paused Whether to pause the contract.
+     */
+    function setPaused(bool _paused) external {
+        require(msg.sender == pauseGuardian, "only pause guardian is allowed");
+        if (_paused && !paused) {
+            pauses.push(Pause(_now(), 0));
+        } else if (!_paused && paused) {
+            pauses[pauses.length - 1].end = _now();
         }
-        _param.newValue = _newValue;
-        _param.timestamp = _now();
+        paused = _paused;
+        emit PausedSet(_paused, msg.sender);
     }
 
     /**
-     * @return Returns the current value of the parameter.
+     * @dev Cancels a queued parameter change. Can only be called by owner.
+     * @param _id The ID of the parameter change.
      */
-    function _getUintParamValue(UintParam memory _param) internal view returns (uint256) {
-        return _paramUpdateDelayElapsed(_param.timestamp) ? _param.newValue : _param.oldValue;
+    function cancelParamChange(uint256 _id) external onlyOwner {
+        _checkParamChangeQueued(_id);
+        paramChanges[_id].status = ParamChangeStatus.Cancelled;
+        _updateFirstPendingParamChangeId();
+        emit ParamChangeCancelled(_id, msg.sender);
     }
 
     /**
-     * @return Returns true if param update delay elapsed.
+     * @dev Applies a queued parameter change. Can be called by anyone once the activation time has come
+     * and until "PARAM_CHANGE_GRACE_PERIOD" is over after it (an expired change can only be cancelled).
+     * A change cannot be applied after a later change of the same parameter (it can only be cancelled then).
+     * @param _id The ID of the parameter change.
      */
-    function _paramUpdateDelayElapsed(uint256 _paramTimestamp) internal view returns (bool) {
-        return _now() > _paramTimestamp.add(PARAM_UPDATE_DELAY);
+    function applyParamChange(uint256 _id) external {
+        _checkParamChangeQueued(_id);
+        require(_isParamChangePending(_id), "expired");
+        require(_now() >= paramChanges[_id].activationTime, "too early");
+        _applyParamChange(_id);
     }
 
     /**
-     * @dev Sets lock to prevent reentrance.
+     * @dev Queues a change of the fee for forced withdrawals. Can only be called by owner.
+     * @param _value The new fee value (in percentage).
      */
-    function _setLocked(bool _locked) internal {
-        locked = _locked;
+    function setFee(uint256 _value) public onlyOwner {
+        require(_value <= 1 ether, "should be less than or equal to 1 ether");
+        _queueParamChange(Param.Fee, _value, 0, 0);
+        emit FeeSet(_value, msg.sender);
     }
 
     /**
-     * @return Returns current timestamp.
+     * @dev Queues a change of the time from the request after which the withdrawal will be available.
+     * Can only be called by owner.
+     * @param _value The new duration value (in seconds).
      */
-    function _now() internal view returns (uint256) {
-        // Note that the timestamp can have a 900-second error:
-        // https://github.com/ethereum/wiki/blob/c02254611f218f43cbb07517ca8e5d00fd6d6d75/Block-Protocol-2.0.md
-        return now; // solium-disable-line security/no-block-members
+    function setWithdrawalLockDuration(uint256 _value) public onlyOwner {
+        require(_value <= 30 days, "shouldn't be greater than 30 days");
+        _queueParamChange(Param.WithdrawalLockDuration, _value, 0, 0);
+        emit WithdrawalLockDurationSet(_value, msg.sender);
+    }
+
+    /**
+     * @dev Queues a change of the time during which the withdrawal will be available from the moment of unlocking.
+     * Can only be called by owner.
+     * @param _value The new duration value (in seconds).
+     */
+    function setWithdrawalUnlockDuration(uint256 _value) public onlyOwner {
+        require(_value >= 1 hours, "shouldn't be less than 1 hour");
+        _queueParamChange(Param.WithdrawalUnlockDuration, _value, 0, 0);
+        emit WithdrawalUnlockDurationSet(_value, msg.sender);
+    }
+
+    /**
+     * @dev Queues a change of total supply factor for calculating emission rate.
+     * Can only be called by owner.
+     * @param _value The new factor value (in percentage).
+     */
+    function setTotalSupplyFactor(uint256 _value) public onlyOwner {
+        require(_value <= 1 ether, "should be less than or equal to 1 ether");
+        _queueParamChange(Param.TotalSupplyFactor, _value, 0, 0);
+        emit TotalSupplyFactorSet(_value, msg.sender);
+    }
+
+    /**
+     * @dev Queues a change of parameters of the sigmoid that is used to calculate the user's current emission rate.
+     * Can only be called by owner.
+     * @param _a Sigmoid parameter A. Unsigned integer.
+     * @param _b Sigmoid parameter B. Signed integer.
+     * @param _c Sigmoid parameter C. Unsigned integer. Cannot be zero.
+     */
+    function setSigmoidParameters(uint256 _a, int256 _b, uint256 _c) public onlyOwner {
+        _checkRate(_a);
+        require(_c != 0, "should be greater than 0"); // prevent division by zero
+        _queueParamChange(Param.SigmoidParameters, _a, _b, _c);
+        emit SigmoidParametersSet(_a, _b, _c, msg.sender);
+    }
+
+    /**
+     * @dev Queues a change of the address for the Liquidity Providers reward.
+     * Can only be called by owner.
+     * @param _address The new address.
+     */
+    function setLiquidityProvidersRewardAddress(address _address) public onlyOwner {
+        _checkRecipient(_address);
+        _queueParamChange(Param.LiquidityProvidersRewardAddress, uint256(_address), 0, 0);
+        emit LiquidityProvidersRewardAddressSet(_address, msg.sender);
+    }
+
+    /**
+     * @dev Queues a change of the contract that calculates the time-based emission rate instead of the sigmoid.
+     * Can only be called by owner.
+     * @param _address The new emission curve address (zero address to switch back to the sigmoid).
+     */
+    function setEmissionCurve(address _address) public onlyOwner {
+        require(_address == address(0) || _address.isContract(), "not a contract address");
+        _queueParamChange(Param.EmissionCurve, uint256(_address), 0, 0);
+        emit EmissionCurveSet(_address, msg.sender);
+    }
+
+    /**
+     * @dev Queues a change of the maximum total amount of emission the contract can mint.
+     * Can only be called by owner.
+     * @param _value The new cap value (0 - no cap).
+     */
+    function setEmissionCap(uint256 _value) public onlyOwner {
+        _queueParamChange(Param.EmissionCap, _value, 0, 0);
+        emit EmissionCapSet(_value, msg.sender);
+    }
+
+    /**
+     * @dev Queues a change of the source of emission. See "EasyStakingExtension.setRewardsFromReserve".
+     */
+    function setRewardsFromReserve(bool) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Calls the same method of EasyStakingExtension with "delegatecall", so it is executed in the context
+     * of this contract, and returns its result (or reverts with its error).
+     * Reverts if the extension is not set, since a call to an address without code would succeed doing nothing.
+     */
+    function _delegate() internal {
+        _delegate(extension);
+    }
+
+    /**
+     * @dev Calls the same method of the given contract with "delegatecall" (see "_delegate()").
+     * @param _target EasyStakingExtension or EasyStakingPools contract.
+     */
+    function _delegate(address _target) internal {
+        require(_target != address(0), "extension is not set");
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            calldatacopy(0, 0, calldatasize)
+            let result := delegatecall(gas, _target, 0, calldatasize, 0, 0)
+            returndatacopy(0, 0, returndatasize)
+            switch result
+            case 0 { revert(0, returndatasize) }
+            default { return(0, returndatasize) }
+        }
     }
 }
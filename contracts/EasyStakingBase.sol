@@ -0,0 +1,1314 @@
+pragma solidity 0.5.16;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/Address.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/Math.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/ReentrancyGuard.sol";
+import "./IEmissionCurve.sol";
+import "./IERC20Mintable.sol";
+import "./lib/Sigmoid.sol";
+
+/**
+ * @title EasyStakingBase
+ * @dev The storage, events, views and internal methods shared by EasyStaking and EasyStakingExtension.
+ * Both contracts inherit it, so they have the same storage layout.
+ *
+ * Note: all percentage values are between 0 (0%) and 1 (100%)
+ * and represented as fixed point numbers containing 18 decimals like with Ether
+ * 100% == 1 ether
+ */
+contract EasyStakingBase is Ownable, ReentrancyGuard {
+    using Address for address;
+    using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+    using Sigmoid for Sigmoid.State;
+
+    /**
+     * @dev Emitted when a user deposits tokens.
+     * @param sender User address.
+     * @param id User's unique deposit ID.
+     * @param amount The amount of deposited tokens.
+     * @param balance Current user balance.
+     * @param accruedEmission User's accrued emission.
+     * @param prevDepositDuration Duration of the previous deposit in seconds.
+     */
+    event Deposited(
+        address indexed sender,
+        uint256 indexed id,
+        uint256 amount,
+        uint256 balance,
+        uint256 accruedEmission,
+        uint256 prevDepositDuration
+    );
+
+    /**
+     * @dev Emitted when a user requests withdrawal.
+     * @param sender User address.
+     * @param id User's unique deposit ID.
+     */
+    event WithdrawalRequested(address indexed sender, uint256 indexed id);
+
+    /**
+     * @dev Emitted when a user cancels the withdrawal request.
+     * @param sender User address.
+     * @param id User's unique deposit ID.
+     */
+    event WithdrawalRequestCancelled(address indexed sender, uint256 indexed id);
+
+    /**
+     * @dev Emitted when a user withdraws tokens.
+     * @param sender User address.
+     * @param id User's unique deposit ID.
+     * @param amount The amount of withdrawn tokens.
+     * @param fee The withdrawal fee.
+     * @param balance Current user balance.
+     * @param accruedEmission User's accrued emission.
+     * @param lastDepositDuration Duration of the last deposit in seconds.
+     * @param forced Whether the withdrawal is forced (the withdrawal request is kept) or requested (the request is reset).
+     */
+    event Withdrawn(
+        address indexed sender,
+        uint256 indexed id,
+        uint256 amount,
+        uint256 fee,
+        uint256 balance,
+        uint256 accruedEmission,
+        uint256 lastDepositDuration,
+        bool forced
+    );
+
+    /**
+     * @dev Emitted when emission is accrued by a deposit (right before the event of the action that accrued it).
+     * @param holder User address.
+     * @param id User's unique deposit ID.
+     * @param userShare The user share of emission added to the deposit.
+     * @param liquidityProvidersShare The Liquidity Providers share of emission added to their reward.
+     */
+    event EmissionAccrued(address indexed holder, uint256 indexed id, uint256 userShare, uint256 liquidityProvidersShare);
+
+    /**
+     * @dev Emitted when a user claims accrued emission without withdrawing the deposit.
+     * @param sender User address.
+     * @param id User's unique deposit ID.
+     * @param accruedEmission User's accrued emission.
+     * @param depositDuration Duration of the deposit in seconds.
+     */
+    event EmissionClaimed(address indexed sender, uint256 indexed id, uint256 accruedEmission, uint256 depositDuration);
+
+    /**
+     * @dev Emitted when a user enables or disables auto-compounding of a deposit.
+     * @param sender User address.
+     * @param id User's unique deposit ID.
+     * @param enabled Whether auto-compounding is enabled.
+     */
+    event CompoundingSet(address indexed sender, uint256 indexed id, bool enabled);
+
+    /**
+     * @dev Emitted when accrued emission is added to a deposit.
+     * @param holder User address.
+     * @param id User's unique deposit ID.
+     * @param amount The amount of compounded emission.
+     * @param balance Current user balance.
+     * @param caller The address that called the method.
+     */
+    event Compounded(address indexed holder, uint256 indexed id, uint256 amount, uint256 balance, address caller);
+
+    /**
+     * @dev Emitted when a user merges two deposits.
+     * @param sender User address.
+     * @param id User's unique ID of the deposit that receives the balance.
+     * @param mergedId User's unique ID of the deposit that is merged and closed.
+     * @param balance Current balance of the resulting deposit.
+     * @param depositDate The balance-weighted average deposit date of the resulting deposit.
+     */
+    event DepositsMerged(address indexed sender, uint256 indexed id, uint256 mergedId, uint256 balance, uint256 depositDate);
+
+    /**
+     * @dev Emitted when a user splits a part of a deposit into a new deposit.
+     * @param sender User address.
+     * @param id User's unique ID of the deposit that is split.
+     * @param newId User's unique ID of the new deposit.
+     * @param amount The amount moved to the new deposit.
+     * @param balance Current balance of the deposit that is split.
+     */
+    event DepositSplit(address indexed sender, uint256 indexed id, uint256 newId, uint256 amount, uint256 balance);
+
+    /**
+     * @dev Emitted when a user transfers a deposit to another address.
+     * @param sender User address.
+     * @param id User's unique deposit ID.
+     * @param recipient The address of the new deposit holder.
+     * @param recipientId The deposit ID generated for the recipient.
+     */
+    event DepositTransferred(address indexed sender, uint256 indexed id, address indexed recipient, uint256 recipientId);
+
+    /**
+     * @dev Emitted when the accumulated Liquidity Providers reward is claimed.
+     * @param recipient The Liquidity Providers reward address the reward is sent to.
+     * @param amount The claimed amount.
+     * @param sender The address that claimed the reward.
+     */
+    event LiquidityProvidersRewardClaimed(address indexed recipient, uint256 amount, address sender);
+
+    /**
+     * @dev Emitted when the reward reserve is topped up.
+     * @param amount The amount added to the reserve.
+     * @param sender The address that added tokens to the reserve.
+     */
+    event RewardReserveFunded(uint256 amount, address sender);
+
+    /**
+     * @dev Emitted when a user makes a fixed-term deposit.
+     * @param sender User address.
+     * @param id User's unique deposit ID.
+     * @param lockupEnd The date before which the deposit cannot be withdrawn.
+     * @param boost The boost of the personal emission rate until the lockup end (in percentage).
+     */
+    event DepositLocked(address indexed sender, uint256 indexed id, uint256 lockupEnd, uint256 boost);
+
+    /**
+     * @dev Emitted when a new fee value is set.
+     * @param value A new fee value.
+     * @param sender The owner address at the moment of fee changing.
+     */
+    event FeeSet(uint256 value, address sender);
+
+    /**
+     * @dev Emitted when a new withdrawal lock duration value is set.
+     * @param value A new withdrawal lock duration value.
+     * @param sender The owner address at the moment of value changing.
+     */
+    event WithdrawalLockDurationSet(uint256 value, address sender);
+
+    /**
+     * @dev Emitted when a new withdrawal unlock duration value is set.
+     * @param value A new withdrawal unlock duration value.
+     * @param sender The owner address at the moment of value changing.
+     */
+    event WithdrawalUnlockDurationSet(uint256 value, address sender);
+
+    /**
+     * @dev Emitted when a new total supply factor value is set.
+     * @param value A new total supply factor value.
+     * @param sender The owner address at the moment of value changing.
+     */
+    event TotalSupplyFactorSet(uint256 value, address sender);
+
+    /**
+     * @dev Emitted when new sigmoid parameters values are set.
+     * @param a A new parameter A value.
+     * @param b A new parameter B value.
+     * @param c A new parameter C value.
+     * @param sender The owner address at the moment of value changing.
+     */
+    event SigmoidParametersSet(uint256 a, int256 b, uint256 c, address sender);
+
+    /**
+     * @dev Emitted when a new Liquidity Providers Reward address value is set.
+     * @param value A new address value.
+     * @param sender The owner address at the moment of address changing.
+     */
+    event LiquidityProvidersRewardAddressSet(address value, address sender);
+
+    /**
+     * @dev Emitted when the boost of a lockup tier is set.
+     * @param duration The lockup duration of the tier (in seconds).
+     * @param boost A new boost value (in percentage). Zero disables the tier.
+     * @param sender The owner address at the moment of value changing.
+     */
+    event LockupBoostSet(uint256 duration, uint256 boost, address sender);
+
+    /**
+     * @dev Emitted when a new emission curve is set.
+     * @param value A new emission curve address (zero address for the default sigmoid).
+     * @param sender The owner address at the moment of address changing.
+     */
+    event EmissionCurveSet(address value, address sender);
+
+    /**
+     * @dev Emitted when a new emission cap value is set.
+     * @param value A new emission cap value.
+     * @param sender The owner address at the moment of value changing.
+     */
+    event EmissionCapSet(uint256 value, address sender);
+
+    /**
+     * @dev Emitted when the source of emission is changed.
+     * @param value Whether emission is paid from the reward reserve instead of being minted.
+     * @param sender The owner address at the moment of value changing.
+     */
+    event RewardsFromReserveSet(bool value, address sender);
+
+    /**
+     * @dev Emitted when a new pause guardian is set.
+     * @param value A new pause guardian address.
+     * @param sender The owner address at the moment of address changing.
+     */
+    event PauseGuardianSet(address value, address sender);
+
+    /**
+     * @dev Emitted when a new extension contract is set.
+     * @param value A new extension address.
+     * @param sender The owner address at the moment of address changing.
+     */
+    event ExtensionSet(address value, address sender);
+
+    /**
+     * @dev Emitted when the EasyStakingPools contract is set.
+     * @param value The address of the contract.
+     * @param sender The owner.
+     */
+    event PoolsExtensionSet(address value, address sender);
+
+    /**
+     * @dev Emitted when the contract is paused or unpaused.
+     * @param value Whether the contract is paused.
+     * @param sender The pause guardian address at the moment of pausing or unpausing.
+     */
+    event PausedSet(bool value, address sender);
+
+    /**
+     * @dev Emitted when a parameter change is queued.
+     * @param id The ID of the parameter change.
+     * @param param The parameter to change.
+     * @param activationTime The time after which the change can be applied.
+     * @param sender The owner address at the moment of queueing.
+     */
+    event ParamChangeQueued(uint256 indexed id, Param indexed param, uint256 activationTime, address sender);
+
+    /**
+     * @dev Emitted when a queued parameter change is cancelled.
+     * @param id The ID of the parameter change.
+     * @param sender The owner address at the moment of cancelling.
+     */
+    event ParamChangeCancelled(uint256 indexed id, address sender);
+
+    /**
+     * @dev Emitted when a queued parameter change is applied.
+     * @param id The ID of the parameter change.
+     * @param sender The address that applied the change.
+     */
+    event ParamChangeApplied(uint256 indexed id, address sender);
+
+    /**
+     * @dev Emitted when a deposit holder grants a permission to an operator.
+     * @param holder The address of the deposit holder.
+     * @param operator The address of the operator.
+     * @param id User's unique deposit ID (0 - all deposits of the holder).
+     * @param permission The granted permission.
+     */
+    event OperatorGranted(address indexed holder, address indexed operator, uint256 id, OperatorPermission permission);
+
+    /**
+     * @dev Emitted when a deposit holder revokes the permission of an operator.
+     * @param holder The address of the deposit holder.
+     * @param operator The address of the operator.
+     * @param id User's unique deposit ID (0 - all deposits of the holder).
+     */
+    event OperatorRevoked(address indexed holder, address indexed operator, uint256 id);
+
+    /**
+     * @dev Emitted when the owner adds a staking pool.
+     * @param poolId The ID of the pool.
+     * @param token The address of the token staked in the pool.
+     * @param sender The owner.
+     */
+    event PoolAdded(uint256 indexed poolId, address token, address sender);
+
+    /**
+     * @dev Emitted when the parameters of a pool are set.
+     * @param poolId The ID of the pool.
+     * @param fee The fee of the forced withdrawal.
+     * @param withdrawalLockDuration The withdrawal lock duration.
+     * @param withdrawalUnlockDuration The withdrawal unlock duration.
+     * @param totalSupplyFactor The total supply factor.
+     * @param a Sigmoid parameter A.
+     * @param b Sigmoid parameter B.
+     * @param c Sigmoid parameter C.
+     * @param sender The owner.
+     */
+    event PoolParametersSet(
+        uint256 indexed poolId,
+        uint256 fee,
+        uint256 withdrawalLockDuration,
+        uint256 withdrawalUnlockDuration,
+        uint256 totalSupplyFactor,
+        uint256 a,
+        int256 b,
+        uint256 c,
+        address sender
+    );
+
+    /**
+     * @dev Emitted when a user deposits tokens to a pool.
+     * @param poolId The ID of the pool.
+     * @param sender User address.
+     * @param id User's unique deposit ID in the pool.
+     * @param amount The amount of deposited tokens.
+     * @param balance Current user balance.
+     * @param accruedEmission User's accrued emission (in STAKE tokens).
+     * @param prevDepositDuration Duration of the previous deposit in seconds.
+     */
+    event PoolDeposited(
+        uint256 indexed poolId,
+        address indexed sender,
+        uint256 indexed id,
+        uint256 amount,
+        uint256 balance,
+        uint256 accruedEmission,
+        uint256 prevDepositDuration
+    );
+
+    /**
+     * @dev Emitted when a user requests withdrawal from a pool.
+     * @param poolId The ID of the pool.
+     * @param sender User address.
+     * @param id User's unique deposit ID in the pool.
+     */
+    event PoolWithdrawalRequested(uint256 indexed poolId, address indexed sender, uint256 indexed id);
+
+    /**
+     * @dev Emitted when a user cancels the withdrawal request in a pool.
+     * @param poolId The ID of the pool.
+     * @param sender User address.
+     * @param id User's unique deposit ID in the pool.
+     */
+    event PoolWithdrawalRequestCancelled(uint256 indexed poolId, address indexed sender, uint256 indexed id);
+
+    /**
+     * @dev Emitted when a user withdraws tokens from a pool.
+     * @param poolId The ID of the pool.
+     * @param sender User address.
+     * @param id User's unique deposit ID in the pool.
+     * @param amount The amount of withdrawn tokens.
+     * @param fee The withdrawal fee.
+     * @param balance Current user balance.
+     * @param accruedEmission User's accrued emission (in STAKE tokens).
+     * @param lastDepositDuration Duration of the last deposit in seconds.
+     * @param forced Whether the withdrawal is forced (the withdrawal request is kept) or requested (the request is reset).
+     */
+    event PoolWithdrawn(
+        uint256 indexed poolId,
+        address indexed sender,
+        uint256 indexed id,
+        uint256 amount,
+        uint256 fee,
+        uint256 balance,
+        uint256 accruedEmission,
+        uint256 lastDepositDuration,
+        bool forced
+    );
+
+    /**
+     * @dev Emitted when emission is accrued by a deposit in a pool (right before the event of the action that accrued it).
+     * @param poolId The ID of the pool.
+     * @param holder User address.
+     * @param id User's unique deposit ID in the pool.
+     * @param userShare The user share of emission sent to the user.
+     * @param liquidityProvidersShare The Liquidity Providers share of emission added to their reward.
+     */
+    event PoolEmissionAccrued(
+        uint256 indexed poolId,
+        address indexed holder,
+        uint256 indexed id,
+        uint256 userShare,
+        uint256 liquidityProvidersShare
+    );
+
+    uint256 private constant YEAR = 365 days;
+    // The maximum emission rate (in percentage)
+    uint256 public constant MAX_EMISSION_RATE = 150 finney; // 15%, 0.15 ether
+    // The period after which the new value of the parameter is set
+    uint256 public constant PARAM_UPDATE_DELAY = 7 days;
+    // The period after the activation time during which a queued parameter change can be applied
+    uint256 public constant PARAM_CHANGE_GRACE_PERIOD = 7 days;
+    // EIP-712 type hashes of the signed messages
+    bytes32 public constant REQUEST_WITHDRAWAL_TYPEHASH = keccak256(
+        "RequestWithdrawal(address holder,uint256 depositId,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant MAKE_REQUESTED_WITHDRAWAL_TYPEHASH = keccak256(
+        "MakeRequestedWithdrawal(address holder,uint256 depositId,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+
+    // STAKE token
+    IERC20Mintable public token;
+
+    struct UintParam {
+        uint256 oldValue;
+        uint256 newValue;
+        uint256 timestamp;
+    }
+
+    struct AddressParam {
+        address oldValue;
+        address newValue;
+        uint256 timestamp;
+    }
+
+    enum Param {
+        Fee,
+        WithdrawalLockDuration,
+        WithdrawalUnlockDuration,
+        TotalSupplyFactor,
+        SigmoidParameters,
+        LiquidityProvidersRewardAddress,
+        EmissionCurve,
+        EmissionCap,
+        RewardsFromReserve
+    }
+
+    enum ParamChangeStatus { None, Queued, Cancelled, Applied }
+
+    struct ParamChange {
+        Param param;
+        // The new value (sigmoid parameter A for the sigmoid parameters, the address for the reward address)
+        uint256 value;
+        int256 sigmoidParamB;
+        uint256 sigmoidParamC;
+        uint256 activationTime;
+        ParamChangeStatus status;
+    }
+
+    // The permissions of operators, each one includes the previous ones
+    enum OperatorPermission { None, Compound, Request, Withdraw, ForcedWithdraw }
+
+    struct Pause {
+        uint256 start;
+        // 0 while the contract is paused
+        uint256 end;
+    }
+
+    struct Pool {
+        // The token staked in the pool
+        IERC20 token;
+        UintParam fee;
+        UintParam withdrawalLockDuration;
+        UintParam withdrawalUnlockDuration;
+        UintParam totalSupplyFactor;
+        Sigmoid.State sigmoid;
+        uint256 totalStaked;
+        uint256 supplyBasedEmissionRateCumulative;
+        uint256 supplyBasedEmissionRateUpdatedAt;
+        mapping (address => uint256) lastDepositIds;
+    }
+
+    struct PoolDeposit {
+        uint256 balance;
+        uint256 depositDate;
+        uint256 withdrawalRequestDate;
+        // The value of the cumulative supply-based emission rate of the pool at the deposit date
+        uint256 supplyBasedEmissionRateSnapshot;
+    }
+
+    // The address for the Liquidity Providers reward
+    AddressParam public liquidityProvidersRewardAddressParam;
+    // The fee of the forced withdrawal (in percentage)
+    UintParam public feeParam;
+    // The time from the request after which the withdrawal will be available (in seconds)
+    UintParam public withdrawalLockDurationParam;
+    // The time during which the withdrawal will be available from the moment of unlocking (in seconds)
+    UintParam public withdrawalUnlockDurationParam;
+    // Total supply factor for calculating emission rate (in percentage)
+    UintParam public totalSupplyFactorParam;
+
+    // The deposit balances of users
+    mapping (address => mapping (uint256 => uint256)) public balances;
+    // The dates of users' deposits
+    mapping (address => mapping (uint256 => uint256)) public depositDates;
+    // The dates of users' withdrawal requests
+    mapping (address => mapping (uint256 => uint256)) public withdrawalRequestsDates;
+    // The last deposit id
+    mapping (address => uint256) public lastDepositIds;
+    // The total staked amount
+    uint256 public totalStaked;
+
+    // Variable that prevents _deposit method from being called 2 times
+    bool internal locked;
+    // The library that is used to calculate user's current emission rate
+    Sigmoid.State private sigmoid;
+    // The dates of users' last emission claims
+    mapping (address => mapping (uint256 => uint256)) public emissionClaimDates;
+    // Whether auto-compounding is enabled for users' deposits
+    mapping (address => mapping (uint256 => bool)) public compoundingEnabled;
+    // The nonces of users' signed messages
+    mapping (address => uint256) public nonces;
+    // The queue of parameter changes (the index is the ID of the change)
+    ParamChange[] public paramChanges;
+    // The address that can pause and unpause the contract
+    address public pauseGuardian;
+    // Whether deposits and emission are stopped
+    bool public paused;
+    // The boosts of the personal emission rate for lockup durations (in percentage)
+    mapping (uint256 => uint256) public lockupBoosts;
+    // The dates before which users' fixed-term deposits cannot be withdrawn
+    mapping (address => mapping (uint256 => uint256)) public lockupEnds;
+    // The boosts of users' fixed-term deposits (in percentage)
+    mapping (address => mapping (uint256 => uint256)) public depositBoosts;
+    // The contract that calculates the time-based emission rate (zero address for the default sigmoid)
+    IEmissionCurve public emissionCurve;
+    // The Liquidity Providers reward accumulated in the contract and not claimed yet
+    uint256 public liquidityProvidersReward;
+    // The maximum total amount of emission the contract can mint (0 - no cap)
+    uint256 public emissionCap;
+    // The total amount of emission minted by the contract
+    uint256 public totalMinted;
+    // The sum of the supply-based emission rate multiplied by the time during which it was effective
+    uint256 public supplyBasedEmissionRateCumulative;
+    // The time of the last update of the cumulative supply-based emission rate
+    uint256 public supplyBasedEmissionRateUpdatedAt;
+    // The time from which the cumulative supply-based emission rate is accumulated
+    uint256 public supplyBasedEmissionRateAccumulatedSince;
+    // The values of the cumulative supply-based emission rate at the dates from which users' deposits accrue emission
+    mapping (address => mapping (uint256 => uint256)) public supplyBasedEmissionRateSnapshots;
+    // Whether emission is paid from the reward reserve instead of being minted
+    bool public rewardsFromReserve;
+    // The contract implementing the methods that EasyStaking delegates to it (see EasyStakingExtension)
+    address public extension;
+    // The periods during which the contract was paused, in chronological order
+    Pause[] internal pauses;
+    // The IDs of the last applied changes of the parameters increased by 1 (0 - no change is applied)
+    mapping (uint256 => uint256) public lastAppliedParamChangeIds;
+    // The permissions granted by deposit holders to operators for their deposits (deposit ID 0 - for all deposits)
+    mapping (address => mapping (address => mapping (uint256 => OperatorPermission))) public operatorPermissions;
+    // The ID of the first parameter change that can be pending (all the previous ones are not)
+    uint256 public firstPendingParamChangeId;
+    // The staking pools of other tokens by their IDs starting from 1 (pool 0 is the STAKE pool stored above)
+    mapping (uint256 => Pool) internal pools;
+    // The ID of the last added pool
+    uint256 public lastPoolId;
+    // The IDs of the pools by their tokens
+    mapping (address => uint256) internal poolIds;
+    // The deposits of users in the pools
+    mapping (uint256 => mapping (address => mapping (uint256 => PoolDeposit))) internal poolDeposits;
+    // The contract implementing the methods of the pools that EasyStaking delegates to it (see EasyStakingPools)
+    address public poolsExtension;
+
+    /**
+     * @return The IDs and activation times of the pending parameter changes: queued (neither applied nor cancelled)
+     * and not expired. The details of each change can be read with the "paramChanges" getter.
+     */
+    function getPendingParamChanges() public view returns (uint256[] memory ids, uint256[] memory activationTimes) {
+        uint256 count;
+        for (uint256 i = firstPendingParamChangeId; i < paramChanges.length; i++) {
+            if (_isParamChangePending(i)) count++;
+        }
+        ids = new uint256[](count);
+        activationTimes = new uint256[](count);
+        count = 0;
+        for (uint256 i = firstPendingParamChangeId; i < paramChanges.length; i++) {
+            if (_isParamChangePending(i)) {
+                ids[count] = i;
+                activationTimes[count] = paramChanges[i].activationTime;
+                count++;
+            }
+        }
+    }
+
+    /**
+     * @return Returns current fee.
+     */
+    function fee() public view returns (uint256) {
+        return _getUintParamValue(feeParam);
+    }
+
+    /**
+     * @return Returns current withdrawal lock duration.
+     */
+    function withdrawalLockDuration() public view returns (uint256) {
+        return _getUintParamValue(withdrawalLockDurationParam);
+    }
+
+    /**
+     * @return Returns current withdrawal unlock duration.
+     */
+    function withdrawalUnlockDuration() public view returns (uint256) {
+        return _getUintParamValue(withdrawalUnlockDurationParam);
+    }
+
+    /**
+     * @return Returns current total supply factor.
+     */
+    function totalSupplyFactor() public view returns (uint256) {
+        return _getUintParamValue(totalSupplyFactorParam);
+    }
+
+    /**
+     * @return Returns current liquidity providers reward address.
+     */
+    function liquidityProvidersRewardAddress() public view returns (address) {
+        AddressParam memory param = liquidityProvidersRewardAddressParam;
+        return _paramUpdateDelayElapsed(param.timestamp) ? param.newValue : param.oldValue;
+    }
+
+    /**
+     * @param _depositDuration Seconds passed since the deposit date.
+     * @return The personal (time-based) emission rate calculated by the emission curve (the sigmoid by default).
+     * The rate of the emission curve is limited to a half of the maximum emission rate.
+     */
+    function getTimeBasedEmissionRate(uint256 _depositDuration) public view returns (uint256) {
+        if (address(emissionCurve) == address(0)) {
+            return sigmoid.calculate(int256(_depositDuration));
+        }
+        return Math.min(emissionCurve.calculate(_depositDuration), MAX_EMISSION_RATE.div(2));
+    }
+
+    /**
+     * @return Emission rate based on the ratio of total staked to total supply.
+     */
+    function getSupplyBasedEmissionRate() public view returns (uint256) {
+        return _getSupplyBasedEmissionRate(token.totalSupply(), totalStaked, totalSupplyFactor());
+    }
+
+    /**
+     * @return The amount of emission the contract can mint before reaching the emission cap
+     * (the maximum uint256 value if there is no cap). If emission is paid from the reward reserve,
+     * the amount is also limited by the reserve.
+     */
+    function remainingEmissionBudget() public view returns (uint256 budget) {
+        budget = uint256(-1);
+        if (emissionCap > 0) {
+            budget = emissionCap > totalMinted ? emissionCap - totalMinted : 0;
+        }
+        if (rewardsFromReserve) {
+            budget = Math.min(budget, rewardReserve());
+        }
+    }
+
+    /**
+     * @return The amount of tokens held by the contract in addition to the staked tokens
+     * and the accumulated Liquidity Providers reward. Emission is paid from it when "rewardsFromReserve" is enabled.
+     */
+    function rewardReserve() public view returns (uint256) {
+        return token.balanceOf(address(this)).sub(totalStaked).sub(liquidityProvidersReward);
+    }
+
+    /**
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @return The time-weighted average of the supply-based emission rate since the date from which the deposit accrues emission
+     * (the deposit date or the date of the last claim). The current rate if the deposit accrues emission
+     * from the current moment or since a date before the rate started to be accumulated,
+     * and zero if the total supply factor is zero (so the owner can stop the supply-based emission).
+     */
+    function getAverageSupplyBasedEmissionRate(address _holder, uint256 _id) public view returns (uint256) {
+        uint256 accrualDate = Math.max(depositDates[_holder][_id], emissionClaimDates[_holder][_id]);
+        uint256 period = _now().sub(accrualDate);
+        if (
+            period == 0 ||
+            accrualDate < supplyBasedEmissionRateAccumulatedSince ||
+            supplyBasedEmissionRateUpdatedAt == 0 ||
+            totalSupplyFactor() == 0
+        ) {
+            return getSupplyBasedEmissionRate();
+        }
+        uint256 cumulative = supplyBasedEmissionRateCumulative.add(
+            getSupplyBasedEmissionRate().mul(_now().sub(supplyBasedEmissionRateUpdatedAt))
+        );
+        return cumulative.sub(supplyBasedEmissionRateSnapshots[_holder][_id]).div(period);
+    }
+
+    /**
+     * @param _from The start of the period.
+     * @param _to The end of the period (if the contract is paused, the pause is considered to last until then).
+     * @return Seconds during which the contract was paused in the period.
+     */
+    function getPausedDuration(uint256 _from, uint256 _to) public view returns (uint256 duration) {
+        for (uint256 i = pauses.length; i > 0; i--) {
+            uint256 start = Math.max(pauses[i - 1].start, _from);
+            uint256 end = pauses[i - 1].end == 0 ? _to : Math.min(pauses[i - 1].end, _to);
+            if (end <= _from) break;
+            if (end > start) duration = duration.add(end - start);
+        }
+    }
+
+    /**
+     * @dev Approximates the emission a deposit accrues now. The deposit isn't known, so the current supply-based rate
+     * is used instead of its time-weighted average, and the date of the last claim and the lockup boost
+     * are not taken into account. Use "EasyStakingLens.previewWithdrawal" for the exact value.
+     * @param _depositDate Deposit date.
+     * @param _amount Amount based on which emission is calculated and accrued.
+     * @return Total accrued emission (for the user and Liquidity Providers), user share, and seconds passed since the previous deposit started.
+     */
+    function getAccruedEmission(
+        uint256 _depositDate,
+        uint256 _amount
+    ) public view returns (uint256 total, uint256 userShare, uint256 timePassed) {
+        return _getAccruedEmission(_depositDate, _depositDate, _amount, getSupplyBasedEmissionRate());
+    }
+
+    /**
+     * @return EIP-712 domain separator of this contract on the current chain.
+     */
+    function domainSeparator() public view returns (bytes32) {
+        uint256 chainId;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { chainId := chainid() }
+        bytes32 typeHash = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+        return keccak256(abi.encode(typeHash, keccak256("EasyStaking"), keccak256("1"), chainId, address(this)));
+    }
+
+    /**
+     * @return Sigmoid parameters.
+     */
+    function getSigmoidParameters() public view returns (uint256 a, int256 b, uint256 c) {
+        return sigmoid.getParameters();
+    }
+
+    /**
+     * @param _poolId The ID of the pool (0 - the STAKE pool).
+     * @return The address of the token staked in the pool and the total staked amount of the pool.
+     */
+    function getPool(uint256 _poolId) public view returns (address tokenAddress, uint256 staked) {
+        if (_poolId == 0) return (address(token), totalStaked);
+        Pool storage pool = _getPool(_poolId);
+        return (address(pool.token), pool.totalStaked);
+    }
+
+    /**
+     * @param _poolId The ID of the pool (0 - the STAKE pool).
+     * @return The current fee, withdrawal lock duration, withdrawal unlock duration, total supply factor
+     * and sigmoid parameters of the pool.
+     */
+    function getPoolParameters(uint256 _poolId) public view returns (
+        uint256 poolFee,
+        uint256 lockDuration,
+        uint256 unlockDuration,
+        uint256 factor,
+        uint256 a,
+        int256 b,
+        uint256 c
+    ) {
+        if (_poolId == 0) {
+            (a, b, c) = getSigmoidParameters();
+            return (fee(), withdrawalLockDuration(), withdrawalUnlockDuration(), totalSupplyFactor(), a, b, c);
+        }
+        Pool storage pool = _getPool(_poolId);
+        (a, b, c) = pool.sigmoid.getParameters();
+        poolFee = _getUintParamValue(pool.fee);
+        lockDuration = _getUintParamValue(pool.withdrawalLockDuration);
+        unlockDuration = _getUintParamValue(pool.withdrawalUnlockDuration);
+        factor = _getUintParamValue(pool.totalSupplyFactor);
+    }
+
+    /**
+     * @param _poolId The ID of the pool (0 - the STAKE pool).
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID in the pool.
+     * @return The balance, the deposit date and the date of the withdrawal request of the deposit.
+     */
+    function getPoolDeposit(uint256 _poolId, address _holder, uint256 _id) public view returns (
+        uint256 balance,
+        uint256 depositDate,
+        uint256 withdrawalRequestDate
+    ) {
+        if (_poolId == 0) {
+            return (balances[_holder][_id], depositDates[_holder][_id], withdrawalRequestsDates[_holder][_id]);
+        }
+        _getPool(_poolId);
+        PoolDeposit storage poolDeposit = poolDeposits[_poolId][_holder][_id];
+        return (poolDeposit.balance, poolDeposit.depositDate, poolDeposit.withdrawalRequestDate);
+    }
+
+    /**
+     * @param _poolId The ID of the pool (0 - the STAKE pool).
+     * @param _holder The address of the deposit holder.
+     * @return The last deposit ID of the holder in the pool.
+     */
+    function getPoolLastDepositId(uint256 _poolId, address _holder) public view returns (uint256) {
+        return _poolId == 0 ? lastDepositIds[_holder] : _getPool(_poolId).lastDepositIds[_holder];
+    }
+
+    /**
+     * @dev Calls internal "_mint" method, increases the user balance, and updates the deposit date.
+     * @param _sender The address of the sender.
+     * @param _id User's unique deposit ID.
+     * @param _amount The amount to deposit.
+     */
+    function _deposit(address _sender, uint256 _id, uint256 _amount) internal nonReentrant {
+        require(_amount > 0, "deposit amount should be more than 0");
+        _checkNotPaused();
+        (uint256 sigmoidParamA,,) = getSigmoidParameters();
+        if (sigmoidParamA == 0 && address(emissionCurve) == address(0) && totalSupplyFactor() == 0) {
+            revert("emission stopped");
+        }
+        (uint256 userShare, uint256 timePassed) = _mint(_sender, _id, 0);
+        uint256 newBalance = balances[_sender][_id].add(_amount);
+        balances[_sender][_id] = newBalance;
+        totalStaked = totalStaked.add(_amount);
+        depositDates[_sender][_id] = _now();
+        supplyBasedEmissionRateSnapshots[_sender][_id] = supplyBasedEmissionRateCumulative;
+        emit Deposited(_sender, _id, _amount, newBalance, userShare, timePassed);
+    }
+
+    /**
+     * @dev Transfers STAKE tokens from the sender to this contract (the sender must approve tokens first).
+     * Sets the lock, so "onTokenTransfer" doesn't make a deposit for the transferred tokens.
+     * @param _from The address of the sender.
+     * @param _amount The amount of tokens.
+     */
+    function _receiveTokens(address _from, uint256 _amount) internal {
+        _setLocked(true);
+        require(token.transferFrom(_from, address(this), _amount), "transfer failed");
+        _setLocked(false);
+    }
+
+    /**
+     * @dev Transfers STAKE tokens from this contract.
+     * @param _to The address of the recipient.
+     * @param _amount The amount of tokens.
+     */
+    function _transferTokens(address _to, uint256 _amount) internal {
+        require(token.transfer(_to, _amount), "transfer failed");
+    }
+
+    /**
+     * @dev Sets the date of the withdrawal request.
+     * @param _sender The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     */
+    function _requestWithdrawal(address _sender, uint256 _id) internal {
+        _checkDepositId(_sender, _id);
+        withdrawalRequestsDates[_sender][_id] = _now();
+        emit WithdrawalRequested(_sender, _id);
+    }
+
+    /**
+     * @dev Resets the date of the withdrawal request.
+     * @param _sender The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     */
+    function _cancelWithdrawalRequest(address _sender, uint256 _id) internal {
+        require(withdrawalRequestsDates[_sender][_id] > 0, "withdrawal wasn't requested");
+        withdrawalRequestsDates[_sender][_id] = 0;
+        emit WithdrawalRequestCancelled(_sender, _id);
+    }
+
+    /**
+     * @dev Checks the withdrawal window (unless paused), resets the date of the request and calls the internal "_withdraw" method.
+     * @param _sender The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @param _amount The amount to withdraw (0 - to withdraw all).
+     */
+    function _makeRequestedWithdrawal(address _sender, uint256 _id, uint256 _amount) internal {
+        _checkWithdrawalWindow(withdrawalRequestsDates[_sender][_id], withdrawalLockDuration(), withdrawalUnlockDuration());
+        withdrawalRequestsDates[_sender][_id] = 0;
+        _withdraw(_sender, _id, _amount, false);
+    }
+
+    /**
+     * @dev Calls internal "_mint" method and then transfers tokens to the sender.
+     * @param _sender The address of the sender.
+     * @param _id User's unique deposit ID.
+     * @param _amount The amount to withdraw (0 - to withdraw all).
+     * @param _forced Defines whether to apply fee (true), or not (false). The fee is not applied while paused.
+     */
+    function _withdraw(address _sender, uint256 _id, uint256 _amount, bool _forced) internal nonReentrant {
+        _checkDeposit(_sender, _id);
+        require(balances[_sender][_id] >= _amount, "insufficient funds");
+        if (!paused) _checkNotLocked(_sender, _id);
+        (uint256 accruedEmission, uint256 timePassed) = _mint(_sender, _id, _amount);
+        uint256 amount = _amount == 0 ? balances[_sender][_id] : _amount.add(accruedEmission);
+        balances[_sender][_id] = balances[_sender][_id].sub(amount);
+        totalStaked = totalStaked.sub(amount);
+        if (balances[_sender][_id] == 0) {
+            depositDates[_sender][_id] = 0;
+        }
+        uint256 feeValue = 0;
+        if (_forced && !paused) {
+            feeValue = amount.mul(fee()).div(1 ether);
+            amount = amount.sub(feeValue);
+            liquidityProvidersReward = liquidityProvidersReward.add(feeValue);
+        }
+        _transferTokens(_sender, amount);
+        emit Withdrawn(_sender, _id, amount, feeValue, balances[_sender][_id], accruedEmission, timePassed, _forced);
+    }
+
+    /**
+     * @dev Moves the deposit to a new ID of the recipient without accruing emission.
+     * @param _sender The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @param _to The address of the new deposit holder.
+     * @return The deposit ID generated for the recipient.
+     */
+    function _transferDeposit(address _sender, uint256 _id, address _to) internal returns (uint256 newId) {
+        _checkDeposit(_sender, _id);
+        _checkRecipient(_to);
+        newId = ++lastDepositIds[_to];
+        balances[_to][newId] = balances[_sender][_id];
+        depositDates[_to][newId] = depositDates[_sender][_id];
+        withdrawalRequestsDates[_to][newId] = withdrawalRequestsDates[_sender][_id];
+        emissionClaimDates[_to][newId] = emissionClaimDates[_sender][_id];
+        compoundingEnabled[_to][newId] = compoundingEnabled[_sender][_id];
+        lockupEnds[_to][newId] = lockupEnds[_sender][_id];
+        depositBoosts[_to][newId] = depositBoosts[_sender][_id];
+        supplyBasedEmissionRateSnapshots[_to][newId] = supplyBasedEmissionRateSnapshots[_sender][_id];
+        balances[_sender][_id] = 0;
+        depositDates[_sender][_id] = 0;
+        withdrawalRequestsDates[_sender][_id] = 0;
+        emissionClaimDates[_sender][_id] = 0;
+        compoundingEnabled[_sender][_id] = false;
+        lockupEnds[_sender][_id] = 0;
+        depositBoosts[_sender][_id] = 0;
+        supplyBasedEmissionRateSnapshots[_sender][_id] = 0;
+        emit DepositTransferred(_sender, _id, _to, newId);
+    }
+
+    /**
+     * @dev Calls internal "_mint" method for the entire deposit and sets the date of the claim,
+     * so the next emission is accrued from the current moment without resetting the deposit date.
+     * @param _user User's address.
+     * @param _id User's unique deposit ID.
+     * @return User share of accrued emission and seconds passed since the deposit date.
+     */
+    function _accrue(address _user, uint256 _id) internal returns (uint256 userShare, uint256 timePassed) {
+        _checkNotPaused();
+        (userShare, timePassed) = _mint(_user, _id, 0);
+        emissionClaimDates[_user][_id] = _now();
+        supplyBasedEmissionRateSnapshots[_user][_id] = supplyBasedEmissionRateCumulative;
+    }
+
+    /**
+     * @dev Mints MAX_EMISSION_RATE per annum and distributes the emission between the user and Liquidity Providers in proportion.
+     * The lockup boost of a fixed-term deposit is added to the user share for the time until the lockup end,
+     * the user share never exceeds MAX_EMISSION_RATE.
+     * @param _user User's address.
+     * @param _id User's unique deposit ID.
+     * @param _amount Amount based on which emission is calculated and accrued. When 0, current deposit balance is used.
+     */
+    function _mint(address _user, uint256 _id, uint256 _amount) internal returns (uint256, uint256) {
+        uint256 amount = _amount == 0 ? balances[_user][_id] : _amount;
+        uint256 depositDate = depositDates[_user][_id];
+        uint256 accrualDate = Math.max(depositDate, emissionClaimDates[_user][_id]);
+        _updateSupplyBasedEmissionRateCumulative();
+        (uint256 total, uint256 userShare, uint256 timePassed) = _getAccruedEmission(
+            depositDate,
+            accrualDate,
+            amount,
+            getAverageSupplyBasedEmissionRate(_user, _id)
+        );
+        userShare = Math.min(userShare.add(_getBoostedEmission(_user, _id, accrualDate, amount)), total);
+        if (total > 0) {
+            if (!rewardsFromReserve) {
+                require(token.mint(address(this), total), "minting failed");
+            }
+            totalMinted = totalMinted.add(total);
+            balances[_user][_id] = balances[_user][_id].add(userShare);
+            totalStaked = totalStaked.add(userShare);
+            liquidityProvidersReward = liquidityProvidersReward.add(total.sub(userShare));
+            emit EmissionAccrued(_user, _id, userShare, total.sub(userShare));
+        }
+        return (userShare, timePassed);
+    }
+
+    /**
+     * @dev Adds the current supply-based emission rate multiplied by the time passed since the last update
+     * to the cumulative rate. Called before the changes of the total staked amount, the total supply and the factor.
+     */
+    function _updateSupplyBasedEmissionRateCumulative() internal {
+        uint256 timestamp = _now();
+        if (supplyBasedEmissionRateUpdatedAt == 0) {
+            supplyBasedEmissionRateAccumulatedSince = timestamp;
+        } else {
+            supplyBasedEmissionRateCumulative = supplyBasedEmissionRateCumulative.add(
+                getSupplyBasedEmissionRate().mul(timestamp.sub(supplyBasedEmissionRateUpdatedAt))
+            );
+        }
+        supplyBasedEmissionRateUpdatedAt = timestamp;
+    }
+
+    /**
+     * @dev Calculates the lockup boost of a fixed-term deposit accrued since the accrual date until the lockup end.
+     * @param _user User's address.
+     * @param _id User's unique deposit ID.
+     * @param _accrualDate The date from which emission is accrued (the deposit date or the date of the last claim).
+     * @param _amount Amount based on which emission is calculated and accrued.
+     * @return The boosted emission (in addition to the user share).
+     */
+    function _getBoostedEmission(
+        address _user,
+        uint256 _id,
+        uint256 _accrualDate,
+        uint256 _amount
+    ) internal view returns (uint256) {
+        uint256 lockupEnd = lockupEnds[_user][_id];
+        if (lockupEnd <= _accrualDate) return 0;
+        uint256 boostEnd = Math.min(_now(), lockupEnd);
+        uint256 boostPeriod = boostEnd.sub(_accrualDate).sub(getPausedDuration(_accrualDate, boostEnd));
+        return _amount.mul(depositBoosts[_user][_id]).mul(boostPeriod).div(YEAR * 1 ether);
+    }
+
+    /**
+     * @dev Calculates emission accrued since the accrual date using the emission rate based on the deposit duration.
+     * The time during which the contract was paused is excluded from both the accrual period and the deposit duration.
+     * @param _depositDate Deposit date.
+     * @param _accrualDate The date from which emission is accrued (the deposit date or the date of the last claim).
+     * @param _amount Amount based on which emission is calculated and accrued.
+     * @param _supplyBasedEmissionRate The supply-based emission rate for the accrual period.
+     * @return Total accrued emission (for the user and Liquidity Providers), user share, and seconds passed since the deposit date
+     * (except for the paused time). Near the emission cap, the emission is limited to the remaining budget
+     * and the user share is scaled down in proportion.
+     */
+    function _getAccruedEmission(
+        uint256 _depositDate,
+        uint256 _accrualDate,
+        uint256 _amount,
+        uint256 _supplyBasedEmissionRate
+    ) internal view returns (uint256 total, uint256 userShare, uint256 timePassed) {
+        if (_amount == 0 || _depositDate == 0) return (0, 0, 0);
+        timePassed = _now().sub(_depositDate).sub(getPausedDuration(_depositDate, _now()));
+        if (timePassed == 0) return (0, 0, 0);
+        uint256 userEmissionRate = getTimeBasedEmissionRate(timePassed);
+        userEmissionRate = userEmissionRate.add(_supplyBasedEmissionRate);
+        (total, userShare) = _getEmission(_accrualDate, _amount, userEmissionRate);
+    }
+
+    /**
+     * @dev Calculates emission accrued since the accrual date at the user's emission rate,
+     * excluding the time during which the contract was paused.
+     * @param _accrualDate The date from which emission is accrued.
+     * @param _amount Amount based on which emission is calculated and accrued.
+     * @param _userEmissionRate The user's emission rate (the time-based rate plus the supply-based rate).
+     * @return Total accrued emission (for the user and Liquidity Providers) and user share.
+     * Near the emission cap, the emission is limited to the remaining budget and the user share is scaled down in proportion.
+     */
+    function _getEmission(
+        uint256 _accrualDate,
+        uint256 _amount,
+        uint256 _userEmissionRate
+    ) internal view returns (uint256 total, uint256 userShare) {
+        if (_userEmissionRate == 0) return (0, 0);
+        assert(_userEmissionRate <= MAX_EMISSION_RATE);
+        uint256 accrualPeriod = _now().sub(_accrualDate).sub(getPausedDuration(_accrualDate, _now()));
+        total = _amount.mul(MAX_EMISSION_RATE).mul(accrualPeriod).div(YEAR * 1 ether);
+        userShare = _amount.mul(_userEmissionRate).mul(accrualPeriod).div(YEAR * 1 ether);
+        uint256 budget = remainingEmissionBudget();
+        if (total > budget) {
+            userShare = userShare.mul(budget).div(total);
+            total = budget;
+        }
+    }
+
+    /**
+     * @param _totalSupply The total supply of the staked token.
+     * @param _staked The total staked amount.
+     * @param _factor Total supply factor.
+     * @return Emission rate based on the ratio of the total staked amount to the total supply.
+     */
+    function _getSupplyBasedEmissionRate(uint256 _totalSupply, uint256 _staked, uint256 _factor) internal pure returns (uint256) {
+        if (_factor == 0) return 0;
+        uint256 target = _totalSupply.mul(_factor).div(1 ether);
+        uint256 maxSupplyBasedEmissionRate = MAX_EMISSION_RATE.div(2); // 7.5%
+        if (_staked >= target) {
+            return maxSupplyBasedEmissionRate;
+        }
+        return maxSupplyBasedEmissionRate.mul(_staked).div(target);
+    }
+
+    /**
+     * @dev Checks that the deposit ID was generated for the holder.
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     */
+    function _checkDepositId(address _holder, uint256 _id) internal view {
+        require(_id > 0 && _id <= lastDepositIds[_holder], "wrong deposit id");
+    }
+
+    /**
+     * @dev Checks that the deposit ID was generated for the holder and the deposit balance is not zero.
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     */
+    function _checkDeposit(address _holder, uint256 _id) internal view {
+        _checkDepositId(_holder, _id);
+        require(balances[_holder][_id] > 0, "insufficient funds");
+    }
+
+    /**
+     * @dev Checks that the lockup period of the deposit is over (or the deposit is not a fixed-term one).
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     */
+    function _checkNotLocked(address _holder, uint256 _id) internal view {
+        require(_now() >= lockupEnds[_holder][_id], "locked");
+    }
+
+    /**
+     * @dev Checks that the withdrawal was requested and the withdrawal window is open (always open while paused).
+     * @param _requestDate The date of the withdrawal request.
+     * @param _lockDuration The withdrawal lock duration.
+     * @param _unlockDuration The withdrawal unlock duration.
+     */
+    function _checkWithdrawalWindow(uint256 _requestDate, uint256 _lockDuration, uint256 _unlockDuration) internal view {
+        require(_requestDate > 0, "withdrawal wasn't requested");
+        if (paused) return;
+        uint256 timestamp = _now();
+        uint256 lockEnd = _requestDate.add(_lockDuration);
+        require(timestamp >= lockEnd, "too early");
+        require(timestamp < lockEnd.add(_unlockDuration), "too late");
+    }
+
+    /**
+     * @dev Checks that the pool exists.
+     * @param _poolId The ID of the pool (not the STAKE pool).
+     * @return The pool.
+     */
+    function _getPool(uint256 _poolId) internal view returns (Pool storage) {
+        require(_poolId > 0 && _poolId <= lastPoolId, "wrong pool id");
+        return pools[_poolId];
+    }
+
+    /**
+     * @dev Checks that the emission rate doesn't exceed a half of the maximum emission rate.
+     * @param _rate The emission rate (in percentage).
+     */
+    function _checkRate(uint256 _rate) internal pure {
+        require(_rate <= MAX_EMISSION_RATE.div(2), "should be less than or equal to a half of the maximum emission rate");
+    }
+
+    /**
+     * @dev Checks that the address is neither zero nor the address of this contract.
+     * @param _address The address to check.
+     */
+    function _checkRecipient(address _address) internal view {
+        require(_address != address(0), "zero address");
+        require(_address != address(this), "wrong address");
+    }
+
+    /**
+     * @dev Checks that the contract is not paused.
+     */
+    function _checkNotPaused() internal view {
+        require(!paused, "paused");
+    }
+
+    /**
+     * @dev Adds a parameter change to the queue. It can be applied after "PARAM_UPDATE_DELAY".
+     * @param _param The parameter to change.
+     * @param _value The new value of the parameter (sigmoid parameter A for the sigmoid parameters).
+     * @param _sigmoidParamB Sigmoid parameter B (only for the sigmoid parameters).
+     * @param _sigmoidParamC Sigmoid parameter C (only for the sigmoid parameters).
+     */
+    function _queueParamChange(Param _param, uint256 _value, int256 _sigmoidParamB, uint256 _sigmoidParamC) internal {
+        uint256 activationTime = _now().add(PARAM_UPDATE_DELAY);
+        paramChanges.push(ParamChange(_param, _value, _sigmoidParamB, _sigmoidParamC, activationTime, ParamChangeStatus.Queued));
+        emit ParamChangeQueued(paramChanges.length - 1, _param, activationTime, msg.sender);
+    }
+
+    /**
+     * @dev Sets the new value(s) of the parameter from the queued change. The value takes effect immediately
+     * since the delay has already passed in the queue. Reverts if a later change of the same parameter
+     * is already applied, so the changes of a parameter take effect in the order they are queued.
+     * @param _id The ID of the parameter change.
+     */
+    function _applyParamChange(uint256 _id) internal {
+        ParamChange storage change = paramChanges[_id];
+        change.status = ParamChangeStatus.Applied;
+        Param param = change.param;
+        require(_id >= lastAppliedParamChangeIds[uint256(param)], "a later change is applied");
+        lastAppliedParamChangeIds[uint256(param)] = _id + 1;
+        uint256 value = change.value;
+        if (param == Param.Fee) {
+            _setUintParam(feeParam, value);
+        } else if (param == Param.WithdrawalLockDuration) {
+            _setUintParam(withdrawalLockDurationParam, value);
+        } else if (param == Param.WithdrawalUnlockDuration) {
+            _setUintParam(withdrawalUnlockDurationParam, value);
+        } else if (param == Param.TotalSupplyFactor) {
+            _updateSupplyBasedEmissionRateCumulative();
+            _setUintParam(totalSupplyFactorParam, value);
+        } else if (param == Param.SigmoidParameters) {
+            sigmoid.setParameters(value, change.sigmoidParamB, change.sigmoidParamC);
+        } else if (param == Param.LiquidityProvidersRewardAddress) {
+            liquidityProvidersRewardAddressParam = AddressParam(address(value), address(value), _now());
+        } else if (param == Param.EmissionCurve) {
+            emissionCurve = IEmissionCurve(address(value));
+        } else if (param == Param.EmissionCap) {
+            emissionCap = value;
+        } else {
+            rewardsFromReserve = value != 0;
+        }
+        _updateFirstPendingParamChangeId();
+        emit ParamChangeApplied(_id, msg.sender);
+    }
+
+    /**
+     * @dev Moves the ID of the first pending parameter change past the changes that are not pending anymore.
+     * The changes are queued with the same delay, so they expire in the order of their IDs.
+     */
+    function _updateFirstPendingParamChangeId() internal {
+        uint256 id = firstPendingParamChangeId;
+        while (id < paramChanges.length && !_isParamChangePending(id)) {
+            id++;
+        }
+        firstPendingParamChangeId = id;
+    }
+
+    /**
+     * @dev Checks that the parameter change exists and is neither applied nor cancelled.
+     * @param _id The ID of the parameter change.
+     */
+    function _checkParamChangeQueued(uint256 _id) internal view {
+        require(_id < paramChanges.length && paramChanges[_id].status == ParamChangeStatus.Queued, "not queued");
+    }
+
+    /**
+     * @return Returns true if the parameter change is queued and its grace period is not over.
+     * @param _id The ID of the parameter change.
+     */
+    function _isParamChangePending(uint256 _id) internal view returns (bool) {
+        ParamChange storage change = paramChanges[_id];
+        return change.status == ParamChangeStatus.Queued &&
+            _now() <= change.activationTime.add(PARAM_CHANGE_GRACE_PERIOD);
+    }
+
+    /**
+     * @dev Sets the value of the parameter immediately.
+     */
+    function _setUintParam(UintParam storage _param, uint256 _value) internal {
+        _param.oldValue = _value;
+        _param.newValue = _value;
+        _param.timestamp = _now();
+    }
+
+    /**
+     * @dev Sets the value of the parameter that takes effect after "PARAM_UPDATE_DELAY"
+     * (the current value is used until then).
+     */
+    function _updateUintParam(UintParam storage _param, uint256 _value) internal {
+        _param.oldValue = _getUintParamValue(_param);
+        _param.newValue = _value;
+        _param.timestamp = _now();
+    }
+
+    /**
+     * @return Returns the current value of the parameter.
+     */
+    function _getUintParamValue(UintParam memory _param) internal view returns (uint256) {
+        return _paramUpdateDelayElapsed(_param.timestamp) ? _param.newValue : _param.oldValue;
+    }
+
+    /**
+     * @return Returns true if param update delay elapsed.
+     */
+    function _paramUpdateDelayElapsed(uint256 _paramTimestamp) internal view returns (bool) {
+        return _now() > _paramTimestamp.add(PARAM_UPDATE_DELAY);
+    }
+
+    /**
+     * @dev Sets lock to prevent reentrance.
+     */
+    function _setLocked(bool _locked) internal {
+        locked = _locked;
+    }
+
+    /**
+     * @return Returns current timestamp.
+     */
+    function _now() internal view returns (uint256) {
+        // Note that the timestamp can have a 900-second error:
+        // https://github.com/ethereum/wiki/blob/c02254611f218f43cbb07517ca8e5d00fd6d6d75/Block-Protocol-2.0.md
+        return now; // solium-disable-line security/no-block-members
+    }
+}
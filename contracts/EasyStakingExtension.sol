@@ -0,0 +1,486 @@
+pragma solidity 0.5.16;
+
+import "./EasyStakingBase.sol";
+import "./IDepositReceiver.sol";
+import "./IERC20Permit.sol";
+import "./Sacrifice.sol";
+
+/**
+ * @title EasyStakingExtension
+ * @dev Deposits with a permit, fixed-term deposits, signed withdrawals, batch withdrawals, withdrawal operators,
+ * claiming and compounding of emission, merging, splitting and transferring of deposits, setting the lockup boost, funding
+ * of the reward reserve and claiming unsupported tokens.
+ * EasyStaking declares the same methods and delegates their calls to the extension contract set in its "initialize"
+ * method, so they are executed in the context (and with the storage) of EasyStaking.
+ */
+contract EasyStakingExtension is EasyStakingBase {
+    /**
+     * @dev This method is used to deposit tokens to a new deposit in one transaction, without a prior approval.
+     * It calls the EIP-2612 "permit" method of the token with the sender's signature
+     * and then makes a deposit like "EasyStaking.deposit" method. See its description.
+     * The permit is skipped if the allowance is already sufficient (e.g. if the permit was submitted by someone else).
+     * @param _amount The amount to deposit (and the value of the permit).
+     * @param _deadline The deadline of the permit.
+     * @param _v The recovery byte of the permit signature.
+     * @param _r Half of the ECDSA signature pair.
+     * @param _s Half of the ECDSA signature pair.
+     */
+    function depositWithPermit(uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external {
+        if (IERC20(address(token)).allowance(msg.sender, address(this)) < _amount) {
+            IERC20Permit(address(token)).permit(msg.sender, address(this), _amount, _deadline, _v, _r, _s);
+        }
+        uint256 id = ++lastDepositIds[msg.sender];
+        _deposit(msg.sender, id, _amount);
+        _receiveTokens(msg.sender, _amount);
+    }
+
+    /**
+     * @dev This method is used to make a fixed-term deposit.
+     * The deposit cannot be withdrawn before the end of the lockup period,
+     * and the lockup boost is added to the personal emission rate until then.
+     * The boost is fixed at the moment of the deposit. Sender must approve tokens first.
+     * @param _amount The amount to deposit.
+     * @param _lockupDuration The lockup duration (in seconds), one of the tiers set by the owner.
+     */
+    function depositWithLockup(uint256 _amount, uint256 _lockupDuration) external {
+        uint256 boost = lockupBoosts[_lockupDuration];
+        require(boost > 0, "wrong lockup duration");
+        uint256 id = ++lastDepositIds[msg.sender];
+        uint256 lockupEnd = _now().add(_lockupDuration);
+        lockupEnds[msg.sender][id] = lockupEnd;
+        depositBoosts[msg.sender][id] = boost;
+        _deposit(msg.sender, id, _amount);
+        _receiveTokens(msg.sender, _amount);
+        emit DepositLocked(msg.sender, id, lockupEnd, boost);
+    }
+
+    /**
+     * @dev This method is used to submit a withdrawal request signed by the holder (EIP-712).
+     * It can be called by anyone (e.g. a relayer paying for gas on behalf of the holder).
+     * See the description of "EasyStaking.requestWithdrawal" method.
+     * @param _holder The address of the deposit holder who signed the message.
+     * @param _depositId User's unique deposit ID.
+     * @param _deadline The timestamp after which the signature is not valid.
+     * @param _v The recovery byte of the signature.
+     * @param _r Half of the ECDSA signature pair.
+     * @param _s Half of the ECDSA signature pair.
+     */
+    function requestWithdrawalBySig(
+        address _holder,
+        uint256 _depositId,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(REQUEST_WITHDRAWAL_TYPEHASH, _holder, _depositId, nonces[_holder]++, _deadline)
+        );
+        _checkSignature(_holder, structHash, _deadline, _v, _r, _s);
+        _requestWithdrawal(_holder, _depositId);
+    }
+
+    /**
+     * @dev This method is used to make a requested withdrawal signed by the holder (EIP-712).
+     * It can be called by anyone (e.g. a relayer paying for gas on behalf of the holder),
+     * tokens are always sent to the holder.
+     * See the description of "EasyStaking.makeRequestedWithdrawal" method.
+     * @param _holder The address of the deposit holder who signed the message.
+     * @param _depositId User's unique deposit ID.
+     * @param _amount The amount to withdraw (0 - to withdraw all).
+     * @param _deadline The timestamp after which the signature is not valid.
+     * @param _v The recovery byte of the signature.
+     * @param _r Half of the ECDSA signature pair.
+     * @param _s Half of the ECDSA signature pair.
+     */
+    function makeRequestedWithdrawalBySig(
+        address _holder,
+        uint256 _depositId,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(MAKE_REQUESTED_WITHDRAWAL_TYPEHASH, _holder, _depositId, _amount, nonces[_holder]++, _deadline)
+        );
+        _checkSignature(_holder, structHash, _deadline, _v, _r, _s);
+        _makeRequestedWithdrawal(_holder, _depositId, _amount);
+    }
+
+    /**
+     * @dev This method is used to request withdrawals of several deposits in one transaction.
+     * See the description of "EasyStaking.requestWithdrawal" method.
+     * @param _depositIds User's unique deposit IDs.
+     */
+    function requestWithdrawals(uint256[] calldata _depositIds) external {
+        for (uint256 i = 0; i < _depositIds.length; i++) {
+            _requestWithdrawal(msg.sender, _depositIds[i]);
+        }
+    }
+
+    /**
+     * @dev This method is used to make requested withdrawals of several deposits in one transaction.
+     * If any of the withdrawals fails, the whole transaction is reverted.
+     * See the description of "EasyStaking.makeRequestedWithdrawal" method.
+     * @param _depositIds User's unique deposit IDs.
+     * @param _amounts The amounts to withdraw from the corresponding deposits (0 - to withdraw all).
+     */
+    function makeRequestedWithdrawals(uint256[] calldata _depositIds, uint256[] calldata _amounts) external {
+        require(_depositIds.length == _amounts.length, "arrays length mismatch");
+        for (uint256 i = 0; i < _depositIds.length; i++) {
+            _makeRequestedWithdrawal(msg.sender, _depositIds[i], _amounts[i]);
+        }
+    }
+
+    /**
+     * @dev This method is used to make forced withdrawals of several deposits in one transaction.
+     * If any of the withdrawals fails, the whole transaction is reverted.
+     * See the description of "EasyStaking.makeForcedWithdrawal" method.
+     * @param _depositIds User's unique deposit IDs.
+     * @param _amounts The amounts to withdraw from the corresponding deposits (0 - to withdraw all).
+     */
+    function makeForcedWithdrawals(uint256[] calldata _depositIds, uint256[] calldata _amounts) external {
+        require(_depositIds.length == _amounts.length, "arrays length mismatch");
+        for (uint256 i = 0; i < _depositIds.length; i++) {
+            _withdraw(msg.sender, _depositIds[i], _amounts[i], true);
+        }
+    }
+
+    /**
+     * @dev Grants an operator the permission for one or all deposits of the sender.
+     * "Request" allows to request withdrawals and cancel the requests, "Withdraw" also allows to make requested withdrawals,
+     * "ForcedWithdraw" also allows to make forced withdrawals (with a fee).
+     * The withdrawn tokens are always sent to the deposit holder.
+     * @param _operator The address of the operator.
+     * @param _depositId User's unique deposit ID (0 - all deposits of the sender).
+     * @param _permission The permission to grant (replaces the previously granted one).
+     */
+    function grantOperator(address _operator, uint256 _depositId, OperatorPermission _permission) external {
+        _checkRecipient(_operator);
+        require(_operator != msg.sender, "wrong address");
+        require(_permission != OperatorPermission.None, "wrong permission");
+        operatorPermissions[msg.sender][_operator][_depositId] = _permission;
+        emit OperatorGranted(msg.sender, _operator, _depositId, _permission);
+    }
+
+    /**
+     * @dev Revokes the permission of an operator for one or all deposits of the sender.
+     * The permission for all deposits and the permissions for specific deposits are revoked separately.
+     * @param _operator The address of the operator.
+     * @param _depositId User's unique deposit ID (0 - all deposits of the sender).
+     */
+    function revokeOperator(address _operator, uint256 _depositId) external {
+        require(operatorPermissions[msg.sender][_operator][_depositId] != OperatorPermission.None, "not granted");
+        delete operatorPermissions[msg.sender][_operator][_depositId];
+        emit OperatorRevoked(msg.sender, _operator, _depositId);
+    }
+
+    /**
+     * @dev This method is used by an operator with "Request" or a higher permission
+     * to request a withdrawal on behalf of the holder.
+     * See the description of "EasyStaking.requestWithdrawal" method.
+     * @param _holder The address of the deposit holder.
+     * @param _depositId User's unique deposit ID.
+     */
+    function requestWithdrawalFor(address _holder, uint256 _depositId) external {
+        _checkOperator(_holder, _depositId, OperatorPermission.Request);
+        _requestWithdrawal(_holder, _depositId);
+    }
+
+    /**
+     * @dev This method is used by an operator with "Request" or a higher permission
+     * to cancel a withdrawal request of the holder.
+     * See the description of "EasyStaking.cancelWithdrawalRequest" method.
+     * @param _holder The address of the deposit holder.
+     * @param _depositId User's unique deposit ID.
+     */
+    function cancelWithdrawalRequestFor(address _holder, uint256 _depositId) external {
+        _checkOperator(_holder, _depositId, OperatorPermission.Request);
+        _cancelWithdrawalRequest(_holder, _depositId);
+    }
+
+    /**
+     * @dev This method is used by an operator with "Withdraw" or "ForcedWithdraw" permission
+     * to make a requested withdrawal on behalf of the holder. The tokens are sent to the holder.
+     * See the description of "EasyStaking.makeRequestedWithdrawal" method.
+     * @param _holder The address of the deposit holder.
+     * @param _depositId User's unique deposit ID.
+     * @param _amount The amount to withdraw (0 - to withdraw all).
+     */
+    function makeRequestedWithdrawalFor(address _holder, uint256 _depositId, uint256 _amount) external {
+        _checkOperator(_holder, _depositId, OperatorPermission.Withdraw);
+        _makeRequestedWithdrawal(_holder, _depositId, _amount);
+    }
+
+    /**
+     * @dev This method is used by an operator with "ForcedWithdraw" permission
+     * to make a forced withdrawal (with a fee) on behalf of the holder. The tokens are sent to the holder.
+     * See the description of "EasyStaking.makeForcedWithdrawal" method.
+     * @param _holder The address of the deposit holder.
+     * @param _depositId User's unique deposit ID.
+     * @param _amount The amount to withdraw (0 - to withdraw all).
+     */
+    function makeForcedWithdrawalFor(address _holder, uint256 _depositId, uint256 _amount) external {
+        _checkOperator(_holder, _depositId, OperatorPermission.ForcedWithdraw);
+        _withdraw(_holder, _depositId, _amount, true);
+    }
+
+    /**
+     * @dev This method is used to claim accrued emission without withdrawing the deposit.
+     * It calls the internal "_mint" method and transfers the user share to the sender.
+     * The deposit date is not reset, so the personal emission rate continues to grow.
+     * The next emission is accrued from the moment of the claim. The claimed period is paid at the personal rate
+     * of the moment of the claim, so claiming and then withdrawing pays less than a single withdrawal.
+     * @param _depositId User's unique deposit ID.
+     */
+    function claimEmission(uint256 _depositId) external nonReentrant {
+        _checkDeposit(msg.sender, _depositId);
+        (uint256 userShare, uint256 timePassed) = _accrue(msg.sender, _depositId);
+        balances[msg.sender][_depositId] = balances[msg.sender][_depositId].sub(userShare);
+        totalStaked = totalStaked.sub(userShare);
+        _transferTokens(msg.sender, userShare);
+        emit EmissionClaimed(msg.sender, _depositId, userShare, timePassed);
+    }
+
+    /**
+     * @dev This method is used to enable or disable auto-compounding of the deposit.
+     * When enabled, the holder and the operators of the deposit (e.g. a keeper bot granted the "Compound" permission)
+     * can call the "compound" method for the deposit.
+     * @param _depositId User's unique deposit ID.
+     * @param _enabled Whether to enable auto-compounding.
+     */
+    function setCompounding(uint256 _depositId, bool _enabled) external {
+        _checkDepositId(msg.sender, _depositId);
+        compoundingEnabled[msg.sender][_depositId] = _enabled;
+        emit CompoundingSet(msg.sender, _depositId, _enabled);
+    }
+
+    /**
+     * @dev This method is used to add accrued emission to the deposit which has auto-compounding enabled.
+     * It calls the internal "_mint" method and doesn't reset the deposit date.
+     * Can only be called by the holder or an operator with any permission for the deposit, since each call
+     * fixes the emission rate of the accrued period at the rate at the moment of the call.
+     * @param _holder The address of the deposit holder.
+     * @param _depositId User's unique deposit ID.
+     */
+    function compound(address _holder, uint256 _depositId) external nonReentrant {
+        require(compoundingEnabled[_holder][_depositId], "compounding disabled");
+        if (msg.sender != _holder) {
+            _checkOperator(_holder, _depositId, OperatorPermission.Compound);
+        }
+        _checkDeposit(_holder, _depositId);
+        (uint256 userShare,) = _accrue(_holder, _depositId);
+        emit Compounded(_holder, _depositId, userShare, balances[_holder][_depositId], msg.sender);
+    }
+
+    /**
+     * @dev This method is used to merge one deposit into another.
+     * It calls the internal "_mint" method for both deposits first, so accrued emission is added to their balances.
+     * The date of the resulting deposit is the balance-weighted average of the deposit dates.
+     * The withdrawal request of the merged deposit is discarded,
+     * the withdrawal request of the resulting deposit (if any) remains.
+     * @param _depositId User's unique ID of the deposit that receives the balance.
+     * @param _mergedDepositId User's unique ID of the deposit that is merged and closed.
+     */
+    function mergeDeposits(uint256 _depositId, uint256 _mergedDepositId) external nonReentrant {
+        address sender = msg.sender;
+        require(_depositId != _mergedDepositId, "wrong deposit id");
+        _checkDeposit(sender, _depositId);
+        _checkDeposit(sender, _mergedDepositId);
+        _checkNotLocked(sender, _depositId);
+        _checkNotLocked(sender, _mergedDepositId);
+        _accrue(sender, _depositId);
+        _accrue(sender, _mergedDepositId);
+        uint256 balance = balances[sender][_depositId];
+        uint256 mergedBalance = balances[sender][_mergedDepositId];
+        uint256 newBalance = balance.add(mergedBalance);
+        uint256 depositDate = depositDates[sender][_depositId].mul(balance)
+            .add(depositDates[sender][_mergedDepositId].mul(mergedBalance))
+            .div(newBalance);
+        balances[sender][_depositId] = newBalance;
+        depositDates[sender][_depositId] = depositDate;
+        balances[sender][_mergedDepositId] = 0;
+        depositDates[sender][_mergedDepositId] = 0;
+        withdrawalRequestsDates[sender][_mergedDepositId] = 0;
+        emit DepositsMerged(sender, _depositId, _mergedDepositId, newBalance, depositDate);
+    }
+
+    /**
+     * @dev This method is used to move a part of the deposit to a new deposit,
+     * e.g. to request a timed withdrawal of only that part.
+     * It calls the internal "_mint" method first, so accrued emission is added to the deposit balance.
+     * The new deposit has the same deposit date and doesn't have a withdrawal request.
+     * @param _depositId User's unique deposit ID.
+     * @param _amount The amount to move to the new deposit (less than the deposit balance).
+     * @return User's unique ID of the new deposit.
+     */
+    function splitDeposit(uint256 _depositId, uint256 _amount) external nonReentrant returns (uint256 newId) {
+        address sender = msg.sender;
+        _checkDeposit(sender, _depositId);
+        _checkNotLocked(sender, _depositId);
+        _accrue(sender, _depositId);
+        require(_amount > 0 && _amount < balances[sender][_depositId], "wrong amount");
+        newId = ++lastDepositIds[sender];
+        balances[sender][_depositId] = balances[sender][_depositId].sub(_amount);
+        balances[sender][newId] = _amount;
+        depositDates[sender][newId] = depositDates[sender][_depositId];
+        emissionClaimDates[sender][newId] = _now();
+        supplyBasedEmissionRateSnapshots[sender][newId] = supplyBasedEmissionRateCumulative;
+        emit DepositSplit(sender, _depositId, newId, _amount, balances[sender][_depositId]);
+    }
+
+    /**
+     * @dev This method is used to transfer a deposit to another address.
+     * The deposit keeps its balance, date and withdrawal request date, and gets a new ID generated for the recipient.
+     * If the recipient is a contract, it must accept the deposit in its "onDepositTransfer" method (see IDepositReceiver),
+     * so a deposit can't be stranded in a contract that isn't able to withdraw or transfer it.
+     * @param _depositId User's unique deposit ID.
+     * @param _to The address of the new deposit holder.
+     * @return The deposit ID generated for the recipient.
+     */
+    function transferDeposit(uint256 _depositId, address _to) external returns (uint256) {
+        return _transferDepositAndCall(_depositId, _to, "");
+    }
+
+    /**
+     * @dev This method is used to transfer a deposit to a contract and notify it
+     * by calling its "onDepositTransfer" method (see IDepositReceiver), like "transferAndCall" of ERC677 tokens.
+     * @param _depositId User's unique deposit ID.
+     * @param _to The address of the receiver contract.
+     * @param _data Additional data passed to the receiver contract.
+     * @return true if successful
+     */
+    function transferDepositAndCall(uint256 _depositId, address _to, bytes calldata _data) external returns (bool) {
+        require(_to.isContract(), "not a contract address");
+        _transferDepositAndCall(_depositId, _to, _data);
+        return true;
+    }
+
+    /**
+     * @dev This method is used to top up the reward reserve which emission is paid from
+     * when "rewardsFromReserve" is enabled. Can be called by anyone. Sender must approve tokens first.
+     * @param _amount The amount to add to the reserve.
+     */
+    function fundRewardReserve(uint256 _amount) external {
+        require(_amount > 0, "amount should be greater than 0");
+        _receiveTokens(msg.sender, _amount);
+        emit RewardReserveFunded(_amount, msg.sender);
+    }
+
+    /**
+     * @dev This method is used to claim unsupported tokens accidentally sent to the contract.
+     * It can only be called by the owner.
+     * @param _token The address of the token contract (zero address for claiming native coins).
+     * @param _to The address of the tokens/coins receiver.
+     * @param _amount Amount to claim.
+     */
+    function claimTokens(address _token, address payable _to, uint256 _amount) external onlyOwner {
+        require(_to != address(0) && _to != address(this), "not a valid recipient");
+        require(_amount > 0, "amount should be greater than 0");
+        if (_token == address(0)) {
+            if (!_to.send(_amount)) { // solium-disable-line security/no-send
+                (new Sacrifice).value(_amount)(_to);
+            }
+        } else if (_token == address(token)) {
+            require(rewardReserve() >= _amount, "insufficient funds");
+            _transferTokens(_to, _amount);
+        } else if (poolIds[_token] > 0) {
+            IERC20 poolToken = IERC20(_token);
+            uint256 staked = pools[poolIds[_token]].totalStaked;
+            require(poolToken.balanceOf(address(this)).sub(staked) >= _amount, "insufficient funds");
+            poolToken.safeTransfer(_to, _amount);
+        } else {
+            IERC20 customToken = IERC20(_token);
+            customToken.safeTransfer(_to, _amount);
+        }
+    }
+
+    /**
+     * @dev Sets the boost of the lockup tier for fixed-term deposits. Can only be called by owner.
+     * Takes effect immediately since it only applies to new fixed-term deposits.
+     * @param _duration The lockup duration of the tier (in seconds).
+     * @param _boost The new boost value (in percentage). Zero disables the tier.
+     */
+    function setLockupBoost(uint256 _duration, uint256 _boost) external onlyOwner {
+        require(_duration > 0, "should be greater than 0");
+        _checkRate(_boost);
+        lockupBoosts[_duration] = _boost;
+        emit LockupBoostSet(_duration, _boost, msg.sender);
+    }
+
+    /**
+     * @dev Sets the EasyStakingPools contract that the methods of the pools are delegated to. Can only be called by owner.
+     * @param _address The new address of the contract.
+     */
+    function setPoolsExtension(address _address) external onlyOwner {
+        require(_address.isContract(), "not a contract address");
+        poolsExtension = _address;
+        emit PoolsExtensionSet(_address, msg.sender);
+    }
+
+    /**
+     * @dev Queues a change of the source of emission. Can only be called by owner.
+     * When enabled, emission is paid from the reward reserve (see "rewardReserve")
+     * and the contract doesn't need to be a minter of the token.
+     * @param _value Whether to pay emission from the reward reserve instead of minting it.
+     */
+    function setRewardsFromReserve(bool _value) external onlyOwner {
+        _queueParamChange(Param.RewardsFromReserve, _value ? 1 : 0, 0, 0);
+        emit RewardsFromReserveSet(_value, msg.sender);
+    }
+
+    /**
+     * @dev Transfers the sender's deposit and calls "onDepositTransfer" of the recipient if it is a contract.
+     * @param _depositId User's unique deposit ID.
+     * @param _to The address of the new deposit holder.
+     * @param _data Additional data passed to the receiver contract.
+     * @return The deposit ID generated for the recipient.
+     */
+    function _transferDepositAndCall(uint256 _depositId, address _to, bytes memory _data) internal returns (uint256 id) {
+        id = _transferDeposit(msg.sender, _depositId, _to);
+        if (_to.isContract()) {
+            require(IDepositReceiver(_to).onDepositTransfer(msg.sender, id, _data), "call failed");
+        }
+    }
+
+    /**
+     * @dev Checks that the sender is an operator having at least the required permission
+     * for the deposit or for all deposits of the holder.
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @param _permission The required permission.
+     */
+    function _checkOperator(address _holder, uint256 _id, OperatorPermission _permission) internal view {
+        uint256 required = uint256(_permission);
+        require(
+            uint256(operatorPermissions[_holder][msg.sender][_id]) >= required ||
+            uint256(operatorPermissions[_holder][msg.sender][0]) >= required,
+            "caller is not allowed"
+        );
+    }
+
+    /**
+     * @dev Checks the deadline and that the EIP-712 message was signed by the holder.
+     * @param _holder The address of the deposit holder.
+     * @param _structHash The hash of the signed message.
+     * @param _deadline The timestamp after which the signature is not valid.
+     * @param _v The recovery byte of the signature.
+     * @param _r Half of the ECDSA signature pair.
+     * @param _s Half of the ECDSA signature pair.
+     */
+    function _checkSignature(
+        address _holder,
+        bytes32 _structHash,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) internal view {
+        require(_now() <= _deadline, "signature expired");
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), _structHash));
+        address signer = ecrecover(digest, _v, _r, _s);
+        require(signer != address(0) && signer == _holder, "invalid signature");
+    }
+}
@@ -0,0 +1,528 @@
+pragma solidity 0.5.16;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/Math.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/Address.sol";
+import "./EasyStaking.sol";
+import "./IEmissionCurve.sol";
+import "./lib/Sigmoid.sol";
+
+/**
+ * @title EasyStakingLens
+ *
+ * Read-only views of EasyStaking deposits, which are calculated from the public getters of EasyStaking.
+ * They are not a part of EasyStaking to keep it within the contract size limit.
+ * The contract has no state except the EasyStaking address, so it can be redeployed at any time.
+ */
+contract EasyStakingLens {
+    using Address for address;
+    using SafeMath for uint256;
+
+    enum WithdrawalRequestState { None, Locked, Open, Expired }
+
+    // The values of EasyStaking parameters that affect a withdrawal
+    struct Params {
+        uint256 fee;
+        uint256 totalSupplyFactor;
+        Sigmoid.Params sigmoidParams;
+        address emissionCurve;
+        uint256 emissionCap;
+        bool rewardsFromReserve;
+    }
+
+    // A queued parameter change that can still be applied
+    struct PendingChange {
+        EasyStakingBase.Param param;
+        uint256 value;
+        int256 sigmoidParamB;
+        uint256 sigmoidParamC;
+        uint256 activationTime;
+    }
+
+    // The values read from EasyStaking once per call to calculate the parameter values at any time
+    struct Timeline {
+        // The current values (the old values of the fee and the total supply factor)
+        Params params;
+        // The new values of the fee and the total supply factor and the times after which they are used
+        uint256 newFee;
+        uint256 feeUpdateTime;
+        uint256 newTotalSupplyFactor;
+        uint256 totalSupplyFactorUpdateTime;
+        // The pending changes in the order of the queue (only the first "changeCount" items are set)
+        PendingChange[] changes;
+        uint256 changeCount;
+        // The total supply of the token and the total staked amount
+        uint256 totalSupply;
+        uint256 totalStaked;
+    }
+
+    uint256 private constant YEAR = 365 days;
+    // The same constants as in EasyStaking
+    uint256 public constant MAX_EMISSION_RATE = 150 finney; // 15%, 0.15 ether
+    uint256 public constant PARAM_UPDATE_DELAY = 7 days;
+
+    // EasyStaking contract
+    EasyStaking public easyStaking;
+
+    /**
+     * @param _easyStakingAddress The address of the EasyStaking contract.
+     */
+    constructor(address _easyStakingAddress) public {
+        require(_easyStakingAddress.isContract(), "not a contract address");
+        easyStaking = EasyStaking(_easyStakingAddress);
+    }
+
+    /**
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @return The state of the withdrawal request: "None" if there is no request, "Locked" before the unlock time,
+     * "Open" from the unlock time until the expiry time and "Expired" after it; the unlock time and the expiry time
+     * (the requested withdrawal is available while unlockTime <= now < expiryTime).
+     * The times are calculated with the current withdrawal lock and unlock durations.
+     * While EasyStaking is paused, a requested withdrawal is always "Open".
+     */
+    function getWithdrawalRequestState(address _holder, uint256 _id) public view returns (
+        WithdrawalRequestState state,
+        uint256 unlockTime,
+        uint256 expiryTime
+    ) {
+        uint256 requestDate = easyStaking.withdrawalRequestsDates(_holder, _id);
+        if (requestDate == 0) return (WithdrawalRequestState.None, 0, 0);
+        unlockTime = requestDate.add(easyStaking.withdrawalLockDuration());
+        expiryTime = unlockTime.add(easyStaking.withdrawalUnlockDuration());
+        uint256 timestamp = _now();
+        if (easyStaking.paused() || timestamp >= unlockTime && timestamp < expiryTime) {
+            state = WithdrawalRequestState.Open;
+        } else if (timestamp < unlockTime) {
+            state = WithdrawalRequestState.Locked;
+        } else {
+            state = WithdrawalRequestState.Expired;
+        }
+    }
+
+    /**
+     * @dev Lists active deposits of the holder, skipping fully withdrawn ones (their deposit date is zero).
+     * The deposits are listed in the order of IDs starting from `_fromId`; to get the next page,
+     * call the method again with `nextId` until it is zero.
+     * @param _holder The address of the deposit holder.
+     * @param _fromId The deposit ID to start from (0 is the same as 1).
+     * @param _limit The maximum number of deposits to return (greater than 0).
+     * @return IDs, balances, deposit dates, withdrawal request states, total accrued emission
+     * and user shares of the accrued emission (what a withdrawal of the whole deposit would accrue now,
+     * see "previewWithdrawal") of the deposits, and the ID to start the next page from (0 if there are no more deposits).
+     */
+    function getDeposits(address _holder, uint256 _fromId, uint256 _limit) public view returns (
+        uint256[] memory ids,
+        uint256[] memory balances,
+        uint256[] memory depositDates,
+        WithdrawalRequestState[] memory requestStates,
+        uint256[] memory totals,
+        uint256[] memory userShares,
+        uint256 nextId
+    ) {
+        (ids, nextId) = _getActiveDepositIds(_holder, _fromId, _limit);
+        uint256 count = ids.length;
+        balances = new uint256[](count);
+        depositDates = new uint256[](count);
+        requestStates = new WithdrawalRequestState[](count);
+        totals = new uint256[](count);
+        userShares = new uint256[](count);
+        Timeline memory timeline = _getTimeline();
+        Params memory params = _getParamsAt(timeline, _now());
+        for (uint256 i = 0; i < count; i++) {
+            balances[i] = easyStaking.balances(_holder, ids[i]);
+            depositDates[i] = easyStaking.depositDates(_holder, ids[i]);
+            (requestStates[i],,) = getWithdrawalRequestState(_holder, ids[i]);
+            (totals[i], userShares[i]) = _getAccruedEmission(_holder, ids[i], balances[i], _now(), timeline, params);
+        }
+    }
+
+    /**
+     * @dev Previews a withdrawal from the deposit at the given time, assuming that nothing else changes until then:
+     * the balance, the total staked amount, the total supply and the pause state stay the same,
+     * and the queued parameter changes are applied at their activation times (see "getParamsAt").
+     * The withdrawal window of a requested withdrawal is not checked (see "getWithdrawalRequestState").
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @param _amount The amount to withdraw (0 - to withdraw all).
+     * @param _timestamp The time of the withdrawal (not earlier than the current time).
+     * @param _forced Whether the withdrawal is forced (the fee is applied) or requested.
+     * @return The user share and the Liquidity Providers share of the emission accrued by the withdrawal,
+     * the fee and the amount the holder receives.
+     */
+    function previewWithdrawal(
+        address _holder,
+        uint256 _id,
+        uint256 _amount,
+        uint256 _timestamp,
+        bool _forced
+    ) public view returns (
+        uint256 userShare,
+        uint256 liquidityProvidersShare,
+        uint256 fee,
+        uint256 netAmount
+    ) {
+        require(_timestamp >= _now(), "the timestamp is in the past");
+        require(_id > 0 && _id <= easyStaking.lastDepositIds(_holder), "wrong deposit id");
+        uint256 balance = easyStaking.balances(_holder, _id);
+        require(balance > 0 && balance >= _amount, "insufficient funds");
+        bool paused = easyStaking.paused();
+        require(paused || _timestamp >= easyStaking.lockupEnds(_holder, _id), "locked");
+        Timeline memory timeline = _getTimeline();
+        Params memory params = _getParamsAt(timeline, _timestamp);
+        uint256 total;
+        (total, userShare) = _getAccruedEmission(
+            _holder,
+            _id,
+            _amount == 0 ? balance : _amount,
+            _timestamp,
+            timeline,
+            params
+        );
+        liquidityProvidersShare = total.sub(userShare);
+        uint256 amount = _amount == 0 ? balance.add(userShare) : _amount.add(userShare);
+        if (_forced && !paused) {
+            fee = amount.mul(params.fee).div(1 ether);
+        }
+        netAmount = amount.sub(fee);
+    }
+
+    /**
+     * @dev The values are the current ones with the queued (neither applied nor cancelled) changes
+     * whose activation time has come by the timestamp, as if they are applied in the order of the queue
+     * (except for the changes queued before the last applied change of the same parameter, which cannot be applied).
+     * @param _timestamp The time for which the values are calculated (not earlier than the current time).
+     * @return The values of the parameters that affect a withdrawal at the given time.
+     */
+    function getParamsAt(uint256 _timestamp) public view returns (
+        uint256 fee,
+        uint256 totalSupplyFactor,
+        uint256 sigmoidParamA,
+        int256 sigmoidParamB,
+        uint256 sigmoidParamC,
+        address emissionCurve,
+        uint256 emissionCap,
+        bool rewardsFromReserve
+    ) {
+        require(_timestamp >= _now(), "the timestamp is in the past");
+        Params memory params = _getParamsAt(_getTimeline(), _timestamp);
+        return (
+            params.fee,
+            params.totalSupplyFactor,
+            params.sigmoidParams.a,
+            params.sigmoidParams.b,
+            params.sigmoidParams.c,
+            params.emissionCurve,
+            params.emissionCap,
+            params.rewardsFromReserve
+        );
+    }
+
+    /**
+     * @param _holder The address of the deposit holder.
+     * @param _fromId The deposit ID to start from (0 is the same as 1).
+     * @param _limit The maximum number of IDs to return.
+     * @return IDs of active deposits and the ID to continue from (0 if there are no more deposits).
+     */
+    function _getActiveDepositIds(
+        address _holder,
+        uint256 _fromId,
+        uint256 _limit
+    ) internal view returns (uint256[] memory ids, uint256 nextId) {
+        require(_limit > 0, "zero limit");
+        uint256 lastId = easyStaking.lastDepositIds(_holder);
+        uint256 fromId = _fromId > 0 ? _fromId : 1;
+        uint256 count = 0;
+        uint256 id = fromId;
+        for (; id <= lastId && count < _limit; id++) {
+            if (easyStaking.depositDates(_holder, id) > 0) count++;
+        }
+        nextId = id <= lastId ? id : 0;
+        ids = new uint256[](count);
+        count = 0;
+        for (id = fromId; count < ids.length; id++) {
+            if (easyStaking.depositDates(_holder, id) > 0) ids[count++] = id;
+        }
+    }
+
+    /**
+     * @dev Reads the current parameter values, the pending parameter changes, the total supply and the total staked
+     * amount from EasyStaking, so the parameter values at any time can be calculated without calling it again.
+     * The changes queued before the last applied change of the same parameter are skipped, since they can't be applied.
+     * @return The timeline of the parameter values.
+     */
+    function _getTimeline() internal view returns (Timeline memory timeline) {
+        Params memory params = timeline.params;
+        (params.fee, timeline.newFee, timeline.feeUpdateTime) = easyStaking.feeParam();
+        timeline.feeUpdateTime = timeline.feeUpdateTime.add(PARAM_UPDATE_DELAY);
+        (
+            params.totalSupplyFactor,
+            timeline.newTotalSupplyFactor,
+            timeline.totalSupplyFactorUpdateTime
+        ) = easyStaking.totalSupplyFactorParam();
+        timeline.totalSupplyFactorUpdateTime = timeline.totalSupplyFactorUpdateTime.add(PARAM_UPDATE_DELAY);
+        (params.sigmoidParams.a, params.sigmoidParams.b, params.sigmoidParams.c) = easyStaking.getSigmoidParameters();
+        params.emissionCurve = address(easyStaking.emissionCurve());
+        params.emissionCap = easyStaking.emissionCap();
+        params.rewardsFromReserve = easyStaking.rewardsFromReserve();
+        (uint256[] memory ids,) = easyStaking.getPendingParamChanges();
+        timeline.changes = new PendingChange[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            PendingChange memory change = timeline.changes[timeline.changeCount];
+            (
+                change.param,
+                change.value,
+                change.sigmoidParamB,
+                change.sigmoidParamC,
+                change.activationTime,
+            ) = easyStaking.paramChanges(ids[i]);
+            if (ids[i] >= easyStaking.lastAppliedParamChangeIds(uint256(change.param))) {
+                timeline.changeCount++;
+            }
+        }
+        timeline.totalSupply = easyStaking.token().totalSupply();
+        timeline.totalStaked = easyStaking.totalStaked();
+    }
+
+    /**
+     * @dev See "getParamsAt". The new value of the fee and the total supply factor is used
+     * if its update delay elapses by the timestamp.
+     * @param _timeline The timeline of the parameter values (see "_getTimeline").
+     * @param _timestamp The time for which the values are calculated.
+     * @return The values of the parameters at the given time.
+     */
+    function _getParamsAt(Timeline memory _timeline, uint256 _timestamp) internal pure returns (Params memory params) {
+        Params memory current = _timeline.params;
+        params.fee = _timestamp > _timeline.feeUpdateTime ? _timeline.newFee : current.fee;
+        params.totalSupplyFactor = _timestamp > _timeline.totalSupplyFactorUpdateTime
+            ? _timeline.newTotalSupplyFactor
+            : current.totalSupplyFactor;
+        params.sigmoidParams = Sigmoid.Params(current.sigmoidParams.a, current.sigmoidParams.b, current.sigmoidParams.c);
+        params.emissionCurve = current.emissionCurve;
+        params.emissionCap = current.emissionCap;
+        params.rewardsFromReserve = current.rewardsFromReserve;
+        for (uint256 i = 0; i < _timeline.changeCount && _timeline.changes[i].activationTime <= _timestamp; i++) {
+            PendingChange memory change = _timeline.changes[i];
+            if (change.param == EasyStakingBase.Param.Fee) {
+                params.fee = change.value;
+            } else if (change.param == EasyStakingBase.Param.TotalSupplyFactor) {
+                params.totalSupplyFactor = change.value;
+            } else if (change.param == EasyStakingBase.Param.SigmoidParameters) {
+                params.sigmoidParams = Sigmoid.Params(change.value, change.sigmoidParamB, change.sigmoidParamC);
+            } else if (change.param == EasyStakingBase.Param.EmissionCurve) {
+                params.emissionCurve = address(change.value);
+            } else if (change.param == EasyStakingBase.Param.EmissionCap) {
+                params.emissionCap = change.value;
+            } else if (change.param == EasyStakingBase.Param.RewardsFromReserve) {
+                params.rewardsFromReserve = change.value != 0;
+            }
+        }
+    }
+
+    /**
+     * @dev Calculates the emission accrued by the withdrawal in the same way as EasyStaking's "_mint",
+     * with the parameter values at the time of the withdrawal.
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @param _amount Amount based on which emission is calculated and accrued.
+     * @param _timestamp The time of the withdrawal.
+     * @param _timeline The timeline of the parameter values (see "_getTimeline").
+     * @param _params The parameter values at the time of the withdrawal.
+     * @return Total accrued emission (for the user and Liquidity Providers) and user share.
+     */
+    function _getAccruedEmission(
+        address _holder,
+        uint256 _id,
+        uint256 _amount,
+        uint256 _timestamp,
+        Timeline memory _timeline,
+        Params memory _params
+    ) internal view returns (uint256 total, uint256 userShare) {
+        (uint256 accrualDate, uint256 userEmissionRate) = _getUserEmissionRate(_holder, _id, _timestamp, _timeline, _params);
+        if (userEmissionRate == 0) return (0, 0);
+        uint256 accrualPeriod = _getUnpausedDuration(accrualDate, _timestamp);
+        total = _amount.mul(MAX_EMISSION_RATE).mul(accrualPeriod).div(YEAR * 1 ether);
+        userShare = _amount.mul(userEmissionRate).mul(accrualPeriod).div(YEAR * 1 ether);
+        uint256 budget = _getRemainingEmissionBudget(_params);
+        if (total > budget) {
+            userShare = userShare.mul(budget).div(total);
+            total = budget;
+        }
+        userShare = Math.min(userShare.add(_getBoostedEmission(_holder, _id, accrualDate, _amount, _timestamp)), total);
+    }
+
+    /**
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @param _timestamp The time of the withdrawal.
+     * @param _timeline The timeline of the parameter values (see "_getTimeline").
+     * @param _params The parameter values at the time of the withdrawal.
+     * @return The date from which emission accrues and the user's emission rate at the time of the withdrawal
+     * (zero if the deposit is made at that time).
+     */
+    function _getUserEmissionRate(
+        address _holder,
+        uint256 _id,
+        uint256 _timestamp,
+        Timeline memory _timeline,
+        Params memory _params
+    ) internal view returns (uint256 accrualDate, uint256 userEmissionRate) {
+        uint256 depositDate = easyStaking.depositDates(_holder, _id);
+        accrualDate = Math.max(depositDate, easyStaking.emissionClaimDates(_holder, _id));
+        if (_timestamp == depositDate) return (accrualDate, 0);
+        userEmissionRate = _getTimeBasedEmissionRate(_getUnpausedDuration(depositDate, _timestamp), _params).add(
+            _getAverageSupplyBasedEmissionRate(_holder, _id, accrualDate, _timestamp, _timeline, _params.totalSupplyFactor)
+        );
+    }
+
+    /**
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @param _accrualDate The date from which emission is accrued (the deposit date or the date of the last claim).
+     * @param _amount Amount based on which emission is calculated and accrued.
+     * @param _timestamp The time of the withdrawal.
+     * @return The lockup boost of a fixed-term deposit (see EasyStaking's "_getBoostedEmission").
+     */
+    function _getBoostedEmission(
+        address _holder,
+        uint256 _id,
+        uint256 _accrualDate,
+        uint256 _amount,
+        uint256 _timestamp
+    ) internal view returns (uint256) {
+        uint256 lockupEnd = easyStaking.lockupEnds(_holder, _id);
+        if (lockupEnd <= _accrualDate) return 0;
+        uint256 boostPeriod = _getUnpausedDuration(_accrualDate, Math.min(_timestamp, lockupEnd));
+        return _amount.mul(easyStaking.depositBoosts(_holder, _id)).mul(boostPeriod).div(YEAR * 1 ether);
+    }
+
+    /**
+     * @param _from The start of the period.
+     * @param _to The end of the period.
+     * @return Seconds in the period during which EasyStaking was not paused
+     * (if it is paused now, the pause is considered to last until the end of the period).
+     */
+    function _getUnpausedDuration(uint256 _from, uint256 _to) internal view returns (uint256) {
+        return _to.sub(_from).sub(easyStaking.getPausedDuration(_from, _to));
+    }
+
+    /**
+     * @param _depositDuration Seconds passed since the deposit date.
+     * @param _params The parameter values to use.
+     * @return The personal (time-based) emission rate (see EasyStaking's "getTimeBasedEmissionRate").
+     */
+    function _getTimeBasedEmissionRate(uint256 _depositDuration, Params memory _params) internal view returns (uint256) {
+        if (_params.emissionCurve == address(0)) {
+            return Sigmoid.calculate(_params.sigmoidParams, int256(_depositDuration));
+        }
+        return Math.min(IEmissionCurve(_params.emissionCurve).calculate(_depositDuration), MAX_EMISSION_RATE.div(2));
+    }
+
+    /**
+     * @param _timeline The timeline of the parameter values (see "_getTimeline").
+     * @param _totalSupplyFactor The total supply factor to use.
+     * @return The supply-based emission rate for the current total supply and total staked amount
+     * (see EasyStaking's "getSupplyBasedEmissionRate").
+     */
+    function _getSupplyBasedEmissionRate(
+        Timeline memory _timeline,
+        uint256 _totalSupplyFactor
+    ) internal pure returns (uint256) {
+        if (_totalSupplyFactor == 0) return 0;
+        uint256 target = _timeline.totalSupply.mul(_totalSupplyFactor).div(1 ether);
+        uint256 totalStaked = _timeline.totalStaked;
+        uint256 maxSupplyBasedEmissionRate = MAX_EMISSION_RATE.div(2); // 7.5%
+        if (totalStaked >= target) {
+            return maxSupplyBasedEmissionRate;
+        }
+        return maxSupplyBasedEmissionRate.mul(totalStaked).div(target);
+    }
+
+    /**
+     * @dev Extends the cumulative supply-based emission rate of EasyStaking to the timestamp
+     * (see EasyStaking's "getAverageSupplyBasedEmissionRate").
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID.
+     * @param _accrualDate The date from which emission is accrued (the deposit date or the date of the last claim).
+     * @param _timestamp The time of the withdrawal.
+     * @param _timeline The timeline of the parameter values (see "_getTimeline").
+     * @param _totalSupplyFactor The total supply factor at the time of the withdrawal.
+     * @return The time-weighted average of the supply-based emission rate from the accrual date until the timestamp.
+     */
+    function _getAverageSupplyBasedEmissionRate(
+        address _holder,
+        uint256 _id,
+        uint256 _accrualDate,
+        uint256 _timestamp,
+        Timeline memory _timeline,
+        uint256 _totalSupplyFactor
+    ) internal view returns (uint256) {
+        uint256 period = _timestamp.sub(_accrualDate);
+        uint256 updatedAt = easyStaking.supplyBasedEmissionRateUpdatedAt();
+        if (
+            period == 0 ||
+            _accrualDate < easyStaking.supplyBasedEmissionRateAccumulatedSince() ||
+            updatedAt == 0 ||
+            _totalSupplyFactor == 0
+        ) {
+            return _getSupplyBasedEmissionRate(_timeline, _totalSupplyFactor);
+        }
+        uint256 cumulative = easyStaking.supplyBasedEmissionRateCumulative().add(
+            easyStaking.getSupplyBasedEmissionRate().mul(_now().sub(updatedAt))
+        ).add(_getSupplyBasedEmissionRateCumulative(_timeline, _now(), _timestamp));
+        return cumulative.sub(easyStaking.supplyBasedEmissionRateSnapshots(_holder, _id)).div(period);
+    }
+
+    /**
+     * @dev The period is split at the times when the total supply factor can change:
+     * the activation times of the pending changes and the end of the update delay of the factor.
+     * @param _timeline The timeline of the parameter values (see "_getTimeline").
+     * @param _from The start of the period.
+     * @param _to The end of the period.
+     * @return The sum of the supply-based emission rate multiplied by the duration for the period.
+     */
+    function _getSupplyBasedEmissionRateCumulative(
+        Timeline memory _timeline,
+        uint256 _from,
+        uint256 _to
+    ) internal pure returns (uint256 cumulative) {
+        uint256 updateTime = _timeline.totalSupplyFactorUpdateTime.add(1);
+        uint256 time = _from;
+        while (time < _to) {
+            uint256 next = _to;
+            if (updateTime > time && updateTime < next) next = updateTime;
+            for (uint256 i = 0; i < _timeline.changeCount; i++) {
+                uint256 activationTime = _timeline.changes[i].activationTime;
+                if (activationTime > time && activationTime < next) next = activationTime;
+            }
+            uint256 rate = _getSupplyBasedEmissionRate(_timeline, _getParamsAt(_timeline, time).totalSupplyFactor);
+            cumulative = cumulative.add(rate.mul(next.sub(time)));
+            time = next;
+        }
+    }
+
+    /**
+     * @param _params The parameter values to use.
+     * @return The amount of emission EasyStaking can mint before reaching the emission cap
+     * (see EasyStaking's "remainingEmissionBudget").
+     */
+    function _getRemainingEmissionBudget(Params memory _params) internal view returns (uint256 budget) {
+        budget = uint256(-1);
+        if (_params.emissionCap > 0) {
+            uint256 totalMinted = easyStaking.totalMinted();
+            budget = _params.emissionCap > totalMinted ? _params.emissionCap - totalMinted : 0;
+        }
+        if (_params.rewardsFromReserve) {
+            budget = Math.min(budget, easyStaking.rewardReserve());
+        }
+    }
+
+    /**
+     * @return Returns current timestamp.
+     */
+    function _now() internal view returns (uint256) {
+        // Note that the timestamp can have a 900-second error:
+        // https://github.com/ethereum/wiki/blob/c02254611f218f43cbb07517ca8e5d00fd6d6d75/Block-Protocol-2.0.md
+        return now; // solium-disable-line security/no-block-members
+    }
+}
@@ -0,0 +1,374 @@
+pragma solidity 0.5.16;
+
+import "./EasyStakingBase.sol";
+
+/**
+ * @title EasyStakingPools
+ * @dev Staking pools of other tokens than STAKE (e.g. STAKE/ETH LP tokens), each one with its own fee,
+ * withdrawal lock and unlock durations, sigmoid parameters and total supply factor. Pool 0 is the STAKE pool
+ * using the storage of the single-token methods, so the pool methods called with pool ID 0 work like them.
+ * EasyStaking declares the same methods and delegates their calls to the contract set by "setPoolsExtension",
+ * like to EasyStakingExtension, so they are executed in the context (and with the storage) of EasyStaking.
+ */
+contract EasyStakingPools is EasyStakingBase {
+    /**
+     * @dev Adds a staking pool of another token (e.g. STAKE/ETH LP tokens) with its own parameters.
+     * Can only be called by owner. The parameters take effect immediately.
+     * Emission of the pool is calculated like in the STAKE pool (see "EasyStakingBase._mint")
+     * but paid in STAKE tokens to the user instead of being added to the deposit.
+     * @param _tokenAddress The address of the token staked in the pool.
+     * @param _fee The fee of the forced withdrawal (in percentage).
+     * @param _withdrawalLockDuration The time from the request after which the withdrawal will be available (in seconds).
+     * @param _withdrawalUnlockDuration The time during which the withdrawal will be available from the moment of unlocking (in seconds).
+     * @param _totalSupplyFactor Total supply factor for calculating emission rate (in percentage).
+     * @param _sigmoidParamA Sigmoid parameter A.
+     * @param _sigmoidParamB Sigmoid parameter B.
+     * @param _sigmoidParamC Sigmoid parameter C.
+     * @return The ID of the pool.
+     */
+    function addPool(
+        address _tokenAddress,
+        uint256 _fee,
+        uint256 _withdrawalLockDuration,
+        uint256 _withdrawalUnlockDuration,
+        uint256 _totalSupplyFactor,
+        uint256 _sigmoidParamA,
+        int256 _sigmoidParamB,
+        uint256 _sigmoidParamC
+    ) external onlyOwner returns (uint256 poolId) {
+        require(_tokenAddress.isContract(), "not a contract address");
+        require(_tokenAddress != address(token) && poolIds[_tokenAddress] == 0, "token is already staked");
+        _checkPoolParameters(_fee, _withdrawalLockDuration, _withdrawalUnlockDuration, _totalSupplyFactor, _sigmoidParamA);
+        poolId = ++lastPoolId;
+        poolIds[_tokenAddress] = poolId;
+        Pool storage pool = pools[poolId];
+        pool.token = IERC20(_tokenAddress);
+        _setUintParam(pool.fee, _fee);
+        _setUintParam(pool.withdrawalLockDuration, _withdrawalLockDuration);
+        _setUintParam(pool.withdrawalUnlockDuration, _withdrawalUnlockDuration);
+        _setUintParam(pool.totalSupplyFactor, _totalSupplyFactor);
+        pool.sigmoid.setParameters(_sigmoidParamA, _sigmoidParamB, _sigmoidParamC);
+        pool.supplyBasedEmissionRateUpdatedAt = _now();
+        emit PoolAdded(poolId, _tokenAddress, msg.sender);
+        emit PoolParametersSet(
+            poolId,
+            _fee,
+            _withdrawalLockDuration,
+            _withdrawalUnlockDuration,
+            _totalSupplyFactor,
+            _sigmoidParamA,
+            _sigmoidParamB,
+            _sigmoidParamC,
+            msg.sender
+        );
+    }
+
+    /**
+     * @dev Sets the parameters of a pool. Can only be called by owner.
+     * The new values take effect after "PARAM_UPDATE_DELAY" (setting them again within the delay replaces them).
+     * The parameters of the STAKE pool are changed with the parameter change queue.
+     * @param _poolId The ID of the pool.
+     * @param _fee The fee of the forced withdrawal (in percentage).
+     * @param _withdrawalLockDuration The time from the request after which the withdrawal will be available (in seconds).
+     * @param _withdrawalUnlockDuration The time during which the withdrawal will be available from the moment of unlocking (in seconds).
+     * @param _totalSupplyFactor Total supply factor for calculating emission rate (in percentage).
+     * @param _sigmoidParamA Sigmoid parameter A.
+     * @param _sigmoidParamB Sigmoid parameter B.
+     * @param _sigmoidParamC Sigmoid parameter C.
+     */
+    function setPoolParameters(
+        uint256 _poolId,
+        uint256 _fee,
+        uint256 _withdrawalLockDuration,
+        uint256 _withdrawalUnlockDuration,
+        uint256 _totalSupplyFactor,
+        uint256 _sigmoidParamA,
+        int256 _sigmoidParamB,
+        uint256 _sigmoidParamC
+    ) external onlyOwner {
+        Pool storage pool = _getPool(_poolId);
+        _checkPoolParameters(_fee, _withdrawalLockDuration, _withdrawalUnlockDuration, _totalSupplyFactor, _sigmoidParamA);
+        // the cumulative rate of the previous factor
+        _updatePoolSupplyBasedEmissionRateCumulative(pool);
+        _updateUintParam(pool.fee, _fee);
+        _updateUintParam(pool.withdrawalLockDuration, _withdrawalLockDuration);
+        _updateUintParam(pool.withdrawalUnlockDuration, _withdrawalUnlockDuration);
+        _updateUintParam(pool.totalSupplyFactor, _totalSupplyFactor);
+        pool.sigmoid.updateParameters(_sigmoidParamA, _sigmoidParamB, _sigmoidParamC);
+        emit PoolParametersSet(
+            _poolId,
+            _fee,
+            _withdrawalLockDuration,
+            _withdrawalUnlockDuration,
+            _totalSupplyFactor,
+            _sigmoidParamA,
+            _sigmoidParamB,
+            _sigmoidParamC,
+            msg.sender
+        );
+    }
+
+    /**
+     * @dev This method is used to deposit tokens to a pool. Sender must approve tokens first.
+     * Like "EasyStaking.deposit", each call updates the deposit date. The emission accrued by the deposit
+     * before the call is paid (see "addPool").
+     * @param _poolId The ID of the pool (0 - the STAKE pool, the same as "EasyStaking.deposit").
+     * @param _depositId User's unique deposit ID in the pool (0 - to make a new deposit).
+     * @param _amount The amount to deposit.
+     * @return The deposit ID.
+     */
+    function depositToPool(uint256 _poolId, uint256 _depositId, uint256 _amount) external returns (uint256 id) {
+        id = _depositId;
+        if (_poolId == 0) {
+            if (id == 0) {
+                id = ++lastDepositIds[msg.sender];
+            } else {
+                _checkDepositId(msg.sender, id);
+            }
+            _deposit(msg.sender, id, _amount);
+            _receiveTokens(msg.sender, _amount);
+        } else {
+            Pool storage pool = _getPool(_poolId);
+            if (id == 0) {
+                id = ++pool.lastDepositIds[msg.sender];
+            } else {
+                _checkPoolDepositId(_poolId, msg.sender, id);
+            }
+            _poolDeposit(_poolId, msg.sender, id, _amount);
+            pool.token.safeTransferFrom(msg.sender, address(this), _amount);
+        }
+    }
+
+    /**
+     * @dev This method is used to request a withdrawal from a pool without a fee.
+     * See the description of "EasyStaking.requestWithdrawal" method.
+     * @param _poolId The ID of the pool (0 - the STAKE pool).
+     * @param _depositId User's unique deposit ID in the pool.
+     */
+    function requestPoolWithdrawal(uint256 _poolId, uint256 _depositId) external {
+        if (_poolId == 0) return _requestWithdrawal(msg.sender, _depositId);
+        _checkPoolDepositId(_poolId, msg.sender, _depositId);
+        poolDeposits[_poolId][msg.sender][_depositId].withdrawalRequestDate = _now();
+        emit PoolWithdrawalRequested(_poolId, msg.sender, _depositId);
+    }
+
+    /**
+     * @dev This method is used to cancel the withdrawal request in a pool.
+     * @param _poolId The ID of the pool (0 - the STAKE pool).
+     * @param _depositId User's unique deposit ID in the pool.
+     */
+    function cancelPoolWithdrawalRequest(uint256 _poolId, uint256 _depositId) external {
+        if (_poolId == 0) return _cancelWithdrawalRequest(msg.sender, _depositId);
+        PoolDeposit storage poolDeposit = poolDeposits[_poolId][msg.sender][_depositId];
+        require(poolDeposit.withdrawalRequestDate > 0, "withdrawal wasn't requested");
+        poolDeposit.withdrawalRequestDate = 0;
+        emit PoolWithdrawalRequestCancelled(_poolId, msg.sender, _depositId);
+    }
+
+    /**
+     * @dev This method is used to make a requested withdrawal from a pool.
+     * See the description of "EasyStaking.makeRequestedWithdrawal" method.
+     * @param _poolId The ID of the pool (0 - the STAKE pool).
+     * @param _depositId User's unique deposit ID in the pool.
+     * @param _amount The amount to withdraw (0 - to withdraw all).
+     */
+    function makeRequestedPoolWithdrawal(uint256 _poolId, uint256 _depositId, uint256 _amount) external {
+        if (_poolId == 0) return _makeRequestedWithdrawal(msg.sender, _depositId, _amount);
+        Pool storage pool = _getPool(_poolId);
+        PoolDeposit storage poolDeposit = poolDeposits[_poolId][msg.sender][_depositId];
+        _checkWithdrawalWindow(
+            poolDeposit.withdrawalRequestDate,
+            _getUintParamValue(pool.withdrawalLockDuration),
+            _getUintParamValue(pool.withdrawalUnlockDuration)
+        );
+        poolDeposit.withdrawalRequestDate = 0;
+        _poolWithdraw(_poolId, msg.sender, _depositId, _amount, false);
+    }
+
+    /**
+     * @dev This method is used to make a forced withdrawal from a pool with the fee of the pool.
+     * The fee is kept in the contract and can be claimed by the owner with "claimTokens".
+     * @param _poolId The ID of the pool (0 - the STAKE pool).
+     * @param _depositId User's unique deposit ID in the pool.
+     * @param _amount The amount to withdraw (0 - to withdraw all).
+     */
+    function makeForcedPoolWithdrawal(uint256 _poolId, uint256 _depositId, uint256 _amount) external {
+        if (_poolId == 0) return _withdraw(msg.sender, _depositId, _amount, true);
+        _poolWithdraw(_poolId, msg.sender, _depositId, _amount, true);
+    }
+
+    /**
+     * @dev Pays the emission accrued by the deposit in the pool, increases the user balance, and updates the deposit date.
+     * @param _poolId The ID of the pool.
+     * @param _sender The address of the sender.
+     * @param _id User's unique deposit ID in the pool.
+     * @param _amount The amount to deposit.
+     */
+    function _poolDeposit(uint256 _poolId, address _sender, uint256 _id, uint256 _amount) internal nonReentrant {
+        require(_amount > 0, "deposit amount should be more than 0");
+        _checkNotPaused();
+        Pool storage pool = pools[_poolId];
+        (uint256 sigmoidParamA,,) = pool.sigmoid.getParameters();
+        if (sigmoidParamA == 0 && _getUintParamValue(pool.totalSupplyFactor) == 0) {
+            revert("emission stopped");
+        }
+        PoolDeposit storage poolDeposit = poolDeposits[_poolId][_sender][_id];
+        (uint256 userShare, uint256 timePassed) = _mintPool(_poolId, _sender, _id, poolDeposit.balance);
+        uint256 newBalance = poolDeposit.balance.add(_amount);
+        poolDeposit.balance = newBalance;
+        pool.totalStaked = pool.totalStaked.add(_amount);
+        poolDeposit.depositDate = _now();
+        poolDeposit.supplyBasedEmissionRateSnapshot = pool.supplyBasedEmissionRateCumulative;
+        emit PoolDeposited(_poolId, _sender, _id, _amount, newBalance, userShare, timePassed);
+    }
+
+    /**
+     * @dev Pays the emission accrued by the withdrawn amount and then transfers the tokens of the pool to the sender.
+     * @param _poolId The ID of the pool.
+     * @param _sender The address of the sender.
+     * @param _id User's unique deposit ID in the pool.
+     * @param _amount The amount to withdraw (0 - to withdraw all).
+     * @param _forced Defines whether to apply fee (true), or not (false). The fee is not applied while paused.
+     */
+    function _poolWithdraw(uint256 _poolId, address _sender, uint256 _id, uint256 _amount, bool _forced) internal nonReentrant {
+        _checkPoolDepositId(_poolId, _sender, _id);
+        PoolDeposit storage poolDeposit = poolDeposits[_poolId][_sender][_id];
+        require(poolDeposit.balance > 0 && poolDeposit.balance >= _amount, "insufficient funds");
+        uint256 amount = _amount == 0 ? poolDeposit.balance : _amount;
+        (uint256 accruedEmission, uint256 timePassed) = _mintPool(_poolId, _sender, _id, amount);
+        poolDeposit.balance = poolDeposit.balance.sub(amount);
+        if (poolDeposit.balance == 0) {
+            poolDeposit.depositDate = 0;
+        }
+        uint256 feeValue;
+        (amount, feeValue) = _transferFromPool(_poolId, _sender, amount, _forced);
+        emit PoolWithdrawn(_poolId, _sender, _id, amount, feeValue, poolDeposit.balance, accruedEmission, timePassed, _forced);
+    }
+
+    /**
+     * @dev Decreases the total staked amount of the pool and transfers the withdrawn tokens of the pool
+     * except for the fee, which is kept in the contract.
+     * @param _poolId The ID of the pool.
+     * @param _to The address of the recipient.
+     * @param _amount The withdrawn amount.
+     * @param _forced Defines whether to apply fee (true), or not (false). The fee is not applied while paused.
+     * @return The transferred amount and the fee.
+     */
+    function _transferFromPool(
+        uint256 _poolId,
+        address _to,
+        uint256 _amount,
+        bool _forced
+    ) internal returns (uint256 amount, uint256 feeValue) {
+        Pool storage pool = pools[_poolId];
+        pool.totalStaked = pool.totalStaked.sub(_amount);
+        if (_forced && !paused) {
+            feeValue = _amount.mul(_getUintParamValue(pool.fee)).div(1 ether);
+        }
+        amount = _amount.sub(feeValue);
+        pool.token.safeTransfer(_to, amount);
+    }
+
+    /**
+     * @dev Pays the emission accrued by the deposit in the pool. It is minted (or paid from the reward reserve)
+     * in STAKE tokens and sent to the user instead of being added to the deposit.
+     * @param _poolId The ID of the pool.
+     * @param _user User's address.
+     * @param _id User's unique deposit ID in the pool.
+     * @param _amount Amount based on which emission is calculated and accrued.
+     * @return User share of accrued emission and seconds passed since the deposit date.
+     */
+    function _mintPool(uint256 _poolId, address _user, uint256 _id, uint256 _amount) internal returns (uint256, uint256) {
+        _updatePoolSupplyBasedEmissionRateCumulative(pools[_poolId]);
+        (uint256 total, uint256 userShare, uint256 timePassed) = _getPoolAccruedEmission(_poolId, _user, _id, _amount);
+        if (total > 0) {
+            if (!rewardsFromReserve) {
+                require(token.mint(address(this), total), "minting failed");
+            }
+            totalMinted = totalMinted.add(total);
+            liquidityProvidersReward = liquidityProvidersReward.add(total.sub(userShare));
+            _transferTokens(_user, userShare);
+            emit PoolEmissionAccrued(_poolId, _user, _id, userShare, total.sub(userShare));
+        }
+        return (userShare, timePassed);
+    }
+
+    /**
+     * @dev Calculates emission accrued by the deposit in the pool since the deposit date like in the STAKE pool
+     * (see "EasyStakingBase._getAccruedEmission") with the sigmoid and the average supply-based emission rate of the pool.
+     * @param _poolId The ID of the pool.
+     * @param _user User's address.
+     * @param _id User's unique deposit ID in the pool.
+     * @param _amount Amount based on which emission is calculated and accrued.
+     * @return Total accrued emission (for the user and Liquidity Providers), user share, and seconds passed since the deposit date
+     * (except for the paused time).
+     */
+    function _getPoolAccruedEmission(
+        uint256 _poolId,
+        address _user,
+        uint256 _id,
+        uint256 _amount
+    ) internal view returns (uint256 total, uint256 userShare, uint256 timePassed) {
+        Pool storage pool = pools[_poolId];
+        PoolDeposit storage poolDeposit = poolDeposits[_poolId][_user][_id];
+        uint256 depositDate = poolDeposit.depositDate;
+        if (_amount == 0 || depositDate == 0) return (0, 0, 0);
+        uint256 period = _now().sub(depositDate);
+        timePassed = period.sub(getPausedDuration(depositDate, _now()));
+        if (timePassed == 0) return (0, 0, 0);
+        uint256 supplyBasedEmissionRate = pool.supplyBasedEmissionRateCumulative
+            .sub(poolDeposit.supplyBasedEmissionRateSnapshot)
+            .div(period);
+        uint256 userEmissionRate = pool.sigmoid.calculate(int256(timePassed)).add(supplyBasedEmissionRate);
+        (total, userShare) = _getEmission(depositDate, _amount, userEmissionRate);
+    }
+
+    /**
+     * @dev Adds the supply-based emission rate of the pool multiplied by the time passed since the last update
+     * to the cumulative rate of the pool. Called before the changes of the total staked amount of the pool
+     * and its factor. A change of the factor taking effect since the last update is taken into account.
+     * @param _pool The pool.
+     */
+    function _updatePoolSupplyBasedEmissionRateCumulative(Pool storage _pool) internal {
+        uint256 timestamp = _now();
+        uint256 updatedAt = _pool.supplyBasedEmissionRateUpdatedAt;
+        uint256 cumulative = _pool.supplyBasedEmissionRateCumulative;
+        UintParam memory factor = _pool.totalSupplyFactor;
+        uint256 totalSupply = _pool.token.totalSupply();
+        uint256 activationTime = factor.timestamp.add(PARAM_UPDATE_DELAY);
+        if (updatedAt < activationTime && activationTime < timestamp) {
+            uint256 oldRate = _getSupplyBasedEmissionRate(totalSupply, _pool.totalStaked, factor.oldValue);
+            cumulative = cumulative.add(oldRate.mul(activationTime - updatedAt));
+            updatedAt = activationTime;
+        }
+        uint256 rate = _getSupplyBasedEmissionRate(totalSupply, _pool.totalStaked, _getUintParamValue(factor));
+        _pool.supplyBasedEmissionRateCumulative = cumulative.add(rate.mul(timestamp - updatedAt));
+        _pool.supplyBasedEmissionRateUpdatedAt = timestamp;
+    }
+
+    /**
+     * @dev Checks that the pool exists and the deposit ID was generated for the holder in the pool.
+     * @param _poolId The ID of the pool.
+     * @param _holder The address of the deposit holder.
+     * @param _id User's unique deposit ID in the pool.
+     */
+    function _checkPoolDepositId(uint256 _poolId, address _holder, uint256 _id) internal view {
+        require(_id > 0 && _id <= _getPool(_poolId).lastDepositIds[_holder], "wrong deposit id");
+    }
+
+    /**
+     * @dev Checks the parameters of a pool like the setters of the STAKE pool parameters.
+     */
+    function _checkPoolParameters(
+        uint256 _fee,
+        uint256 _withdrawalLockDuration,
+        uint256 _withdrawalUnlockDuration,
+        uint256 _totalSupplyFactor,
+        uint256 _sigmoidParamA
+    ) internal pure {
+        require(_fee <= 1 ether && _totalSupplyFactor <= 1 ether, "should be less than or equal to 1 ether");
+        require(_withdrawalLockDuration <= 30 days, "shouldn't be greater than 30 days");
+        require(_withdrawalUnlockDuration >= 1 hours, "shouldn't be less than 1 hour");
+        _checkRate(_sigmoidParamA);
+    }
+}
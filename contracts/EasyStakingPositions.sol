@@ -0,0 +1,68 @@
+pragma solidity 0.5.16;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC721/ERC721Full.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/Address.sol";
+import "./EasyStaking.sol";
+import "./IDepositReceiver.sol";
+
+/**
+ * @title EasyStakingPositions
+ *
+ * Represents EasyStaking deposits as transferable ERC-721 positions.
+ * A deposit is wrapped by transferring it to this contract using "EasyStaking.transferDepositAndCall".
+ * The ID of the minted token is equal to the ID of the deposit held by this contract in EasyStaking,
+ * so the balance, deposit date and withdrawal request date of the position can be read from EasyStaking getters.
+ */
+contract EasyStakingPositions is ERC721Full, IDepositReceiver {
+    using Address for address;
+
+    /**
+     * @dev Emitted when a position is unwrapped back to a deposit.
+     * @param tokenId The ID of the burnt token.
+     * @param to The address of the new deposit holder.
+     * @param depositId The deposit ID generated for the new deposit holder.
+     */
+    event Redeemed(uint256 indexed tokenId, address indexed to, uint256 depositId);
+
+    // EasyStaking contract
+    EasyStaking public easyStaking;
+
+    /**
+     * @dev Initializes the contract.
+     * @param _easyStakingAddress The address of the EasyStaking contract.
+     */
+    function initialize(address _easyStakingAddress) external initializer {
+        require(_easyStakingAddress.isContract(), "not a contract address");
+        ERC721.initialize();
+        ERC721Enumerable.initialize();
+        ERC721Metadata.initialize("EasyStaking Position", "ESP");
+        easyStaking = EasyStaking(_easyStakingAddress);
+    }
+
+    /**
+     * @dev This method is called when a deposit is transferred to this contract
+     * using "transferDeposit" or "transferDepositAndCall" method of EasyStaking contract.
+     * It mints the token representing the deposit to the previous deposit holder.
+     * @param _from The previous deposit holder.
+     * @param _depositId The deposit ID generated for this contract.
+     * @return true if successful
+     */
+    function onDepositTransfer(address _from, uint256 _depositId, bytes calldata) external returns (bool) {
+        require(msg.sender == address(easyStaking), "only EasyStaking contract is allowed");
+        _mint(_from, _depositId);
+        return true;
+    }
+
+    /**
+     * @dev This method is used to burn the token and transfer the deposit it represents to the given address.
+     * @param _tokenId The ID of the token.
+     * @param _to The address of the new deposit holder.
+     * @return The deposit ID generated for the new deposit holder.
+     */
+    function redeem(uint256 _tokenId, address _to) external returns (uint256 depositId) {
+        require(_isApprovedOrOwner(msg.sender, _tokenId), "caller is not owner nor approved");
+        _burn(_tokenId);
+        depositId = easyStaking.transferDeposit(_tokenId, _to);
+        emit Redeemed(_tokenId, _to, depositId);
+    }
+}
@@ -0,0 +1,6 @@
+pragma solidity 0.5.16;
+
+
+interface IDepositReceiver {
+    function onDepositTransfer(address _from, uint256 _depositId, bytes calldata _data) external returns (bool);
+}
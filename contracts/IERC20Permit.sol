@@ -0,0 +1,14 @@
+pragma solidity 0.5.16;
+
+
+interface IERC20Permit {
+    function permit(
+        address _owner,
+        address _spender,
+        uint256 _value,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external;
+}
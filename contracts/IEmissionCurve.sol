@@ -0,0 +1,6 @@
+pragma solidity 0.5.16;
+
+
+interface IEmissionCurve {
+    function calculate(uint256 _depositDuration) external view returns (uint256);
+}
@@ -0,0 +1,210 @@
+pragma solidity 0.5.16;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/ownership/Ownable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/Address.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title LiquidityProvidersRewardSplitter
+ *
+ * Splits the Liquidity Providers reward between several recipients (e.g. several liquidity pools).
+ * It is set as the Liquidity Providers reward address of EasyStaking, so it receives both the emission
+ * remainder and the fees of forced withdrawals. The received tokens are sent to the recipients
+ * in proportion to their weights by the "distribute" method, which can be called by anyone.
+ * A new split becomes active 7 days after it is set, like the parameters of EasyStaking. It is stored
+ * as the current split by the next "distribute" or "setSplit" call, which distributes the tokens received
+ * before that call by the previous split first.
+ */
+contract LiquidityProvidersRewardSplitter is Ownable {
+    using Address for address;
+    using SafeMath for uint256;
+
+    /**
+     * @dev Emitted when the split is changed.
+     * @param recipients The addresses of the recipients.
+     * @param weights The weights of the recipients (in percentage).
+     * @param sender The owner.
+     */
+    event SplitSet(address[] recipients, uint256[] weights, address sender);
+
+    /**
+     * @dev Emitted when the pending split becomes active.
+     * @param recipients The addresses of the recipients.
+     * @param weights The weights of the recipients (in percentage).
+     * @param sender The address that called the method.
+     */
+    event SplitActivated(address[] recipients, uint256[] weights, address sender);
+
+    /**
+     * @dev Emitted when the balance is distributed between the recipients.
+     * @param amount The distributed amount.
+     * @param sender The address that called the method.
+     */
+    event Distributed(uint256 amount, address sender);
+
+    struct Split {
+        address[] recipients;
+        uint256[] weights;
+    }
+
+    // The maximum number of recipients
+    uint256 public constant MAX_RECIPIENTS = 10;
+    // The period after which the new value of the split is set
+    uint256 public constant PARAM_UPDATE_DELAY = 7 days;
+
+    // STAKE token
+    IERC20 public token;
+
+    // The split the received tokens are distributed by
+    Split internal split;
+    // The split that replaces the current one after the delay
+    Split internal pendingSplit;
+    // The time when the pending split was set (0 - no pending split)
+    uint256 internal pendingSplitTimestamp;
+
+    /**
+     * @dev Initializes the contract.
+     * @param _owner The owner of the contract.
+     * @param _tokenAddress The address of the STAKE token contract.
+     * @param _recipients The addresses of the recipients.
+     * @param _weights The weights of the recipients (in percentage), should sum up to 100%.
+     */
+    function initialize(
+        address _owner,
+        address _tokenAddress,
+        address[] calldata _recipients,
+        uint256[] calldata _weights
+    ) external initializer {
+        require(_owner != address(0), "zero address");
+        require(_tokenAddress.isContract(), "not a contract address");
+        Ownable.initialize(_owner);
+        token = IERC20(_tokenAddress);
+        _checkSplit(_recipients, _weights);
+        split = Split(_recipients, _weights);
+        emit SplitSet(_recipients, _weights, msg.sender);
+    }
+
+    /**
+     * @dev Sends the balance of this contract to the recipients of the current split in proportion to their weights.
+     * Can be called by anyone. The rounding remainder is sent to the last recipient.
+     * If the delay of the pending split is over, the balance is distributed by the current split
+     * and then the pending split becomes active.
+     */
+    function distribute() external {
+        bool activated = _activatePendingSplit();
+        require(activated || _distribute(), "nothing to distribute");
+    }
+
+    /**
+     * @dev Sets the split of the reward. Can only be called by owner.
+     * The current split remains active during "PARAM_UPDATE_DELAY" after the call, then the new split
+     * becomes active, and the next call of "distribute" or "setSplit" distributes the balance received until then
+     * by the previous split. A repeated call during the delay replaces the pending split.
+     * @param _recipients The addresses of the recipients.
+     * @param _weights The weights of the recipients (in percentage), should sum up to 100%.
+     */
+    function setSplit(address[] calldata _recipients, uint256[] calldata _weights) external onlyOwner {
+        _checkSplit(_recipients, _weights);
+        _activatePendingSplit();
+        pendingSplit = Split(_recipients, _weights);
+        pendingSplitTimestamp = _now();
+        emit SplitSet(_recipients, _weights, msg.sender);
+    }
+
+    /**
+     * @dev Once the delay of the pending split is over, it is returned as the current split
+     * even if it isn't activated by "distribute" or "setSplit" yet.
+     * @return The recipients and weights of the current split, the recipients and weights of the pending split
+     * and the time from which it is active (empty arrays and zero if there is no pending split).
+     */
+    function getSplits() external view returns (
+        address[] memory recipients,
+        uint256[] memory weights,
+        address[] memory pendingRecipients,
+        uint256[] memory pendingWeights,
+        uint256 pendingActivationTime
+    ) {
+        if (pendingSplitTimestamp == 0) {
+            return (split.recipients, split.weights, pendingRecipients, pendingWeights, 0);
+        }
+        if (_paramUpdateDelayElapsed(pendingSplitTimestamp)) {
+            return (pendingSplit.recipients, pendingSplit.weights, pendingRecipients, pendingWeights, 0);
+        }
+        return (
+            split.recipients,
+            split.weights,
+            pendingSplit.recipients,
+            pendingSplit.weights,
+            pendingSplitTimestamp.add(PARAM_UPDATE_DELAY).add(1)
+        );
+    }
+
+    /**
+     * @dev Sends the balance of this contract to the recipients of the current split.
+     * @return Returns false if there is nothing to distribute.
+     */
+    function _distribute() internal returns (bool) {
+        uint256 amount = token.balanceOf(address(this));
+        if (amount == 0) return false;
+        uint256 count = split.recipients.length;
+        uint256 distributed = 0;
+        for (uint256 i = 0; i < count - 1; i++) {
+            uint256 share = amount.mul(split.weights[i]).div(1 ether);
+            distributed = distributed.add(share);
+            require(token.transfer(split.recipients[i], share), "transfer failed");
+        }
+        require(token.transfer(split.recipients[count - 1], amount.sub(distributed)), "transfer failed");
+        emit Distributed(amount, msg.sender);
+        return true;
+    }
+
+    /**
+     * @dev Distributes the balance by the current split and makes the pending split active
+     * if its delay is over.
+     * @return Returns true if the pending split is activated.
+     */
+    function _activatePendingSplit() internal returns (bool) {
+        if (pendingSplitTimestamp == 0 || !_paramUpdateDelayElapsed(pendingSplitTimestamp)) return false;
+        _distribute();
+        split = pendingSplit;
+        delete pendingSplit;
+        pendingSplitTimestamp = 0;
+        emit SplitActivated(split.recipients, split.weights, msg.sender);
+        return true;
+    }
+
+    /**
+     * @dev Checks the recipients and weights of a split.
+     * @param _recipients The addresses of the recipients.
+     * @param _weights The weights of the recipients (in percentage), should sum up to 100%.
+     */
+    function _checkSplit(address[] memory _recipients, uint256[] memory _weights) internal view {
+        require(_recipients.length > 0 && _recipients.length <= MAX_RECIPIENTS, "wrong number of recipients");
+        require(_recipients.length == _weights.length, "arrays length mismatch");
+        uint256 totalWeight = 0;
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            require(_recipients[i] != address(0), "zero address");
+            require(_recipients[i] != address(this), "wrong address");
+            require(_weights[i] > 0, "weight should be greater than 0");
+            totalWeight = totalWeight.add(_weights[i]);
+        }
+        require(totalWeight == 1 ether, "weights should sum up to 1 ether");
+    }
+
+    /**
+     * @return Returns true if param update delay elapsed.
+     */
+    function _paramUpdateDelayElapsed(uint256 _paramTimestamp) internal view returns (bool) {
+        return _now() > _paramTimestamp.add(PARAM_UPDATE_DELAY);
+    }
+
+    /**
+     * @return Returns current timestamp.
+     */
+    function _now() internal view returns (uint256) {
+        // Note that the timestamp can have a 900-second error:
+        // https://github.com/ethereum/wiki/blob/c02254611f218f43cbb07517ca8e5d00fd6d6d75/Block-Protocol-2.0.md
+        return now; // solium-disable-line security/no-block-members
+    }
+}
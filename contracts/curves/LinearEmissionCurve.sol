@@ -0,0 +1,39 @@
+pragma solidity 0.5.16;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "../IEmissionCurve.sol";
+
+/**
+ * @title LinearEmissionCurve
+ *
+ * The time-based emission rate that grows linearly from zero to the maximum rate
+ * over the given duration and stays at the maximum afterwards.
+ * Can be set as the emission curve of EasyStaking instead of the default sigmoid.
+ */
+contract LinearEmissionCurve is IEmissionCurve {
+    using SafeMath for uint256;
+
+    // The rate reached at the end of the duration (in percentage)
+    uint256 public maxRate;
+    // The time it takes to reach the maximum rate (in seconds)
+    uint256 public duration;
+
+    /**
+     * @param _maxRate The rate reached at the end of the duration (in percentage).
+     * @param _duration The time it takes to reach the maximum rate (in seconds).
+     */
+    constructor(uint256 _maxRate, uint256 _duration) public {
+        require(_duration > 0, "should be greater than 0");
+        maxRate = _maxRate;
+        duration = _duration;
+    }
+
+    /**
+     * @param _depositDuration Seconds passed since the deposit date.
+     * @return The time-based emission rate (in percentage).
+     */
+    function calculate(uint256 _depositDuration) external view returns (uint256) {
+        if (_depositDuration >= duration) return maxRate;
+        return maxRate.mul(_depositDuration).div(duration);
+    }
+}
@@ -23,21 +23,31 @@ library Sigmoid {
     }
 
     /**
-     * @dev Sets sigmoid parameters
+     * @dev Sets sigmoid parameters immediately (the update delay is handled by the caller)
      * @param _a Sigmoid parameter A.
      * @param _b Sigmoid parameter B.
      * @param _c Sigmoid parameter C.
      */
     function setParameters(State storage self, uint256 _a, int256 _b, uint256 _c) internal {
         require(_c != 0, "should be greater than 0"); // prevent division by zero
-        uint256 currentTimestamp = _now();
-        if (self.timestamp == 0) {
-            self.oldParams = Params(_a, _b, _c);
-        } else if (currentTimestamp > self.timestamp.add(PARAM_UPDATE_DELAY)) {
-            self.oldParams = self.newParams;
-        }
+        self.oldParams = Params(_a, _b, _c);
         self.newParams = Params(_a, _b, _c);
-        self.timestamp = currentTimestamp;
+        self.timestamp = _now();
+    }
+
+    /**
+     * @dev Sets sigmoid parameters that take effect after the update delay
+     * (the current ones are used until then).
+     * @param _a Sigmoid parameter A.
+     * @param _b Sigmoid parameter B.
+     * @param _c Sigmoid parameter C.
+     */
+    function updateParameters(State storage self, uint256 _a, int256 _b, uint256 _c) internal {
+        require(_c != 0, "should be greater than 0"); // prevent division by zero
+        (uint256 a, int256 b, uint256 c) = getParameters(self);
+        self.oldParams = Params(a, b, c);
+        self.newParams = Params(_a, _b, _c);
+        self.timestamp = _now();
     }
 
     /**
@@ -55,10 +65,18 @@ library Sigmoid {
      */
     function calculate(State storage self, int256 _x) internal view returns (uint256) {
         (uint256 a, int256 b, uint256 c) = getParameters(self);
-        int256 k = _x - b;
+        return calculate(Params(a, b, c), _x);
+    }
+
+    /**
+     * @dev The same as "calculate" for the given parameters instead of the stored ones.
+     * @return The corresponding Y value for a given X value
+     */
+    function calculate(Params memory _params, int256 _x) internal pure returns (uint256) {
+        int256 k = _x - _params.b;
         if (k < 0) return 0;
         uint256 uk = uint256(k);
-        return a.mul(uk).div(uk.pow2().add(c).sqrt());
+        return _params.a.mul(uk).div(uk.pow2().add(_params.c).sqrt());
     }
 
     /**
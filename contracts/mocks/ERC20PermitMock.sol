@@ -0,0 +1,37 @@
+pragma solidity 0.5.16;
+
+import "./ERC677Mock.sol";
+
+contract ERC20PermitMock is ERC677Mock {
+    bytes32 public constant PERMIT_TYPEHASH = keccak256(
+        "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+    );
+
+    mapping (address => uint256) public nonces;
+
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(deadline >= now, "permit expired"); // solium-disable-line security/no-block-members
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, deadline));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == owner, "invalid signature");
+        _approve(owner, spender, value);
+    }
+
+    // solium-disable-next-line mixedcase
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        uint256 chainId;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly { chainId := chainid() }
+        bytes32 typeHash = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+        return keccak256(abi.encode(typeHash, keccak256(bytes(name())), keccak256("1"), chainId, address(this)));
+    }
+}
@@ -0,0 +1,308 @@
+const BN = require('bn.js');
+const ethers = require('ethers');
+const { PARAMS } = require('./indexer');
+
+/**
+ * Commands of the EasyStaking CLI (see "scripts/cli.js").
+ *
+ * Argument types:
+ * - "amount" - an amount of STAKE tokens with decimals (e.g. "1.5");
+ * - "percent" - a percentage as a fraction (e.g. "0.02" for 2%), stored with 18 decimals like in the contract;
+ * - "uint" and "int" - integers passed as is (e.g. durations in seconds, deposit IDs);
+ * - "address" and "bool" ("true" or "false").
+ * Arguments ending with "?" are optional and zero by default.
+ */
+const COMMANDS = {
+  'deposit': { args: ['amount', 'uint?'], usage: '<amount> [depositId]' },
+  'request-withdrawal': { method: 'requestWithdrawal', args: ['uint'] },
+  'cancel-withdrawal-request': { method: 'cancelWithdrawalRequest', args: ['uint'] },
+  'withdraw': { method: 'makeRequestedWithdrawal', args: ['uint', 'amount?'], usage: '<depositId> [amount]' },
+  'force-withdraw': { method: 'makeForcedWithdrawal', args: ['uint', 'amount?'], usage: '<depositId> [amount]' },
+  'pending-changes': { args: [] },
+  'apply-change': { method: 'applyParamChange', args: ['uint'] },
+  'cancel-change': { method: 'cancelParamChange', args: ['uint'] },
+  'set-fee': { method: 'setFee', args: ['percent'] },
+  'set-withdrawal-lock-duration': { method: 'setWithdrawalLockDuration', args: ['uint'] },
+  'set-withdrawal-unlock-duration': { method: 'setWithdrawalUnlockDuration', args: ['uint'] },
+  'set-total-supply-factor': { method: 'setTotalSupplyFactor', args: ['percent'] },
+  'set-sigmoid-parameters': { method: 'setSigmoidParameters', args: ['percent', 'int', 'uint'], usage: '<a> <b> <c>' },
+  'set-liquidity-providers-reward-address': { method: 'setLiquidityProvidersRewardAddress', args: ['address'] },
+  'set-emission-curve': { method: 'setEmissionCurve', args: ['address'] },
+  'set-emission-cap': { method: 'setEmissionCap', args: ['amount'] },
+  'set-rewards-from-reserve': { method: 'setRewardsFromReserve', args: ['bool'] },
+  'set-lockup-boost': { method: 'setLockupBoost', args: ['uint', 'percent'], usage: '<duration> <boost>' },
+  'set-pause-guardian': { method: 'setPauseGuardian', args: ['address'] },
+  'claim-tokens': { method: 'claimTokens', args: ['address', 'address', 'uint'], usage: '<token> <to> <amountWei>' },
+  'transfer-ownership': { method: 'transferOwnership', args: ['address'] },
+};
+
+const TOKEN_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+const LENS_ABI = [
+  'function previewWithdrawal(address _holder, uint256 _id, uint256 _amount, uint256 _timestamp, bool _forced) ' +
+    'view returns (uint256 userShare, uint256 liquidityProvidersShare, uint256 fee, uint256 netAmount)',
+];
+
+// Withdrawals are previewed for this number of seconds after the latest block, since the transaction is mined later
+// and some nodes (e.g. ganache) execute "eth_call" at the current time, while the Lens doesn't preview the past
+const PREVIEW_DELAY = 15;
+
+/**
+ * @param argv Command line arguments (without "node" and the script path).
+ * @return Object with "command", "args" and "options" ({ network, address, lens, from, dryRun }) fields.
+ */
+function parseArgs(argv) {
+  const options = { network: 'development', dryRun: false };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (['--network', '--address', '--lens', '--from'].includes(arg)) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+/**
+ * @return The usage of all commands.
+ */
+function usage() {
+  const lines = Object.keys(COMMANDS).map(name => {
+    const command = COMMANDS[name];
+    const args = command.usage || command.args.map(type => (type.endsWith('?') ? `[${type.slice(0, -1)}]` : `<${type}>`)).join(' ');
+    return `  ${name} ${args}`.trimRight();
+  });
+  const options = '[--network <name>] [--address <address>] [--lens <address>] [--from <address>] [--dry-run]';
+  return [`Usage: cli.js <command> [args] ${options}`]
+    .concat('Commands:', lines)
+    .join('\n');
+}
+
+/**
+ * Converts a command line argument to the value passed to the contract.
+ * @param type Argument type (see "COMMANDS").
+ * @param value The argument (undefined for a missing optional argument).
+ */
+function parseArg(type, value) {
+  const optional = type.endsWith('?');
+  const baseType = optional ? type.slice(0, -1) : type;
+  if (value === undefined) {
+    if (!optional) throw new Error('missing argument');
+    return ethers.utils.bigNumberify(0);
+  }
+  switch (baseType) {
+    case 'amount':
+    case 'percent':
+      return ethers.utils.parseEther(value);
+    case 'address':
+      return ethers.utils.getAddress(value);
+    case 'bool':
+      if (value !== 'true' && value !== 'false') throw new Error(`not a bool: ${value}`);
+      return value === 'true';
+    default:
+      if (!/^-?\d+$/.test(value) || (baseType === 'uint' && value.startsWith('-'))) {
+        throw new Error(`not an integer: ${value}`);
+      }
+      return ethers.utils.bigNumberify(value);
+  }
+}
+
+function toBN(value) {
+  return new BN(value.toString());
+}
+
+function formatTokens(value) {
+  return ethers.utils.formatEther(value.toString());
+}
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+/**
+ * @param param The index of the parameter in "EasyStaking.Param".
+ * @param change The result of the "paramChanges" getter.
+ * @return The value of the parameter change in a readable form.
+ */
+function formatParamValue(param, change) {
+  switch (PARAMS[param]) {
+    case 'fee':
+    case 'totalSupplyFactor':
+    case 'emissionCap':
+      return formatTokens(change.value);
+    case 'sigmoidParameters':
+      return `a=${formatTokens(change.value)} b=${change.sigmoidParamB} c=${change.sigmoidParamC}`;
+    case 'liquidityProvidersRewardAddress':
+    case 'emissionCurve':
+      return ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(change.value), 20));
+    case 'rewardsFromReserve':
+      return String(!change.value.isZero());
+    default:
+      return change.value.toString();
+  }
+}
+
+/**
+ * @param easyStaking EasyStaking contract (ethers.Contract instance).
+ * @return The queued parameter changes: { id, param, value, activationTime }.
+ */
+async function getPendingParamChanges(easyStaking) {
+  const { ids } = await easyStaking.getPendingParamChanges();
+  const changes = [];
+  for (let i = 0; i < ids.length; i++) {
+    const change = await easyStaking.paramChanges(ids[i]);
+    changes.push({
+      id: ids[i].toNumber(),
+      param: PARAMS[change.param],
+      value: formatParamValue(change.param, change),
+      activationTime: change.activationTime.toNumber(),
+    });
+  }
+  return changes;
+}
+
+/**
+ * Calculates the values of the "Withdrawn" event the withdrawal would emit at the given time
+ * with "previewWithdrawal" of EasyStakingLens.
+ * @param easyStaking EasyStaking contract (ethers.Contract instance).
+ * @param lens EasyStakingLens contract (ethers.Contract instance).
+ * @param holder The address of the deposit holder.
+ * @param id User's unique deposit ID.
+ * @param amount The amount to withdraw (0 - to withdraw all).
+ * @param forced Whether the withdrawal is forced (with the fee).
+ * @param timestamp The time of the withdrawal (not earlier than the current time).
+ * @return Object with "amount" (sent to the holder), "fee", "balance" (remaining) and "accruedEmission" fields (BN).
+ */
+async function previewWithdrawal(easyStaking, lens, holder, id, amount, forced, timestamp) {
+  amount = toBN(amount);
+  const balance = toBN(await easyStaking.balances(holder, id));
+  const preview = await lens.previewWithdrawal(holder, id, amount.toString(), timestamp.toString(), forced);
+  return {
+    amount: toBN(preview.netAmount),
+    fee: toBN(preview.fee),
+    balance: amount.isZero() ? new BN(0) : balance.sub(amount),
+    accruedEmission: toBN(preview.userShare),
+  };
+}
+
+/**
+ * Simulates the call of a contract method with eth_call.
+ * @return Resolves if the call succeeds, rejects with the revert reason otherwise.
+ */
+async function simulate(contract, from, signature, values) {
+  const data = contract.interface.functions[signature].encode(values);
+  const result = await contract.provider.call({ from, to: contract.address, data });
+  // Some nodes return the revert data as the result of eth_call
+  if (result.startsWith('0x08c379a0')) {
+    const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], `0x${result.slice(10)}`);
+    throw new Error(`reverted: ${reason}`);
+  }
+}
+
+/**
+ * Sends a transaction and logs the events of the contract.
+ * @param overrides Transaction options ("gasLimit" and "gasPrice"), estimated by the node if not set.
+ * @return Transaction receipt.
+ */
+async function send(contract, signature, values, overrides, log) {
+  const tx = await contract[signature](...values, overrides);
+  log(`Transaction: ${tx.hash}`);
+  const receipt = await tx.wait();
+  receipt.events.filter(event => event.event).forEach(event => {
+    const { inputs } = contract.interface.events[event.event];
+    log(`${event.event}(${inputs.map(input => `${input.name}=${event.args[input.name]}`).join(', ')})`);
+  });
+  return receipt;
+}
+
+/**
+ * Runs a command.
+ * @param argv Command line arguments (without "node" and the script path).
+ * @param context Object with "provider" (ethers provider), "address" (EasyStaking address, can be overridden
+ * with the "--address" option), "abi" (EasyStaking ABI), "gas" and "gasPrice" (optional, e.g. from "networks.js")
+ * and "log" (console.log by default) fields. The EasyStakingLens address is taken from the "--lens" option.
+ * @return The result of the command: the transaction receipt, the list of pending parameter changes,
+ * or an object with "dryRun" and "withdrawal" (the expected "Withdrawn" values) fields in the dry-run mode.
+ */
+async function run(argv, { provider, address, abi, gas, gasPrice, log = console.log }) {
+  const { command: name, args, options } = parseArgs(argv);
+  const command = COMMANDS[name];
+  if (!command) throw new Error(usage());
+  if (args.length > command.args.length) throw new Error(`too many arguments\n${usage()}`);
+  const values = command.args.map((type, i) => parseArg(type, args[i]));
+  const contractAddress = options.address || address;
+  if (!contractAddress) throw new Error('EasyStaking address is not known, use --address');
+  const signer = provider.getSigner(options.from);
+  const from = await signer.getAddress();
+  const easyStaking = new ethers.Contract(contractAddress, abi, signer);
+  const overrides = {};
+  if (gas) overrides.gasLimit = gas;
+  if (gasPrice) overrides.gasPrice = gasPrice;
+
+  if (name === 'pending-changes') {
+    const changes = await getPendingParamChanges(easyStaking);
+    const { timestamp } = await provider.getBlock('latest');
+    if (changes.length === 0) log('No pending parameter changes');
+    changes.forEach(change => {
+      const status = timestamp >= change.activationTime ? 'can be applied' : 'pending';
+      log(`#${change.id} ${change.param} = ${change.value}, activation time: ${formatTime(change.activationTime)} (${status})`);
+    });
+    return changes;
+  }
+
+  let signature = command.method;
+  let callValues = values;
+  if (name === 'deposit') {
+    const [amount, id] = values;
+    const token = new ethers.Contract(await easyStaking.token(), TOKEN_ABI, signer);
+    if ((await token.allowance(from, contractAddress)).lt(amount)) {
+      if (options.dryRun) {
+        log(`Dry run: ${formatTokens(amount)} STAKE must be approved first, the deposit is not simulated`);
+        return { dryRun: true };
+      }
+      log(`Approving ${formatTokens(amount)} STAKE`);
+      await send(token, 'approve', [contractAddress, amount], overrides, log);
+    }
+    signature = id.isZero() ? 'deposit(uint256)' : 'deposit(uint256,uint256)';
+    callValues = id.isZero() ? [amount] : [id, amount];
+  }
+
+  if (!options.dryRun) return send(easyStaking, signature, callValues, overrides, log);
+
+  await simulate(easyStaking, from, signature, callValues);
+  log(`Dry run: ${signature.split('(')[0]} succeeds`);
+  const result = { dryRun: true };
+  if (name === 'withdraw' || name === 'force-withdraw') {
+    if (!options.lens) {
+      log('Pass the EasyStakingLens address with --lens to preview the withdrawal');
+      return result;
+    }
+    const lens = new ethers.Contract(options.lens, LENS_ABI, signer);
+    const { timestamp } = await provider.getBlock('latest');
+    const [id, amount] = values;
+    const forced = name === 'force-withdraw';
+    result.withdrawal = await previewWithdrawal(easyStaking, lens, from, id, amount, forced, timestamp + PREVIEW_DELAY);
+    const { amount: withdrawn, fee, balance, accruedEmission } = result.withdrawal;
+    log(`Expected Withdrawn: amount=${formatTokens(withdrawn)} fee=${formatTokens(fee)} ` +
+      `balance=${formatTokens(balance)} accruedEmission=${formatTokens(accruedEmission)}`);
+  }
+  return result;
+}
+
+module.exports = {
+  COMMANDS,
+  parseArgs,
+  usage,
+  getPendingParamChanges,
+  previewWithdrawal,
+  run,
+};
@@ -0,0 +1,230 @@
+const BN = require('bn.js');
+
+/**
+ * Off-chain mirror of the EasyStaking emission math.
+ *
+ * All functions take and return BN instances and use the same integer rounding as the contracts,
+ * so results can be compared with on-chain values as is.
+ *
+ * Note: all percentage values are between 0 (0%) and 1 (100%)
+ * and represented as fixed point numbers containing 18 decimals like with Ether
+ * 100% == 1 ether
+ */
+
+const ONE_ETHER = new BN('1000000000000000000');
+const YEAR = new BN(31536000); // 365 days in seconds
+// The maximum emission rate (in percentage)
+const MAX_EMISSION_RATE = new BN('150000000000000000'); // 15%, 0.15 ether
+// The period after which the new value of the parameter is set
+const PARAM_UPDATE_DELAY = new BN(604800); // 7 days in seconds
+
+/**
+ * @param value BN, number or decimal string.
+ * @return The value as BN.
+ */
+function toBN(value) {
+  return BN.isBN(value) ? value : new BN(value.toString());
+}
+
+/**
+ * Mirrors "EasyStaking._paramUpdateDelayElapsed".
+ * @param timestamp The timestamp of the last parameter update.
+ * @param now Current timestamp.
+ * @return true if the parameter update delay elapsed.
+ */
+function paramUpdateDelayElapsed(timestamp, now) {
+  return toBN(now).gt(toBN(timestamp).add(PARAM_UPDATE_DELAY));
+}
+
+/**
+ * Mirrors "EasyStaking._getUintParamValue" and "Sigmoid.getParameters".
+ * @param param Object with "oldValue", "newValue" and "timestamp" fields (e.g. the result of "feeParam()").
+ * @param now Current timestamp.
+ * @return The value of the parameter that is active at "now".
+ */
+function getParamValue(param, now) {
+  return paramUpdateDelayElapsed(param.timestamp, now) ? param.newValue : param.oldValue;
+}
+
+/**
+ * Returns a plain value as is, or resolves a delayed parameter ({ oldValue, newValue, timestamp }) at "now".
+ */
+function resolveParam(value, now) {
+  if (value !== null && typeof value === 'object' && value.timestamp !== undefined) {
+    return getParamValue(value, now);
+  }
+  return value;
+}
+
+/**
+ * Mirrors "ExtendedMath.sqrt".
+ * @return The square root of the given number.
+ */
+function sqrt(y) {
+  y = toBN(y);
+  let z = new BN(0);
+  if (y.gt(new BN(3))) {
+    z = y;
+    let x = y.div(new BN(2)).add(new BN(1));
+    while (x.lt(z)) {
+      z = x;
+      x = y.div(x).add(x).div(new BN(2));
+    }
+  } else if (!y.isZero()) {
+    z = new BN(1);
+  }
+  return z;
+}
+
+/**
+ * Mirrors "Sigmoid.calculate".
+ * @param params Sigmoid parameters ({ a, b, c }).
+ * @param x Seconds passed since the deposit date.
+ * @return The personal (time-based) emission rate.
+ */
+function calculateSigmoid(params, x) {
+  const a = toBN(params.a);
+  const b = toBN(params.b);
+  const c = toBN(params.c);
+  const k = toBN(x).sub(b);
+  if (k.isNeg()) return new BN(0);
+  return a.mul(k).div(sqrt(k.sqr().add(c)));
+}
+
+/**
+ * Mirrors "LinearEmissionCurve.calculate".
+ * @param params Curve parameters ({ maxRate, duration }).
+ * @param x Seconds passed since the deposit date.
+ * @return The time-based emission rate.
+ */
+function calculateLinear(params, x) {
+  const maxRate = toBN(params.maxRate);
+  const duration = toBN(params.duration);
+  x = toBN(x);
+  if (x.gte(duration)) return maxRate;
+  return maxRate.mul(x).div(duration);
+}
+
+/**
+ * Mirrors "EasyStaking.getTimeBasedEmissionRate".
+ * @param state Object with "sigmoidParams" and optional "emissionCurve" fields.
+ * "emissionCurve" is a function of the deposit duration returning the rate of the curve set in EasyStaking
+ * (e.g. "x => calculateLinear(params, x)"), the sigmoid is used if it's not passed.
+ * @param x Seconds passed since the deposit date.
+ * @param now Current timestamp.
+ * @return The personal (time-based) emission rate.
+ */
+function getTimeBasedEmissionRate(state, x, now) {
+  if (!state.emissionCurve) {
+    return calculateSigmoid(resolveParam(state.sigmoidParams, now), x);
+  }
+  return BN.min(toBN(state.emissionCurve(toBN(x))), MAX_EMISSION_RATE.div(new BN(2)));
+}
+
+/**
+ * Mirrors "EasyStaking.getSupplyBasedEmissionRate".
+ * @param totalSupply Total supply of the token.
+ * @param totalStaked Total staked amount.
+ * @param factor Total supply factor (in percentage).
+ * @return Emission rate based on the ratio of total staked to total supply.
+ */
+function getSupplyBasedEmissionRate(totalSupply, totalStaked, factor) {
+  totalStaked = toBN(totalStaked);
+  factor = toBN(factor);
+  if (factor.isZero()) return new BN(0);
+  const target = toBN(totalSupply).mul(factor).div(ONE_ETHER);
+  const maxSupplyBasedEmissionRate = MAX_EMISSION_RATE.div(new BN(2)); // 7.5%
+  if (totalStaked.gte(target)) {
+    return maxSupplyBasedEmissionRate;
+  }
+  return maxSupplyBasedEmissionRate.mul(totalStaked).div(target);
+}
+
+/**
+ * Mirrors "EasyStaking.getAverageSupplyBasedEmissionRate".
+ * @param state Object with "totalSupplyFactor", "totalSupply" and "totalStaked" fields (see "getAccruedEmission").
+ * @param accumulator Object with the values read from the contract: "cumulative" ("supplyBasedEmissionRateCumulative"),
+ * "updatedAt" ("supplyBasedEmissionRateUpdatedAt"), "accumulatedSince" ("supplyBasedEmissionRateAccumulatedSince"),
+ * "snapshot" ("supplyBasedEmissionRateSnapshots" of the deposit) and "accrualDate" (the deposit date or the date of the last claim).
+ * @param now Current timestamp.
+ * @return The time-weighted average of the supply-based emission rate since the accrual date.
+ */
+function getAverageSupplyBasedEmissionRate(state, accumulator, now) {
+  now = toBN(now);
+  const factor = toBN(resolveParam(state.totalSupplyFactor, now));
+  const currentRate = getSupplyBasedEmissionRate(state.totalSupply, state.totalStaked, factor);
+  const accrualDate = toBN(accumulator.accrualDate);
+  const updatedAt = toBN(accumulator.updatedAt);
+  const period = now.sub(accrualDate);
+  if (period.isZero() || accrualDate.lt(toBN(accumulator.accumulatedSince)) || updatedAt.isZero() || factor.isZero()) {
+    return currentRate;
+  }
+  const cumulative = toBN(accumulator.cumulative).add(currentRate.mul(now.sub(updatedAt)));
+  return cumulative.sub(toBN(accumulator.snapshot)).div(period);
+}
+
+/**
+ * Mirrors "EasyStaking.getAccruedEmission".
+ *
+ * When "accrualDate" is passed (the date of the last "claimEmission" call, see "emissionClaimDates"),
+ * emission is accrued from that date while the emission rate is still based on the deposit duration,
+ * like EasyStaking does for claimed deposits.
+ *
+ * The time-based rate is calculated by "state.emissionCurve" if passed (see "getTimeBasedEmissionRate").
+ * If "state.supplyBasedEmissionRate" is passed (e.g. the result of "getAverageSupplyBasedEmissionRate"),
+ * it is used instead of the current supply-based rate like EasyStaking does for existing deposits.
+ * If "state.remainingEmissionBudget" is passed (see "EasyStaking.remainingEmissionBudget"),
+ * the emission is limited to it and the user share is scaled down in proportion.
+ * The time during which EasyStaking was paused is not excluded here: to take it into account,
+ * move "depositDate" and "accrualDate" forward by "EasyStaking.getPausedDuration" from them until "now".
+ *
+ * "sigmoidParams" and "totalSupplyFactor" can be passed either as plain values or as delayed parameters
+ * ({ oldValue, newValue, timestamp }), in which case the value active at "now" is used.
+ *
+ * @param state Object with "sigmoidParams" (or "emissionCurve"), "totalSupplyFactor", "totalSupply" and "totalStaked" fields.
+ * @param depositDate Deposit date.
+ * @param amount Amount based on which emission is calculated and accrued.
+ * @param now Timestamp at which emission is calculated.
+ * @param accrualDate The date from which emission is accrued (optional, the deposit date by default).
+ * @return Total accrued emission (for the user and Liquidity Providers), user share, and seconds passed since the deposit date.
+ */
+function getAccruedEmission(state, depositDate, amount, now, accrualDate) {
+  const zero = new BN(0);
+  depositDate = toBN(depositDate);
+  amount = toBN(amount);
+  if (amount.isZero() || depositDate.isZero()) return { total: zero, userShare: zero, timePassed: zero };
+  const timePassed = toBN(now).sub(depositDate);
+  if (timePassed.isZero()) return { total: zero, userShare: zero, timePassed: zero };
+  const supplyBasedEmissionRate = state.supplyBasedEmissionRate !== undefined
+    ? toBN(state.supplyBasedEmissionRate)
+    : getSupplyBasedEmissionRate(state.totalSupply, state.totalStaked, resolveParam(state.totalSupplyFactor, now));
+  const userEmissionRate = getTimeBasedEmissionRate(state, timePassed, now).add(supplyBasedEmissionRate);
+  if (userEmissionRate.isZero()) return { total: zero, userShare: zero, timePassed };
+  const accrualPeriod = accrualDate && toBN(accrualDate).gt(depositDate) ? toBN(now).sub(toBN(accrualDate)) : timePassed;
+  const total = amount.mul(MAX_EMISSION_RATE).mul(accrualPeriod).div(YEAR.mul(ONE_ETHER));
+  const userShare = amount.mul(userEmissionRate).mul(accrualPeriod).div(YEAR.mul(ONE_ETHER));
+  if (state.remainingEmissionBudget !== undefined) {
+    const budget = toBN(state.remainingEmissionBudget);
+    if (total.gt(budget)) {
+      return { total: budget, userShare: userShare.mul(budget).div(total), timePassed };
+    }
+  }
+  return { total, userShare, timePassed };
+}
+
+module.exports = {
+  ONE_ETHER,
+  YEAR,
+  MAX_EMISSION_RATE,
+  PARAM_UPDATE_DELAY,
+  toBN,
+  paramUpdateDelayElapsed,
+  getParamValue,
+  sqrt,
+  calculateSigmoid,
+  calculateLinear,
+  getTimeBasedEmissionRate,
+  getSupplyBasedEmissionRate,
+  getAverageSupplyBasedEmissionRate,
+  getAccruedEmission,
+};
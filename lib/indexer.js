@@ -0,0 +1,280 @@
+const BN = require('bn.js');
+const { toBN } = require('./emission');
+
+/**
+ * Event-sourced indexer of EasyStaking.
+ *
+ * Rebuilds the state of the contract (deposits, total staked amount, Liquidity Providers reward
+ * and parameter history) by replaying its events in the order of the chain.
+ * Only the STAKE pool is indexed: the deposits in the pools of other tokens are not.
+ *
+ * All values are taken from the events, so the contract state is never read and any node can be used.
+ * The Liquidity Providers share of accrued emission is taken from "EmissionAccrued" events,
+ * so it is the same whether emission is minted or paid from the reward reserve.
+ */
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ZERO = new BN(0);
+
+// The names of the parameters in the order of "EasyStaking.Param"
+const PARAMS = [
+  'fee',
+  'withdrawalLockDuration',
+  'withdrawalUnlockDuration',
+  'totalSupplyFactor',
+  'sigmoidParameters',
+  'liquidityProvidersRewardAddress',
+  'emissionCurve',
+  'emissionCap',
+  'rewardsFromReserve',
+];
+
+// The values of "EasyStaking.ParamChangeStatus"
+const ParamChangeStatus = { None: 0, Queued: 1, Cancelled: 2, Applied: 3 };
+
+/**
+ * @return The state of a contract without events.
+ */
+function createState() {
+  return {
+    // holder => id => { balance, depositDate, withdrawalRequestDate }
+    deposits: {},
+    // holder => the last deposit ID
+    lastDepositIds: {},
+    totalStaked: ZERO,
+    // The accumulated (not claimed yet) Liquidity Providers reward
+    liquidityProvidersReward: ZERO,
+    // The totals of the Liquidity Providers reward: the emission remainder, forced withdrawal fees and claimed reward
+    liquidityProvidersRewardTotals: { emission: ZERO, fees: ZERO, claimed: ZERO },
+    rewardReserveFunded: ZERO,
+    // Parameter changes in the order of their IDs: { param, value, activationTime, status, queuedAt, resolvedAt }
+    paramChanges: [],
+    // param name => the applied value
+    params: {},
+    // param name => the list of the applied values: { value, timestamp, changeId }
+    paramHistory: {},
+    // lockup duration => boost
+    lockupBoosts: {},
+    pauseGuardian: ZERO_ADDRESS,
+    paused: false,
+    // The periods during which the contract was paused: { start, end } (the end is 0 while paused)
+    pauses: [],
+    blockNumber: 0,
+  };
+}
+
+/**
+ * @param state Indexer state.
+ * @param holder The address of the deposit holder.
+ * @param id User's unique deposit ID.
+ * @return The deposit record (created if it doesn't exist).
+ */
+function getDeposit(state, holder, id) {
+  const key = holder.toLowerCase();
+  if (!state.deposits[key]) state.deposits[key] = {};
+  const deposits = state.deposits[key];
+  if (!deposits[id]) deposits[id] = { balance: ZERO, depositDate: ZERO, withdrawalRequestDate: ZERO };
+  const lastId = state.lastDepositIds[key] || ZERO;
+  if (toBN(id).gt(lastId)) state.lastDepositIds[key] = toBN(id);
+  return deposits[id];
+}
+
+/**
+ * Sets the balance of the deposit and updates the total staked amount.
+ */
+function setBalance(state, deposit, balance) {
+  state.totalStaked = state.totalStaked.add(balance).sub(deposit.balance);
+  deposit.balance = balance;
+}
+
+/**
+ * Adds the amount to the Liquidity Providers reward total of the given type ("emission", "fees" or "claimed").
+ */
+function addLiquidityProvidersReward(state, type, amount) {
+  const totals = state.liquidityProvidersRewardTotals;
+  state.liquidityProvidersRewardTotals = { ...totals, [type]: totals[type].add(amount) };
+  state.liquidityProvidersReward = type === 'claimed'
+    ? state.liquidityProvidersReward.sub(amount)
+    : state.liquidityProvidersReward.add(amount);
+}
+
+/**
+ * @return The value of the queued parameter change taken from the "*Set" event.
+ */
+function getQueuedValue(name, values) {
+  switch (name) {
+    case 'sigmoidParameters':
+      return { a: toBN(values.a), b: toBN(values.b), c: toBN(values.c) };
+    case 'liquidityProvidersRewardAddress':
+    case 'emissionCurve':
+    case 'rewardsFromReserve':
+      return values.value;
+    default:
+      return toBN(values.value);
+  }
+}
+
+/**
+ * Applies an event to the state.
+ * @param state Indexer state (modified in place).
+ * @param event Object with "event" (the event name), "returnValues", "blockNumber" and "timestamp" fields
+ * (e.g. the result of "getPastEvents" of web3 with the timestamp of the block added).
+ * @return The state.
+ */
+function applyEvent(state, event) {
+  const values = event.returnValues;
+  const timestamp = toBN(event.timestamp);
+  state.blockNumber = event.blockNumber;
+  switch (event.event) {
+    case 'EmissionAccrued':
+    case 'PoolEmissionAccrued': {
+      // The user share is added to the deposit balance, which is taken from the event of the action
+      // (or sent to the user for the deposits in the pools of other tokens, which are not indexed)
+      addLiquidityProvidersReward(state, 'emission', toBN(values.liquidityProvidersShare));
+      break;
+    }
+    case 'Deposited': {
+      const deposit = getDeposit(state, values.sender, values.id);
+      setBalance(state, deposit, toBN(values.balance));
+      deposit.depositDate = timestamp;
+      break;
+    }
+    case 'WithdrawalRequested': {
+      getDeposit(state, values.sender, values.id).withdrawalRequestDate = timestamp;
+      break;
+    }
+    case 'WithdrawalRequestCancelled': {
+      getDeposit(state, values.sender, values.id).withdrawalRequestDate = ZERO;
+      break;
+    }
+    case 'Withdrawn': {
+      const deposit = getDeposit(state, values.sender, values.id);
+      addLiquidityProvidersReward(state, 'fees', toBN(values.fee));
+      setBalance(state, deposit, toBN(values.balance));
+      if (deposit.balance.isZero()) deposit.depositDate = ZERO;
+      // A requested withdrawal resets the request, a forced one keeps it
+      if (!values.forced) deposit.withdrawalRequestDate = ZERO;
+      break;
+    }
+    case 'Compounded': {
+      const deposit = getDeposit(state, values.holder, values.id);
+      setBalance(state, deposit, toBN(values.balance));
+      break;
+    }
+    case 'DepositsMerged': {
+      const deposit = getDeposit(state, values.sender, values.id);
+      const merged = getDeposit(state, values.sender, values.mergedId);
+      setBalance(state, deposit, toBN(values.balance));
+      setBalance(state, merged, ZERO);
+      deposit.depositDate = toBN(values.depositDate);
+      merged.depositDate = ZERO;
+      merged.withdrawalRequestDate = ZERO;
+      break;
+    }
+    case 'DepositSplit': {
+      const deposit = getDeposit(state, values.sender, values.id);
+      const newDeposit = getDeposit(state, values.sender, values.newId);
+      setBalance(state, deposit, toBN(values.balance));
+      setBalance(state, newDeposit, toBN(values.amount));
+      newDeposit.depositDate = deposit.depositDate;
+      break;
+    }
+    case 'DepositTransferred': {
+      const deposit = getDeposit(state, values.sender, values.id);
+      const newDeposit = getDeposit(state, values.recipient, values.recipientId);
+      Object.assign(newDeposit, deposit);
+      Object.assign(deposit, { balance: ZERO, depositDate: ZERO, withdrawalRequestDate: ZERO });
+      break;
+    }
+    case 'LiquidityProvidersRewardClaimed': {
+      addLiquidityProvidersReward(state, 'claimed', toBN(values.amount));
+      break;
+    }
+    case 'RewardReserveFunded': {
+      state.rewardReserveFunded = state.rewardReserveFunded.add(toBN(values.amount));
+      break;
+    }
+    case 'LockupBoostSet': {
+      state.lockupBoosts[values.duration] = toBN(values.boost);
+      break;
+    }
+    case 'PauseGuardianSet': {
+      state.pauseGuardian = values.value;
+      break;
+    }
+    case 'PausedSet': {
+      if (values.value && !state.paused) {
+        state.pauses.push({ start: timestamp, end: ZERO });
+      } else if (!values.value && state.paused) {
+        state.pauses[state.pauses.length - 1].end = timestamp;
+      }
+      state.paused = values.value;
+      break;
+    }
+    case 'ParamChangeQueued': {
+      state.paramChanges[values.id] = {
+        param: PARAMS[values.param],
+        value: null,
+        activationTime: toBN(values.activationTime),
+        status: ParamChangeStatus.Queued,
+        queuedAt: timestamp,
+        resolvedAt: ZERO,
+      };
+      break;
+    }
+    case 'ParamChangeCancelled': {
+      Object.assign(state.paramChanges[values.id], { status: ParamChangeStatus.Cancelled, resolvedAt: timestamp });
+      break;
+    }
+    case 'ParamChangeApplied': {
+      const change = state.paramChanges[values.id];
+      Object.assign(change, { status: ParamChangeStatus.Applied, resolvedAt: timestamp });
+      state.params[change.param] = change.value;
+      if (!state.paramHistory[change.param]) state.paramHistory[change.param] = [];
+      state.paramHistory[change.param].push({ value: change.value, timestamp, changeId: Number(values.id) });
+      break;
+    }
+    default: {
+      // "*Set" events of the queued parameter changes are emitted right after "ParamChangeQueued"
+      const name = event.event.charAt(0).toLowerCase() + event.event.slice(1, -3);
+      const change = state.paramChanges[state.paramChanges.length - 1];
+      if (event.event.endsWith('Set') && change && change.param === name) {
+        change.value = getQueuedValue(name, values);
+      }
+    }
+  }
+  return state;
+}
+
+/**
+ * Fetches the events of EasyStaking and applies them to the state.
+ * @param web3 Web3 instance.
+ * @param easyStaking EasyStaking contract (web3.eth.Contract instance).
+ * @param options Object with "fromBlock" (0 by default) and "toBlock" ("latest" by default) fields.
+ * @param state Indexer state to continue from (e.g. the result of the previous call for the blocks before "fromBlock").
+ * @return The state.
+ */
+async function indexEvents(web3, easyStaking, options = {}, state = createState()) {
+  // web3 skips the zero block number, so numbers are passed as hex strings
+  const toBlockTag = block => (typeof block === 'number' ? web3.utils.toHex(block) : block);
+  const fromBlock = toBlockTag(options.fromBlock || 0);
+  const toBlock = toBlockTag(options.toBlock || 'latest');
+  const events = await easyStaking.getPastEvents('allEvents', { fromBlock, toBlock });
+  const timestamps = {};
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
+    const { blockNumber } = event;
+    if (!timestamps[blockNumber]) timestamps[blockNumber] = (await web3.eth.getBlock(blockNumber)).timestamp;
+    event.timestamp = timestamps[blockNumber];
+    applyEvent(state, event);
+  }
+  return state;
+}
+
+module.exports = {
+  PARAMS,
+  ParamChangeStatus,
+  createState,
+  applyEvent,
+  indexEvents,
+};
@@ -0,0 +1,141 @@
+const BN = require('bn.js');
+const emission = require('./emission');
+
+const { ONE_ETHER, YEAR, MAX_EMISSION_RATE, toBN } = emission;
+
+/**
+ * Simulation of the emission of a deposit for a set of parameters, e.g. to review a parameter change proposal.
+ *
+ * The rates and amounts are calculated with the functions of "lib/emission.js", so they match the contract.
+ * Rates are fixed point numbers with 18 decimals (100% == 1 ether) like in the contract.
+ */
+
+// The columns of the simulation table
+const COLUMNS = [
+  'time',
+  'totalSupply',
+  'totalStaked',
+  'personalRate',
+  'supplyBasedRate',
+  'averageSupplyBasedRate',
+  'userRate',
+  'liquidityProvidersRate',
+  'total',
+  'userShare',
+  'liquidityProvidersShare',
+];
+
+// The columns that are fixed point numbers with 18 decimals
+const FIXED_POINT_COLUMNS = COLUMNS.filter(column => column !== 'time');
+
+/**
+ * Simulates a deposit made at time 0 and kept without interaction.
+ * @param options Object with the following fields:
+ * - "sigmoidParams" ({ a, b, c }) or "emissionCurve" (see "emission.getTimeBasedEmissionRate");
+ * - "totalSupplyFactor";
+ * - "totalSupply" - the total supply of the token;
+ * - "trajectory" - the list of { time, totalStaked } points sorted by time (in seconds since the deposit,
+ *   the first point is at 0); the values are in effect from the time of the point until the next point.
+ *   A point can also contain "totalSupply" if it changes;
+ * - "times" (optional) - the times of the rows, the times of the trajectory points by default;
+ * - "amount" (optional) - the amount of the deposit, 1 token by default.
+ * @return The list of rows, one per time: the personal (time-based) rate, the current and the time-weighted
+ * average supply-based rate (which is used for the accrual, see "EasyStaking.getAverageSupplyBasedEmissionRate"),
+ * the user rate (APR) and the rest of the maximum rate going to Liquidity Providers, and the emission accrued
+ * for the deposit if it's withdrawn at that time: the total, the user share and the Liquidity Providers share.
+ */
+function simulate(options) {
+  const amount = toBN(options.amount || ONE_ETHER);
+  const trajectory = options.trajectory.map(point => ({
+    time: toBN(point.time),
+    totalStaked: toBN(point.totalStaked),
+    totalSupply: toBN(point.totalSupply !== undefined ? point.totalSupply : options.totalSupply),
+  }));
+  if (trajectory.length === 0 || !trajectory[0].time.isZero()) {
+    throw new Error('the trajectory should start at 0');
+  }
+  for (let i = 1; i < trajectory.length; i++) {
+    if (trajectory[i].time.lte(trajectory[i - 1].time)) throw new Error('the trajectory should be sorted by time');
+  }
+  const times = (options.times || trajectory.map(point => point.time)).map(toBN);
+  const getRate = point => emission.getSupplyBasedEmissionRate(point.totalSupply, point.totalStaked, options.totalSupplyFactor);
+  return times.map(time => {
+    // The values in effect at the time and the sum of the rate multiplied by the duration of each point before it
+    const current = trajectory.filter(point => point.time.lte(time)).pop();
+    let cumulative = new BN(0);
+    trajectory.forEach((point, i) => {
+      if (point.time.gte(time)) return;
+      const end = i + 1 < trajectory.length ? BN.min(trajectory[i + 1].time, time) : time;
+      cumulative = cumulative.add(getRate(point).mul(end.sub(point.time)));
+    });
+    const supplyBasedRate = getRate(current);
+    const averageSupplyBasedRate = time.isZero() ? supplyBasedRate : cumulative.div(time);
+    const personalRate = emission.getTimeBasedEmissionRate(options, time);
+    const userRate = personalRate.add(averageSupplyBasedRate);
+    const total = amount.mul(MAX_EMISSION_RATE).mul(time).div(YEAR.mul(ONE_ETHER));
+    const userShare = amount.mul(userRate).mul(time).div(YEAR.mul(ONE_ETHER));
+    return {
+      time,
+      totalSupply: current.totalSupply,
+      totalStaked: current.totalStaked,
+      personalRate,
+      supplyBasedRate,
+      averageSupplyBasedRate,
+      userRate,
+      liquidityProvidersRate: MAX_EMISSION_RATE.sub(userRate),
+      total,
+      userShare,
+      liquidityProvidersShare: total.sub(userShare),
+    };
+  });
+}
+
+/**
+ * @param value Fixed point number with 18 decimals (BN).
+ * @return The value as a decimal string (e.g. "0.075" for 7.5%).
+ */
+function formatFixedPoint(value) {
+  const fraction = value.mod(ONE_ETHER).toString().padStart(18, '0').replace(/0+$/, '');
+  const integer = value.div(ONE_ETHER).toString();
+  return fraction ? `${integer}.${fraction}` : integer;
+}
+
+function formatRow(row, fixedPoint) {
+  const result = {};
+  COLUMNS.forEach(column => {
+    result[column] = fixedPoint && FIXED_POINT_COLUMNS.includes(column)
+      ? formatFixedPoint(row[column])
+      : row[column].toString();
+  });
+  return result;
+}
+
+/**
+ * @param rows The result of "simulate".
+ * @param fixedPoint Whether to format the rates and amounts as decimals (e.g. "0.075") instead of integers.
+ * @return The table in CSV with a header.
+ */
+function toCSV(rows, fixedPoint = false) {
+  const lines = rows.map(row => {
+    const values = formatRow(row, fixedPoint);
+    return COLUMNS.map(column => values[column]).join(',');
+  });
+  return [COLUMNS.join(',')].concat(lines).join('\n');
+}
+
+/**
+ * @param rows The result of "simulate".
+ * @param fixedPoint Whether to format the rates and amounts as decimals (e.g. "0.075") instead of integers.
+ * @return The table in JSON (a list of objects with string values).
+ */
+function toJSON(rows, fixedPoint = false) {
+  return JSON.stringify(rows.map(row => formatRow(row, fixedPoint)), null, 2);
+}
+
+module.exports = {
+  COLUMNS,
+  simulate,
+  formatFixedPoint,
+  toCSV,
+  toJSON,
+};
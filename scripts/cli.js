@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const { networks } = require('../networks');
+const cli = require('../lib/cli');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * @return Ethers provider for the network from "networks.js".
+ */
+function getProvider(network) {
+  if (network.provider) return new ethers.providers.Web3Provider(network.provider());
+  return new ethers.providers.JsonRpcProvider(`${network.protocol}://${network.host}:${network.port}`);
+}
+
+/**
+ * @return The address of the EasyStaking proxy from the OpenZeppelin network file, if any.
+ */
+async function getProxyAddress(provider, name) {
+  const { chainId } = await provider.getNetwork();
+  const fileName = ['mainnet', 'kovan'].includes(name) ? `${name}.json` : `dev-${chainId}.json`;
+  const filePath = path.join(ROOT, '.openzeppelin', fileName);
+  if (!fs.existsSync(filePath)) return undefined;
+  const proxies = JSON.parse(fs.readFileSync(filePath)).proxies['easy-staking-contracts/EasyStaking'];
+  return proxies && proxies.length > 0 ? proxies[proxies.length - 1].address : undefined;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const { options } = cli.parseArgs(argv);
+  const network = networks[options.network];
+  if (!network) throw new Error(`unknown network: ${options.network}`);
+  const artifact = path.join(ROOT, 'build', 'contracts', 'EasyStaking.json');
+  if (!fs.existsSync(artifact)) throw new Error('EasyStaking is not compiled, run "npx oz compile" first');
+  const provider = getProvider(network);
+  const address = options.address || (await getProxyAddress(provider, options.network));
+  const abi = JSON.parse(fs.readFileSync(artifact)).abi;
+  await cli.run(argv, { provider, address, abi, gas: network.gas, gasPrice: network.gasPrice });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
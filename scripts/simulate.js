@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const simulation = require('../lib/simulation');
+
+/**
+ * Prints the simulation table for the parameters from a JSON file (see "lib/simulation.js"), e.g.:
+ * {
+ *   "sigmoidParams": { "a": "75000000000000000", "b": "0", "c": "10000000000000" },
+ *   "totalSupplyFactor": "500000000000000000",
+ *   "totalSupply": "8537500000000000000000000",
+ *   "trajectory": [{ "time": 0, "totalStaked": "1500000000000000000000000" }],
+ *   "times": [0, 2592000, 15552000, 31536000]
+ * }
+ * Usage: simulate.js <file> [--json] [--fixed-point]
+ */
+const argv = process.argv.slice(2);
+const [file] = argv.filter(arg => !arg.startsWith('--'));
+if (!file) {
+  console.error('Usage: simulate.js <file> [--json] [--fixed-point]');
+  process.exit(1);
+}
+const rows = simulation.simulate(JSON.parse(fs.readFileSync(file)));
+const fixedPoint = argv.includes('--fixed-point');
+console.log(argv.includes('--json') ? simulation.toJSON(rows, fixedPoint) : simulation.toCSV(rows, fixedPoint));
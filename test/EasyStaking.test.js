@@ -1,12 +1,17 @@
 const { ether, BN, expectRevert, expectEvent, constants, time, balance, send } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
 const { ethers } = require('ethers');
+const emission = require('../lib/emission');
+const { INITIALIZE_METHOD, deployEasyStaking } = require('./helpers/deploy');
 
 const EasyStaking = artifacts.require('EasyStaking');
+const EasyStakingExtension = artifacts.require('EasyStakingExtension');
 const EasyStakingMock = artifacts.require('EasyStakingMock');
 const ReceiverMock = artifacts.require('ReceiverMock');
 const Token = artifacts.require('ERC677Mock');
+const PermitToken = artifacts.require('ERC20PermitMock');
 const ExtendedMathMock = artifacts.require('ExtendedMathMock');
+const LinearEmissionCurve = artifacts.require('LinearEmissionCurve');
 
 contract('EasyStaking', accounts => {
   const [owner, user1, user2, liquidityProvidersRewardAddress] = accounts;
@@ -21,12 +26,12 @@ contract('EasyStaking', accounts => {
   const sigmoidParamC = new BN(10000000000000);
   const oneEther = ether('1');
   const totalSupplyFactor = ether('1');
+  const Permission = { None: 0, Compound: 1, Request: 2, Withdraw: 3, ForcedWithdraw: 4 };
 
   let easyStaking;
+  let extension;
   let stakeToken;
 
-  const initializeMethod = 'initialize(address,address,address,uint256,uint256,uint256,uint256,uint256,int256,uint256)';
-
   function initialize(...params) {
     if (params.length === 0) {
       params = [
@@ -40,36 +45,38 @@ contract('EasyStaking', accounts => {
         sigmoidParamA.toString(),
         sigmoidParamB.toString(),
         sigmoidParamC.toString(),
+        extension.address,
       ];
     }
-    return easyStaking.methods[initializeMethod](...params, { from: owner });
+    return easyStaking.methods[INITIALIZE_METHOD](...params, { from: owner });
   }
 
-  function squareRoot(y) {
-    let z = new BN(0);
-    if (y.gt(new BN(3))) {
-      z = y;
-      let x = y.div(new BN(2)).add(new BN(1));
-      while (x.lt(z)) {
-        z = x;
-        x = y.div(x).add(x).div(new BN(2));
-      }
-    } else if (!y.isZero()) {
-      z = new BN(1);
-    }
-    return z;
+  function calculateSupplyBasedEmissionRate(totalSupply, totalStaked, factor = totalSupplyFactor) {
+    return emission.getSupplyBasedEmissionRate(totalSupply, totalStaked, factor);
   }
 
-  function calculateSupplyBasedEmissionRate(totalSupply, totalStaked, factor = totalSupplyFactor) {
-    return MAX_EMISSION_RATE.div(new BN(2)).mul(totalStaked).div(totalSupply.mul(factor).div(oneEther));
+  async function getSupplyBasedEmissionRateAccumulator(holder, id) {
+    const depositDate = await easyStaking.depositDates(holder, id);
+    const claimDate = await easyStaking.emissionClaimDates(holder, id);
+    return {
+      cumulative: await easyStaking.supplyBasedEmissionRateCumulative(),
+      updatedAt: await easyStaking.supplyBasedEmissionRateUpdatedAt(),
+      accumulatedSince: await easyStaking.supplyBasedEmissionRateAccumulatedSince(),
+      snapshot: await easyStaking.supplyBasedEmissionRateSnapshots(holder, id),
+      accrualDate: BN.max(depositDate, claimDate),
+    };
   }
 
-  function calculateUserEmissionRate(timePassed, totalSupply, totalStaked) {
-    let userEmissionRate = sigmoidParamA.mul(timePassed.sub(sigmoidParamB)).div(squareRoot(timePassed.sub(sigmoidParamB).sqr().add(sigmoidParamC)));
-    if (userEmissionRate.lt(new BN(0))) {
-      userEmissionRate = new BN(0);
-    }
-    const emissionRateBasedOnTotalStakedAmount = calculateSupplyBasedEmissionRate(totalSupply, totalStaked);
+  function calculateAverageSupplyBasedEmissionRate(accumulator, timestamp, totalSupply, totalStaked) {
+    const state = { totalSupplyFactor, totalSupply, totalStaked };
+    return emission.getAverageSupplyBasedEmissionRate(state, accumulator, timestamp);
+  }
+
+  function calculateUserEmissionRate(timePassed, totalSupply, totalStaked, supplyBasedEmissionRate) {
+    const userEmissionRate = emission.calculateSigmoid({ a: sigmoidParamA, b: sigmoidParamB, c: sigmoidParamC }, timePassed);
+    const emissionRateBasedOnTotalStakedAmount = supplyBasedEmissionRate !== undefined
+      ? supplyBasedEmissionRate
+      : calculateSupplyBasedEmissionRate(totalSupply, totalStaked);
     return userEmissionRate.add(emissionRateBasedOnTotalStakedAmount);
   }
 
@@ -77,13 +84,15 @@ contract('EasyStaking', accounts => {
     return deposit.mul(emissionRate).mul(timePassed).div(oneEther).div(YEAR);
   }
 
-  function calculateUserAccruedEmission(deposit, timePassed, totalSupply, totalStaked) {
-    const userEmissionRate = calculateUserEmissionRate(timePassed, totalSupply, totalStaked);
+  function calculateUserAccruedEmission(deposit, timePassed, totalSupply, totalStaked, supplyBasedEmissionRate) {
+    const userEmissionRate = calculateUserEmissionRate(timePassed, totalSupply, totalStaked, supplyBasedEmissionRate);
     return calculateAccruedEmission(deposit, timePassed, userEmissionRate);
   }
 
-  function calculateTotalAccruedEmission(deposit, timePassed, totalSupply, totalStaked) {
-    const userAccruedEmission = calculateUserAccruedEmission(deposit, timePassed, totalSupply, totalStaked);
+  function calculateTotalAccruedEmission(deposit, timePassed, totalSupply, totalStaked, supplyBasedEmissionRate) {
+    const userAccruedEmission = calculateUserAccruedEmission(
+      deposit, timePassed, totalSupply, totalStaked, supplyBasedEmissionRate
+    );
     const totalAccruedEmission = calculateAccruedEmission(deposit, timePassed, MAX_EMISSION_RATE);
     return { userShare: userAccruedEmission, liquidityProvidersReward: totalAccruedEmission.sub(userAccruedEmission) };
   }
@@ -92,6 +101,17 @@ contract('EasyStaking', accounts => {
     return new BN((await web3.eth.getBlock(receipt.receipt.blockNumber)).timestamp);
   }
 
+  async function applyParamChanges() {
+    const { ids } = await easyStaking.getPendingParamChanges();
+    for (let i = 0; i < ids.length; i++) {
+      await easyStaking.applyParamChange(ids[i]);
+    }
+  }
+
+  before(async () => {
+    extension = await EasyStakingExtension.new();
+  });
+
   beforeEach(async () => {
     stakeToken = await Token.new();
     easyStaking = await EasyStaking.new();
@@ -103,6 +123,7 @@ contract('EasyStaking', accounts => {
   describe('initialize', () => {
     it('should be set up correctly', async () => {
       expect(await easyStaking.token()).to.equal(stakeToken.address);
+      expect(await easyStaking.extension()).to.equal(extension.address);
       const params = await easyStaking.getSigmoidParameters();
       expect(params.a).to.be.bignumber.equal(sigmoidParamA);
       expect(params.b).to.be.bignumber.equal(sigmoidParamB);
@@ -122,6 +143,7 @@ contract('EasyStaking', accounts => {
           sigmoidParamA.toString(),
           sigmoidParamB.toString(),
           sigmoidParamC.toString(),
+          extension.address,
         ),
         'zero address'
       );
@@ -137,6 +159,7 @@ contract('EasyStaking', accounts => {
           sigmoidParamA.toString(),
           sigmoidParamB.toString(),
           sigmoidParamC.toString(),
+          extension.address,
         ),
         'not a contract address'
       );
@@ -152,6 +175,7 @@ contract('EasyStaking', accounts => {
           sigmoidParamA.toString(),
           sigmoidParamB.toString(),
           sigmoidParamC.toString(),
+          extension.address,
         ),
         'should be less than or equal to 1 ether'
       );
@@ -167,6 +191,7 @@ contract('EasyStaking', accounts => {
           sigmoidParamA.toString(),
           sigmoidParamB.toString(),
           sigmoidParamC.toString(),
+          extension.address,
         ),
         'should be less than or equal to 1 ether'
       );
@@ -182,6 +207,7 @@ contract('EasyStaking', accounts => {
           sigmoidParamA.toString(),
           sigmoidParamB.toString(),
           sigmoidParamC.toString(),
+          extension.address,
         ),
         `shouldn't be greater than 30 days`
       );
@@ -197,6 +223,7 @@ contract('EasyStaking', accounts => {
           sigmoidParamA.toString(),
           sigmoidParamB.toString(),
           sigmoidParamC.toString(),
+          extension.address,
         ),
         `shouldn't be less than 1 hour`
       );
@@ -212,6 +239,7 @@ contract('EasyStaking', accounts => {
           ether('0.076').toString(),
           sigmoidParamB.toString(),
           sigmoidParamC.toString(),
+          extension.address,
         ),
         'should be less than or equal to a half of the maximum emission rate'
       );
@@ -227,9 +255,26 @@ contract('EasyStaking', accounts => {
           sigmoidParamA.toString(),
           sigmoidParamB.toString(),
           sigmoidParamC.toString(),
+          extension.address,
         ),
         'zero address'
       );
+      await expectRevert(
+        initialize(
+          owner,
+          stakeToken.address,
+          liquidityProvidersRewardAddress,
+          fee.toString(),
+          withdrawalLockDuration.toString(),
+          withdrawalUnlockDuration.toString(),
+          totalSupplyFactor.toString(),
+          sigmoidParamA.toString(),
+          sigmoidParamB.toString(),
+          sigmoidParamC.toString(),
+          constants.ZERO_ADDRESS,
+        ),
+        'not a contract address'
+      );
     });
   });
   function testDeposit(directly) {
@@ -289,6 +334,8 @@ contract('EasyStaking', accounts => {
     });
     it('should deposit using an old id', async () => {
       await easyStaking.setFee(0, { from: owner });
+      await time.increase(PARAM_UPDATE_DELAY);
+      await applyParamChanges();
       const value = ether('100');
       if (directly) {
         await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
@@ -324,6 +371,7 @@ contract('EasyStaking', accounts => {
         balance: new BN(0),
         accruedEmission: userAccruedEmission,
         lastDepositDuration: timePassed,
+        forced: true,
       });
       expect(balanceAfter).to.be.bignumber.equal(balanceBefore.add(value.add(userAccruedEmission)));
     });
@@ -344,6 +392,7 @@ contract('EasyStaking', accounts => {
       await easyStaking.setSigmoidParameters(0, sigmoidParamB, sigmoidParamC);
       await easyStaking.setTotalSupplyFactor(0);
       await time.increase(PARAM_UPDATE_DELAY.add(new BN(1)));
+      await applyParamChanges();
       if (directly) {
         await expectRevert(
           easyStaking.methods['deposit(uint256)'](ether('1'), { from: user1 }),
@@ -357,6 +406,35 @@ contract('EasyStaking', accounts => {
       }
     });
   }
+  describe('setExtension', () => {
+    it('should set the extension', async () => {
+      const newExtension = await EasyStakingExtension.new();
+      const receipt = await easyStaking.setExtension(newExtension.address, { from: owner });
+      expectEvent(receipt, 'ExtensionSet', { value: newExtension.address, sender: owner });
+      expect(await easyStaking.extension()).to.equal(newExtension.address);
+      await stakeToken.mint(user1, oneEther, { from: owner });
+      await stakeToken.approve(easyStaking.address, oneEther, { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](oneEther, { from: user1 });
+      await easyStaking.requestWithdrawals([1], { from: user1 });
+      expect(await easyStaking.withdrawalRequestsDates(user1, 1)).to.be.bignumber.gt(new BN(0));
+    });
+    it('fails if not an owner', async () => {
+      await expectRevert(
+        easyStaking.setExtension(extension.address, { from: user1 }),
+        'Ownable: caller is not the owner'
+      );
+    });
+    it('fails if not a contract', async () => {
+      await expectRevert(easyStaking.setExtension(user1, { from: owner }), 'not a contract address');
+      await expectRevert(easyStaking.setExtension(constants.ZERO_ADDRESS, { from: owner }), 'not a contract address');
+    });
+    it('fails to call a delegated method if the extension is not set', async () => {
+      easyStaking = await EasyStaking.new();
+      expect(await easyStaking.extension()).to.equal(constants.ZERO_ADDRESS);
+      await expectRevert(easyStaking.requestWithdrawals([1], { from: user1 }), 'extension is not set');
+      await expectRevert(easyStaking.fundRewardReserve(oneEther, { from: user1 }), 'extension is not set');
+    });
+  });
   describe('deposit', () => {
     testDeposit(true);
     it('fails if wrong deposit id', async () => {
@@ -375,6 +453,162 @@ contract('EasyStaking', accounts => {
       );
     });
   });
+  describe('depositWithPermit', () => {
+    const user1PrivateKey = '0x2bdd21761a483f71054e14f5b827213567971c676928d9a1808cbfa4b7501201';
+    const value = ether('100');
+
+    async function signPermit(spender, amount, deadline, privateKey = user1PrivateKey) {
+      const signer = new ethers.utils.SigningKey(privateKey);
+      const nonce = await stakeToken.nonces(signer.address);
+      const structHash = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+        ['bytes32', 'address', 'address', 'uint256', 'uint256', 'uint256'],
+        [await stakeToken.PERMIT_TYPEHASH(), signer.address, spender, amount.toString(), nonce.toString(), deadline.toString()]
+      ));
+      const digest = ethers.utils.keccak256(ethers.utils.solidityPack(
+        ['bytes2', 'bytes32', 'bytes32'],
+        ['0x1901', await stakeToken.DOMAIN_SEPARATOR(), structHash]
+      ));
+      return signer.signDigest(digest);
+    }
+
+    beforeEach(async () => {
+      stakeToken = await PermitToken.new();
+      easyStaking = await EasyStaking.new();
+      await initialize();
+      await stakeToken.initialize('Stake', 'STAKE', 18, 0, owner, [owner, easyStaking.address], [], easyStaking.address);
+      await stakeToken.mint(user1, ether('1000'), { from: owner });
+    });
+    it('should deposit', async () => {
+      const deadline = (await time.latest()).add(new BN(3600));
+      const { v, r, s } = await signPermit(easyStaking.address, value, deadline);
+      const receipt = await easyStaking.depositWithPermit(value, deadline, v, r, s, { from: user1 });
+      expectEvent(receipt, 'Deposited', {
+        sender: user1,
+        amount: value,
+        id: new BN(1),
+        balance: value,
+        accruedEmission: new BN(0),
+        prevDepositDuration: new BN(0),
+      });
+      const timestamp = await getBlockTimestamp(receipt);
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value);
+      expect(await easyStaking.depositDates(user1, 1)).to.be.bignumber.equal(timestamp);
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(ether('900'));
+      expect(await stakeToken.allowance(user1, easyStaking.address)).to.be.bignumber.equal(new BN(0));
+    });
+    it('should deposit if the permit was already submitted', async () => {
+      const deadline = (await time.latest()).add(new BN(3600));
+      const { v, r, s } = await signPermit(easyStaking.address, value, deadline);
+      await stakeToken.permit(user1, easyStaking.address, value, deadline, v, r, s, { from: user2 });
+      await easyStaking.depositWithPermit(value, deadline, v, r, s, { from: user1 });
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value);
+    });
+    it('fails if wrong signature', async () => {
+      const deadline = (await time.latest()).add(new BN(3600));
+      const { v, r, s } = await signPermit(easyStaking.address, value, deadline);
+      await expectRevert(easyStaking.depositWithPermit(value.add(new BN(1)), deadline, v, r, s, { from: user1 }), 'invalid signature');
+      await expectRevert(easyStaking.depositWithPermit(value, deadline, v, r, s, { from: user2 }), 'invalid signature');
+    });
+    it('fails if the permit expired', async () => {
+      const deadline = (await time.latest()).add(new BN(3600));
+      const { v, r, s } = await signPermit(easyStaking.address, value, deadline);
+      await time.increase(3601);
+      await expectRevert(easyStaking.depositWithPermit(value, deadline, v, r, s, { from: user1 }), 'permit expired');
+    });
+  });
+  describe('depositWithLockup', () => {
+    const value = ether('1000');
+    const lockupDuration = YEAR.divn(4);
+    const boost = ether('0.02'); // 2%
+
+    beforeEach(async () => {
+      await easyStaking.setLockupBoost(lockupDuration, boost, { from: owner });
+      await stakeToken.mint(user1, value.muln(2), { from: owner });
+      await stakeToken.approve(easyStaking.address, ether('10000'), { from: user1 });
+    });
+    it('should set lockup boost', async () => {
+      expect(await easyStaking.lockupBoosts(lockupDuration)).to.be.bignumber.equal(boost);
+      const receipt = await easyStaking.setLockupBoost(YEAR, ether('0.05'), { from: owner });
+      expectEvent(receipt, 'LockupBoostSet', { duration: YEAR, boost: ether('0.05'), sender: owner });
+      expect(await easyStaking.lockupBoosts(YEAR)).to.be.bignumber.equal(ether('0.05'));
+      await expectRevert(easyStaking.setLockupBoost(YEAR, 0, { from: user1 }), 'Ownable: caller is not the owner');
+      await expectRevert(easyStaking.setLockupBoost(0, boost, { from: owner }), 'should be greater than 0');
+      await expectRevert(
+        easyStaking.setLockupBoost(YEAR, ether('0.076'), { from: owner }),
+        'should be less than or equal to a half of the maximum emission rate'
+      );
+    });
+    it('should deposit', async () => {
+      const receipt = await easyStaking.depositWithLockup(value, lockupDuration, { from: user1 });
+      const timestamp = await getBlockTimestamp(receipt);
+      expectEvent(receipt, 'Deposited', { sender: user1, id: new BN(1), amount: value, balance: value });
+      expectEvent(receipt, 'DepositLocked', { sender: user1, id: new BN(1), lockupEnd: timestamp.add(lockupDuration), boost });
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value);
+      expect(await easyStaking.lockupEnds(user1, 1)).to.be.bignumber.equal(timestamp.add(lockupDuration));
+      expect(await easyStaking.depositBoosts(user1, 1)).to.be.bignumber.equal(boost);
+    });
+    it('fails if wrong lockup duration', async () => {
+      await expectRevert(easyStaking.depositWithLockup(value, YEAR, { from: user1 }), 'wrong lockup duration');
+      await easyStaking.setLockupBoost(lockupDuration, 0, { from: owner });
+      await expectRevert(easyStaking.depositWithLockup(value, lockupDuration, { from: user1 }), 'wrong lockup duration');
+    });
+    it('should not be withdrawn before maturity', async () => {
+      await easyStaking.depositWithLockup(value, lockupDuration, { from: user1 });
+      await easyStaking.requestWithdrawal(1, { from: user1 });
+      await time.increase(withdrawalLockDuration);
+      await expectRevert(easyStaking.makeRequestedWithdrawal(1, 0, { from: user1 }), 'locked');
+      await expectRevert(easyStaking.makeForcedWithdrawal(1, 0, { from: user1 }), 'locked');
+      await expectRevert(easyStaking.splitDeposit(1, ether('1'), { from: user1 }), 'locked');
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await expectRevert(easyStaking.mergeDeposits(2, 1, { from: user1 }), 'locked');
+      await time.increase(lockupDuration);
+      await easyStaking.makeForcedWithdrawal(1, ether('1'), { from: user1 });
+      await easyStaking.mergeDeposits(2, 1, { from: user1 });
+    });
+    it('should accrue boosted emission until the lockup end', async () => {
+      let receipt = await easyStaking.depositWithLockup(value, lockupDuration, { from: user1 });
+      const depositDate = await getBlockTimestamp(receipt);
+      await time.increase(lockupDuration.muln(2));
+      const totalSupply = await stakeToken.totalSupply();
+      const totalStaked = await easyStaking.totalStaked();
+      receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const timePassed = (await getBlockTimestamp(receipt)).sub(depositDate);
+      const userShare = calculateUserAccruedEmission(value, timePassed, totalSupply, totalStaked);
+      const boostedEmission = calculateAccruedEmission(value, lockupDuration, boost);
+      expectEvent(receipt, 'Withdrawn', { sender: user1, id: new BN(1), accruedEmission: userShare.add(boostedEmission) });
+    });
+    it('should not exceed the maximum emission rate', async () => {
+      await easyStaking.setLockupBoost(YEAR.muln(2), ether('0.075'), { from: owner });
+      let receipt = await easyStaking.depositWithLockup(value, YEAR.muln(2), { from: user1 });
+      const depositDate = await getBlockTimestamp(receipt);
+      await time.increase(YEAR.muln(2));
+      receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const timePassed = (await getBlockTimestamp(receipt)).sub(depositDate);
+      const total = calculateAccruedEmission(value, timePassed, MAX_EMISSION_RATE);
+      expectEvent(receipt, 'Withdrawn', { sender: user1, id: new BN(1), accruedEmission: total });
+      expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.gt(new BN(0)); // only the fee
+      expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.equal(
+        value.add(total).mul(fee).div(oneEther)
+      );
+    });
+    it('should keep the lockup on transfer', async () => {
+      const receipt = await easyStaking.depositWithLockup(value, lockupDuration, { from: user1 });
+      const lockupEnd = (await getBlockTimestamp(receipt)).add(lockupDuration);
+      await easyStaking.transferDeposit(1, user2, { from: user1 });
+      expect(await easyStaking.lockupEnds(user1, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.depositBoosts(user1, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.lockupEnds(user2, 1)).to.be.bignumber.equal(lockupEnd);
+      expect(await easyStaking.depositBoosts(user2, 1)).to.be.bignumber.equal(boost);
+      await expectRevert(easyStaking.makeForcedWithdrawal(1, 0, { from: user2 }), 'locked');
+    });
+    it('can be withdrawn before maturity while paused', async () => {
+      await easyStaking.depositWithLockup(value, lockupDuration, { from: user1 });
+      await easyStaking.setPauseGuardian(owner, { from: owner });
+      await easyStaking.setPaused(true, { from: owner });
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(value.muln(2));
+    });
+  });
   describe('makeForcedWithdrawal', () => {
     const value = ether('1000');
     beforeEach(async () => {
@@ -412,11 +646,15 @@ contract('EasyStaking', accounts => {
       });
       totalSupply = await stakeToken.totalSupply();
       totalStaked = await easyStaking.totalStaked();
+      const accumulator = await getSupplyBasedEmissionRateAccumulator(user1, 1);
       await time.increase(1); // make sure the timestamp of two consequent blocks is different
       receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
       timestampAfter = await getBlockTimestamp(receipt);
       timePassed = timestampAfter.sub(timestampBefore);
-      const userAccruedEmission2 = calculateUserAccruedEmission(value.sub(oneEther), timePassed, totalSupply, totalStaked);
+      const averageRate = calculateAverageSupplyBasedEmissionRate(accumulator, timestampAfter, totalSupply, totalStaked);
+      const userAccruedEmission2 = calculateUserAccruedEmission(
+        value.sub(oneEther), timePassed, totalSupply, totalStaked, averageRate
+      );
       expect(userAccruedEmission2).to.be.bignumber.gt(new BN(0));
       const feeValue2 = value.sub(oneEther).add(userAccruedEmission2).mul(fee).div(oneEther);
       expect(feeValue2).to.be.bignumber.gt(new BN(0));
@@ -450,7 +688,7 @@ contract('EasyStaking', accounts => {
       expect(feeValue).to.be.bignumber.gt(new BN(0));
       expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(new BN(0));
       expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(value.add(userShare).sub(feeValue));
-      expect(await stakeToken.balanceOf(liquidityProvidersRewardAddress)).to.be.bignumber.equal(liquidityProvidersReward.add(feeValue));
+      expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.equal(liquidityProvidersReward.add(feeValue));
     });
     it('should withdraw part and accrue emission', async () => {
       let receipt = await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
@@ -483,10 +721,12 @@ contract('EasyStaking', accounts => {
         const timestampBefore = await easyStaking.depositDates(exchange, i + 1);
         const totalSupply = await stakeToken.totalSupply();
         const totalStaked = await easyStaking.totalStaked();
+        const accumulator = await getSupplyBasedEmissionRateAccumulator(exchange, i + 1);
         const receipt = await easyStaking.makeForcedWithdrawal(i + 1, 0, { from: user1 });
         const timestampAfter = await getBlockTimestamp(receipt);
         const timePassed = timestampAfter.sub(timestampBefore);
-        const userAccruedEmission = calculateUserAccruedEmission(values[i], timePassed, totalSupply, totalStaked);
+        const averageRate = calculateAverageSupplyBasedEmissionRate(accumulator, timestampAfter, totalSupply, totalStaked);
+        const userAccruedEmission = calculateUserAccruedEmission(values[i], timePassed, totalSupply, totalStaked, averageRate);
         const feeValue = values[i].add(userAccruedEmission).mul(fee).div(oneEther);
         const expectedExchangeBalance = exchangeBalance.add(values[i]).add(userAccruedEmission).sub(feeValue);
         expect(userAccruedEmission).to.be.bignumber.gt(new BN(0));
@@ -500,6 +740,8 @@ contract('EasyStaking', accounts => {
     });
     it('should pause minting tokens', async () => {
       await easyStaking.setFee(0, { from: owner });
+      await time.increase(PARAM_UPDATE_DELAY);
+      await applyParamChanges();
       await easyStaking.methods['deposit(uint256)'](ether('100'), { from: user1 });
       await easyStaking.methods['deposit(uint256)'](ether('100'), { from: user1 });
       await time.increase(YEAR);
@@ -513,6 +755,7 @@ contract('EasyStaking', accounts => {
       await easyStaking.setSigmoidParameters(0, sigmoidParamB, sigmoidParamC, { from: owner });
       await easyStaking.setTotalSupplyFactor(0, { from: owner });
       await time.increase(PARAM_UPDATE_DELAY.add(new BN(1)));
+      await applyParamChanges();
       balanceBefore = balanceAfter;
       await easyStaking.makeForcedWithdrawal(2, 0, { from: user1 });
       balanceAfter = await stakeToken.balanceOf(user1);
@@ -545,6 +788,8 @@ contract('EasyStaking', accounts => {
     });
     it('should withdraw entire deposit by several parts', async () => {
       await easyStaking.setFee(0);
+      await time.increase(PARAM_UPDATE_DELAY);
+      await applyParamChanges();
       const depositValue = ether('1000');
       let receipt = await easyStaking.methods['deposit(uint256)'](depositValue, { from: user1 });
       expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(new BN(0));
@@ -563,10 +808,12 @@ contract('EasyStaking', accounts => {
         await time.increase(durations[i]);
         const totalSupply = await stakeToken.totalSupply();
         const totalStaked = await easyStaking.totalStaked();
+        const accumulator = await getSupplyBasedEmissionRateAccumulator(user1, 1);
         receipt = await easyStaking.makeForcedWithdrawal(1, parts[i], { from: user1 });
         const timestampAfter = await getBlockTimestamp(receipt);
         const timePassed = timestampAfter.sub(timestampBefore);
-        const userAccruedEmission = calculateUserAccruedEmission(parts[i], timePassed, totalSupply, totalStaked);
+        const averageRate = calculateAverageSupplyBasedEmissionRate(accumulator, timestampAfter, totalSupply, totalStaked);
+        const userAccruedEmission = calculateUserAccruedEmission(parts[i], timePassed, totalSupply, totalStaked, averageRate);
         withdrawnValue = withdrawnValue.add(parts[i]);
         totalAccruedEmission = totalAccruedEmission.add(userAccruedEmission);
         expectEvent(receipt, 'Withdrawn', {
@@ -583,6 +830,8 @@ contract('EasyStaking', accounts => {
     });
     it('should withdraw the same amount', async () => {
       await easyStaking.setFee(0);
+      await time.increase(PARAM_UPDATE_DELAY);
+      await applyParamChanges();
 
       let receipt = await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
       let timestampBefore = await getBlockTimestamp(receipt);
@@ -631,6 +880,27 @@ contract('EasyStaking', accounts => {
       await expectRevert(easyStaking.requestWithdrawal(1, { from: user1 }), 'wrong deposit id');
     });
   });
+  describe('cancelWithdrawalRequest', () => {
+    const value = ether('1000');
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+    });
+    it('should cancel', async () => {
+      await easyStaking.requestWithdrawal(1, { from: user1 });
+      const receipt = await easyStaking.cancelWithdrawalRequest(1, { from: user1 });
+      expectEvent(receipt, 'WithdrawalRequestCancelled', { sender: user1, id: new BN(1) });
+      expect(await easyStaking.withdrawalRequestsDates(user1, 1)).to.be.bignumber.equal(new BN(0));
+      await time.increase(withdrawalLockDuration);
+      await expectRevert(easyStaking.makeRequestedWithdrawal(1, 0, { from: user1 }), `withdrawal wasn't requested`);
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value);
+    });
+    it('fails if not requested', async () => {
+      await expectRevert(easyStaking.cancelWithdrawalRequest(1, { from: user1 }), `withdrawal wasn't requested`);
+      await easyStaking.requestWithdrawal(1, { from: user1 });
+      await expectRevert(easyStaking.cancelWithdrawalRequest(1, { from: user2 }), `withdrawal wasn't requested`);
+    });
+  });
   describe('makeRequestedWithdrawal', () => {
     const value = ether('1000');
     beforeEach(async () => {
@@ -658,6 +928,7 @@ contract('EasyStaking', accounts => {
         balance: new BN(0),
         accruedEmission: userAccruedEmission,
         lastDepositDuration: timePassed,
+        forced: false,
       });
     });
     it('should fail if not requested', async () => {
@@ -677,116 +948,853 @@ contract('EasyStaking', accounts => {
       await expectRevert(easyStaking.makeRequestedWithdrawal(1, 0, { from: user1 }), 'too late');
     });
   });
-  describe('totalStaked', () => {
-    it('should be calculated correctly', async () => {
-      let expectedTotalStaked = new BN(0);
-      const value = ether('1000');
-      await stakeToken.mint(owner, value, { from: owner });
+  describe('claimEmission', () => {
+    const value = ether('1000');
+    beforeEach(async () => {
       await stakeToken.mint(user1, value, { from: owner });
-      await stakeToken.mint(user2, value, { from: owner });
-      await stakeToken.transfer(easyStaking.address, ether('10'), { from: owner });
-      expectedTotalStaked = expectedTotalStaked.add(ether('10'));
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
-      await time.increase(1);
-      let receipt = await stakeToken.transfer(easyStaking.address, ether('500'), { from: user1 });
-      const timestampBefore = await getBlockTimestamp(receipt);
-      expectedTotalStaked = expectedTotalStaked.add(ether('500'));
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
-      await time.increase(1);
-      await easyStaking.makeForcedWithdrawal(1, ether('250'), { from: user1 });
-      expectedTotalStaked = expectedTotalStaked.sub(ether('250'));
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
-      await time.increase(1);
-      await stakeToken.transfer(easyStaking.address, ether('1000'), { from: user2 });
-      expectedTotalStaked = expectedTotalStaked.add(ether('1000'));
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
-      await time.increase(1);
-      await stakeToken.transfer(easyStaking.address, ether('40'), { from: user1 });
-      expectedTotalStaked = expectedTotalStaked.add(ether('40'));
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
-      await time.increase(1);
-      const totalSupply = await stakeToken.totalSupply();
-      const totalStaked = await easyStaking.totalStaked();
-      await stakeToken.approve(easyStaking.address, ether('333'), { from: user1 });
-      receipt = await easyStaking.methods['deposit(uint256,uint256)'](1, ether('333'), { from: user1 });
+      await stakeToken.approve(easyStaking.address, ether('10000'), { from: user1 });
+    });
+    it('should claim', async () => {
+      let receipt = await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      const depositDate = await getBlockTimestamp(receipt);
+      await time.increase(YEAR.div(new BN(8)));
+      let totalSupply = await stakeToken.totalSupply();
+      let totalStaked = await easyStaking.totalStaked();
+      receipt = await easyStaking.claimEmission(1, { from: user1 });
+      const claimDate = await getBlockTimestamp(receipt);
+      let timePassed = claimDate.sub(depositDate);
+      const { userShare, liquidityProvidersReward } = calculateTotalAccruedEmission(value, timePassed, totalSupply, totalStaked);
+      expect(userShare).to.be.bignumber.gt(new BN(0));
+      expectEvent(receipt, 'EmissionClaimed', {
+        sender: user1,
+        id: new BN(1),
+        accruedEmission: userShare,
+        depositDuration: timePassed,
+      });
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(userShare);
+      expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.equal(liquidityProvidersReward);
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value);
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(value);
+      expect(await easyStaking.depositDates(user1, 1)).to.be.bignumber.equal(depositDate);
+      expect(await easyStaking.emissionClaimDates(user1, 1)).to.be.bignumber.equal(claimDate);
+
+      await time.increase(YEAR.div(new BN(8)));
+      totalSupply = await stakeToken.totalSupply();
+      totalStaked = await easyStaking.totalStaked();
+      receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
       const timestampAfter = await getBlockTimestamp(receipt);
-      const timePassed = timestampAfter.sub(timestampBefore);
-      const userAccruedEmission = calculateUserAccruedEmission(ether('250'), timePassed, totalSupply, totalStaked);
-      expectedTotalStaked = expectedTotalStaked.add(ether('333')).add(userAccruedEmission);
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
-      await time.increase(1);
-      await easyStaking.makeForcedWithdrawal(1, 0, { from: owner });
-      expectedTotalStaked = expectedTotalStaked.sub(ether('10'));
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
-      await time.increase(1);
-      await easyStaking.makeForcedWithdrawal(1, 0, { from: user2 });
-      expectedTotalStaked = expectedTotalStaked.sub(ether('1000'));
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
-      await time.increase(1);
+      timePassed = timestampAfter.sub(depositDate);
+      const userEmissionRate = calculateUserEmissionRate(timePassed, totalSupply, totalStaked);
+      const accruedEmission = calculateAccruedEmission(value, timestampAfter.sub(claimDate), userEmissionRate);
+      expect(accruedEmission).to.be.bignumber.lt(calculateAccruedEmission(value, timePassed, userEmissionRate));
+      expectEvent(receipt, 'Withdrawn', {
+        sender: user1,
+        id: new BN(1),
+        balance: new BN(0),
+        accruedEmission,
+        lastDepositDuration: timePassed,
+      });
+    });
+    it('should fix the personal rate of the claimed period at the moment of the claim', async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      await time.increase(YEAR.divn(2));
+      let receipt = await easyStaking.claimEmission(1, { from: user1 });
+      const claimed = receipt.logs.find(log => log.event === 'EmissionClaimed').args.accruedEmission;
+      const claimDate = await getBlockTimestamp(receipt);
+      await time.increase(YEAR.divn(2));
+      receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const withdrawDate = await getBlockTimestamp(receipt);
+      const claimedThenWithdrawn = claimed.add(receipt.logs.find(log => log.event === 'Withdrawn').args.accruedEmission);
+      receipt = await easyStaking.makeForcedWithdrawal(2, 0, { from: user1 });
+      const withdrawnOnce = receipt.logs.find(log => log.event === 'Withdrawn').args.accruedEmission;
+      // the first half of the year is paid at the personal rate of the claim instead of the rate of the withdrawal
+      const sigmoidParams = { a: sigmoidParamA, b: sigmoidParamB, c: sigmoidParamC };
+      const rateDifference = emission.calculateSigmoid(sigmoidParams, withdrawDate.sub(depositDate))
+        .sub(emission.calculateSigmoid(sigmoidParams, claimDate.sub(depositDate)));
+      const expectedDifference = calculateAccruedEmission(value, claimDate.sub(depositDate), rateDifference);
+      expect(expectedDifference).to.be.bignumber.gt(new BN(0));
+      const difference = withdrawnOnce.sub(claimedThenWithdrawn);
+      expect(difference.sub(expectedDifference).abs()).to.be.bignumber.lte(expectedDifference.divn(100));
+    });
+    it('should not accrue emission twice in the same period', async () => {
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(YEAR);
+      await easyStaking.claimEmission(1, { from: user1 });
+      const receipt = await easyStaking.claimEmission(1, { from: user1 });
+      const { accruedEmission } = receipt.logs.find(log => log.event === 'EmissionClaimed').args;
+      expect(accruedEmission).to.be.bignumber.lt(ether('0.001'));
+    });
+    it('fails if wrong deposit id or zero balance', async () => {
+      await expectRevert(easyStaking.claimEmission(1, { from: user1 }), 'wrong deposit id');
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
       await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
-      expectedTotalStaked = expectedTotalStaked.sub(ether('583')).sub(userAccruedEmission);
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
-      await time.increase(1);
-      await easyStaking.makeForcedWithdrawal(2, 0, { from: user1 });
-      expectedTotalStaked = expectedTotalStaked.sub(ether('40'));
-      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(new BN(0));
-      expect(expectedTotalStaked).to.be.bignumber.equal(new BN(0));
+      await expectRevert(easyStaking.claimEmission(1, { from: user1 }), 'insufficient funds');
     });
   });
-  describe('setFee', () => {
-    it('should set', async () => {
-      const newFee = ether('0.1');
-      expect(await easyStaking.fee()).to.be.bignumber.equal(fee);
-      expect(newFee).to.be.bignumber.not.equal(fee);
-      const receipt = await easyStaking.setFee(newFee, { from: owner });
-      expectEvent(receipt, 'FeeSet', { value: newFee, sender: owner });
-      await time.increase(PARAM_UPDATE_DELAY.sub(new BN(1)));
-      expect(await easyStaking.fee()).to.be.bignumber.equal(fee);
-      await time.increase(2);
-      expect(await easyStaking.fee()).to.be.bignumber.equal(newFee);
+  describe('compound', () => {
+    const value = ether('1000');
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, ether('10000'), { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
     });
-    it('fails if not an owner', async () => {
-      await expectRevert(
-        easyStaking.setFee(ether('0.1'), { from: user1 }),
-        'Ownable: caller is not the owner',
-      );
+    it('should enable and disable compounding', async () => {
+      let receipt = await easyStaking.setCompounding(1, true, { from: user1 });
+      expectEvent(receipt, 'CompoundingSet', { sender: user1, id: new BN(1), enabled: true });
+      expect(await easyStaking.compoundingEnabled(user1, 1)).to.be.equal(true);
+      receipt = await easyStaking.setCompounding(1, false, { from: user1 });
+      expectEvent(receipt, 'CompoundingSet', { sender: user1, id: new BN(1), enabled: false });
+      expect(await easyStaking.compoundingEnabled(user1, 1)).to.be.equal(false);
+      await expectRevert(easyStaking.setCompounding(2, true, { from: user1 }), 'wrong deposit id');
     });
-    it('fails if greater than 1 ether', async () => {
-      await expectRevert(easyStaking.setFee(ether('1.01'), { from: owner }), 'should be less than or equal to 1 ether');
+    it('should compound', async () => {
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      await easyStaking.setCompounding(1, true, { from: user1 });
+      await easyStaking.grantOperator(user2, 1, Permission.Compound, { from: user1 });
+      let expectedBalance = value;
+      let accrualDate = depositDate;
+      for (let i = 0; i < 3; i++) {
+        await time.increase(YEAR.div(new BN(12)));
+        const totalSupply = await stakeToken.totalSupply();
+        const totalStaked = await easyStaking.totalStaked();
+        const lpRewardBefore = await easyStaking.liquidityProvidersReward();
+        const receipt = await easyStaking.compound(user1, 1, { from: user2 });
+        const timestamp = await getBlockTimestamp(receipt);
+        const userEmissionRate = calculateUserEmissionRate(timestamp.sub(depositDate), totalSupply, totalStaked);
+        const userShare = calculateAccruedEmission(expectedBalance, timestamp.sub(accrualDate), userEmissionRate);
+        const total = calculateAccruedEmission(expectedBalance, timestamp.sub(accrualDate), MAX_EMISSION_RATE);
+        expectedBalance = expectedBalance.add(userShare);
+        accrualDate = timestamp;
+        expectEvent(receipt, 'Compounded', {
+          holder: user1,
+          id: new BN(1),
+          amount: userShare,
+          balance: expectedBalance,
+          caller: user2,
+        });
+        expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(expectedBalance);
+        expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedBalance);
+        expect(await easyStaking.depositDates(user1, 1)).to.be.bignumber.equal(depositDate);
+        expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.equal(lpRewardBefore.add(total.sub(userShare)));
+      }
     });
-  });
-  describe('setWithdrawalLockDuration', () => {
-    it('should set', async () => {
-      const newWithdrawalLockDuration = new BN(1000);
-      expect(await easyStaking.withdrawalLockDuration()).to.be.bignumber.equal(withdrawalLockDuration);
-      expect(newWithdrawalLockDuration).to.be.bignumber.not.equal(withdrawalLockDuration);
-      const receipt = await easyStaking.setWithdrawalLockDuration(newWithdrawalLockDuration, { from: owner });
-      expectEvent(receipt, 'WithdrawalLockDurationSet', { value: newWithdrawalLockDuration, sender: owner });
-      await time.increase(PARAM_UPDATE_DELAY.sub(new BN(1)));
-      expect(await easyStaking.withdrawalLockDuration()).to.be.bignumber.equal(withdrawalLockDuration);
-      await time.increase(2);
-      expect(await easyStaking.withdrawalLockDuration()).to.be.bignumber.equal(newWithdrawalLockDuration);
+    it('fails if compounding is disabled', async () => {
+      await time.increase(YEAR.div(new BN(12)));
+      await expectRevert(easyStaking.compound(user1, 1, { from: user2 }), 'compounding disabled');
     });
-    it('fails if not an owner', async () => {
-      await expectRevert(
-        easyStaking.setWithdrawalLockDuration(new BN(1000), { from: user1 }),
-        'Ownable: caller is not the owner',
-      );
+    it('fails if zero balance', async () => {
+      await easyStaking.setCompounding(1, true, { from: user1 });
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      await expectRevert(easyStaking.compound(user1, 1, { from: user1 }), 'insufficient funds');
     });
-    it('fails if greater than 30 days', async () => {
-      await expectRevert(easyStaking.setWithdrawalLockDuration(2592001, { from: owner }), `shouldn't be greater than 30 days`);
+    it('fails if the caller is neither the holder nor an operator', async () => {
+      await easyStaking.setCompounding(1, true, { from: user1 });
+      await easyStaking.grantOperator(user2, 2, Permission.ForcedWithdraw, { from: user1 });
+      await expectRevert(easyStaking.compound(user1, 1, { from: user2 }), 'caller is not allowed');
+      await easyStaking.grantOperator(user2, 0, Permission.Compound, { from: user1 });
+      await easyStaking.compound(user1, 1, { from: user2 });
+      await easyStaking.revokeOperator(user2, 0, { from: user1 });
+      await expectRevert(easyStaking.compound(user1, 1, { from: user2 }), 'caller is not allowed');
+      await easyStaking.compound(user1, 1, { from: user1 });
+    });
+    it('should not let a third party lower the emission by compounding early', async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await easyStaking.setCompounding(1, true, { from: user1 });
+      await easyStaking.setCompounding(2, true, { from: user1 });
+      await easyStaking.grantOperator(user2, 2, Permission.Compound, { from: user1 });
+      await time.increase(3600);
+      // an approved keeper locks in the low rate of the first hour for the second deposit
+      await easyStaking.compound(user1, 2, { from: user2 });
+      await expectRevert(easyStaking.compound(user1, 1, { from: liquidityProvidersRewardAddress }), 'caller is not allowed');
+      await time.increase(YEAR);
+      const totalSupply = await stakeToken.totalSupply();
+      const totalStaked = await easyStaking.totalStaked();
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      const accumulator = await getSupplyBasedEmissionRateAccumulator(user1, 1);
+      let receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const timestamp = await getBlockTimestamp(receipt);
+      const supplyBasedEmissionRate = calculateAverageSupplyBasedEmissionRate(
+        accumulator, timestamp, totalSupply, totalStaked
+      );
+      const singleWithdrawalEmission = calculateUserAccruedEmission(
+        value, timestamp.sub(depositDate), totalSupply, totalStaked, supplyBasedEmissionRate
+      );
+      const withdrawn = receipt.logs.find(log => log.event === 'Withdrawn').args;
+      // the third party could not compound, so the holder is paid like a single withdrawal
+      expect(withdrawn.accruedEmission).to.be.bignumber.equal(singleWithdrawalEmission);
+      receipt = await easyStaking.makeForcedWithdrawal(2, 0, { from: user1 });
+      const compounded = receipt.logs.find(log => log.event === 'Withdrawn').args;
+      expect(compounded.amount).to.be.bignumber.lt(withdrawn.amount);
     });
   });
-  describe('setWithdrawalUnlockDuration', () => {
-    it('should set', async () => {
-      const newWithdrawalUnlockDuration = new BN(10000);
-      expect(await easyStaking.withdrawalUnlockDuration()).to.be.bignumber.equal(withdrawalUnlockDuration);
-      expect(newWithdrawalUnlockDuration).to.be.bignumber.not.equal(withdrawalUnlockDuration);
+  describe('mergeDeposits', () => {
+    beforeEach(async () => {
+      await stakeToken.mint(user1, ether('1000'), { from: owner });
+      await stakeToken.approve(easyStaking.address, ether('10000'), { from: user1 });
+    });
+    it('should merge', async () => {
+      const values = [ether('100'), ether('300')];
+      const dates = [];
+      for (let i = 0; i < values.length; i++) {
+        const receipt = await easyStaking.methods['deposit(uint256)'](values[i], { from: user1 });
+        dates.push(await getBlockTimestamp(receipt));
+        await time.increase(YEAR.div(new BN(12)));
+      }
+      await easyStaking.requestWithdrawal(2, { from: user1 });
+      const totalSupply = await stakeToken.totalSupply();
+      const totalStaked = await easyStaking.totalStaked();
+      const accumulators = [
+        await getSupplyBasedEmissionRateAccumulator(user1, 1),
+        await getSupplyBasedEmissionRateAccumulator(user1, 2),
+      ];
+      const receipt = await easyStaking.mergeDeposits(1, 2, { from: user1 });
+      const timestamp = await getBlockTimestamp(receipt);
+      // both deposits accrue with the average rate up to the merge, so the emission of the first one doesn't affect the second
+      const [emission1, emission2] = [0, 1].map(i => calculateTotalAccruedEmission(
+        values[i],
+        timestamp.sub(dates[i]),
+        totalSupply,
+        totalStaked,
+        calculateAverageSupplyBasedEmissionRate(accumulators[i], timestamp, totalSupply, totalStaked)
+      ));
+      const balance1 = values[0].add(emission1.userShare);
+      const balance2 = values[1].add(emission2.userShare);
+      const newBalance = balance1.add(balance2);
+      const depositDate = dates[0].mul(balance1).add(dates[1].mul(balance2)).div(newBalance);
+      expectEvent(receipt, 'DepositsMerged', {
+        sender: user1,
+        id: new BN(1),
+        mergedId: new BN(2),
+        balance: newBalance,
+        depositDate,
+      });
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(newBalance);
+      expect(await easyStaking.balances(user1, 2)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.depositDates(user1, 1)).to.be.bignumber.equal(depositDate);
+      expect(await easyStaking.depositDates(user1, 2)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.withdrawalRequestsDates(user1, 2)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(newBalance);
+      const lpReward = emission1.liquidityProvidersReward.add(emission2.liquidityProvidersReward);
+      expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.equal(lpReward);
+      await time.increase(1);
+      const withdrawal = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const { accruedEmission } = withdrawal.logs.find(log => log.event === 'Withdrawn').args;
+      expect(accruedEmission).to.be.bignumber.lt(ether('0.001'));
+    });
+    it('fails if wrong deposit ids', async () => {
+      await easyStaking.methods['deposit(uint256)'](ether('100'), { from: user1 });
+      await expectRevert(easyStaking.mergeDeposits(1, 1, { from: user1 }), 'wrong deposit id');
+      await expectRevert(easyStaking.mergeDeposits(1, 2, { from: user1 }), 'wrong deposit id');
+      await easyStaking.methods['deposit(uint256)'](ether('100'), { from: user1 });
+      await easyStaking.makeForcedWithdrawal(2, 0, { from: user1 });
+      await expectRevert(easyStaking.mergeDeposits(1, 2, { from: user1 }), 'insufficient funds');
+    });
+  });
+  describe('splitDeposit', () => {
+    const value = ether('1000');
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, ether('10000'), { from: user1 });
+    });
+    it('should split', async () => {
+      let receipt = await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      const depositDate = await getBlockTimestamp(receipt);
+      await time.increase(YEAR.div(new BN(8)));
+      const totalSupply = await stakeToken.totalSupply();
+      const totalStaked = await easyStaking.totalStaked();
+      receipt = await easyStaking.splitDeposit(1, ether('400'), { from: user1 });
+      const timestamp = await getBlockTimestamp(receipt);
+      const { userShare, liquidityProvidersReward } = calculateTotalAccruedEmission(
+        value, timestamp.sub(depositDate), totalSupply, totalStaked
+      );
+      expectEvent(receipt, 'EmissionAccrued', {
+        holder: user1,
+        id: new BN(1),
+        userShare,
+        liquidityProvidersShare: liquidityProvidersReward,
+      });
+      expectEvent(receipt, 'DepositSplit', {
+        sender: user1,
+        id: new BN(1),
+        newId: new BN(2),
+        amount: ether('400'),
+        balance: value.add(userShare).sub(ether('400')),
+      });
+      expect(await easyStaking.lastDepositIds(user1)).to.be.bignumber.equal(new BN(2));
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value.add(userShare).sub(ether('400')));
+      expect(await easyStaking.balances(user1, 2)).to.be.bignumber.equal(ether('400'));
+      expect(await easyStaking.depositDates(user1, 1)).to.be.bignumber.equal(depositDate);
+      expect(await easyStaking.depositDates(user1, 2)).to.be.bignumber.equal(depositDate);
+      expect(await easyStaking.emissionClaimDates(user1, 2)).to.be.bignumber.equal(timestamp);
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(value.add(userShare));
+      await easyStaking.requestWithdrawal(2, { from: user1 });
+      await time.increase(withdrawalLockDuration);
+      await easyStaking.makeRequestedWithdrawal(2, 0, { from: user1 });
+      expect(await easyStaking.balances(user1, 2)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value.add(userShare).sub(ether('400')));
+    });
+    it('fails if wrong amount', async () => {
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await expectRevert(easyStaking.splitDeposit(1, 0, { from: user1 }), 'wrong amount');
+      await expectRevert(easyStaking.splitDeposit(1, value.mul(new BN(2)), { from: user1 }), 'wrong amount');
+      await expectRevert(easyStaking.splitDeposit(2, ether('1'), { from: user1 }), 'wrong deposit id');
+    });
+  });
+  describe('transferDeposit', () => {
+    const value = ether('1000');
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, ether('10000'), { from: user1 });
+    });
+    it('should transfer', async () => {
+      let receipt = await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      const depositDate = await getBlockTimestamp(receipt);
+      receipt = await easyStaking.requestWithdrawal(1, { from: user1 });
+      const requestDate = await getBlockTimestamp(receipt);
+      await stakeToken.mint(user2, value, { from: owner });
+      await stakeToken.transfer(easyStaking.address, value, { from: user2 });
+      receipt = await easyStaking.transferDeposit(1, user2, { from: user1 });
+      expectEvent(receipt, 'DepositTransferred', {
+        sender: user1,
+        id: new BN(1),
+        recipient: user2,
+        recipientId: new BN(2),
+      });
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.depositDates(user1, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.withdrawalRequestsDates(user1, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.lastDepositIds(user2)).to.be.bignumber.equal(new BN(2));
+      expect(await easyStaking.balances(user2, 2)).to.be.bignumber.equal(value);
+      expect(await easyStaking.depositDates(user2, 2)).to.be.bignumber.equal(depositDate);
+      expect(await easyStaking.withdrawalRequestsDates(user2, 2)).to.be.bignumber.equal(requestDate);
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(value.add(value));
+      await time.increase(withdrawalLockDuration);
+      const totalSupply = await stakeToken.totalSupply();
+      const totalStaked = await easyStaking.totalStaked();
+      const balanceBefore = await stakeToken.balanceOf(user2);
+      const accumulator = await getSupplyBasedEmissionRateAccumulator(user2, 2);
+      receipt = await easyStaking.makeRequestedWithdrawal(2, 0, { from: user2 });
+      const timestamp = await getBlockTimestamp(receipt);
+      const averageRate = calculateAverageSupplyBasedEmissionRate(accumulator, timestamp, totalSupply, totalStaked);
+      const userAccruedEmission = calculateUserAccruedEmission(
+        value, timestamp.sub(depositDate), totalSupply, totalStaked, averageRate
+      );
+      expect(await stakeToken.balanceOf(user2)).to.be.bignumber.equal(balanceBefore.add(value).add(userAccruedEmission));
+      await expectRevert(easyStaking.makeRequestedWithdrawal(1, 0, { from: user1 }), `withdrawal wasn't requested`);
+    });
+    it('fails if wrong deposit id or zero balance', async () => {
+      await expectRevert(easyStaking.transferDeposit(1, user2, { from: user1 }), 'wrong deposit id');
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await easyStaking.transferDeposit(1, user2, { from: user1 });
+      await expectRevert(easyStaking.transferDeposit(1, user2, { from: user1 }), 'insufficient funds');
+    });
+    it('fails if wrong recipient', async () => {
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await expectRevert(easyStaking.transferDeposit(1, constants.ZERO_ADDRESS, { from: user1 }), 'zero address');
+      await expectRevert(easyStaking.transferDeposit(1, easyStaking.address, { from: user1 }), 'wrong address');
+      await expectRevert(easyStaking.transferDepositAndCall(1, user2, '0x', { from: user1 }), 'not a contract address');
+    });
+    it('fails if the recipient is a contract that does not accept deposits', async () => {
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await expectRevert.unspecified(easyStaking.transferDeposit(1, stakeToken.address, { from: user1 }));
+      const receiver = await ReceiverMock.new();
+      await expectRevert.unspecified(easyStaking.transferDeposit(1, receiver.address, { from: user1 }));
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value);
+      expect(await easyStaking.lastDepositIds(stakeToken.address)).to.be.bignumber.equal(new BN(0));
+    });
+  });
+  describe('batch withdrawals', () => {
+    const values = [ether('100'), ether('250'), ether('600')];
+    const ids = [1, 2, 3];
+    beforeEach(async () => {
+      await stakeToken.mint(user1, ether('1000'), { from: owner });
+      await stakeToken.approve(easyStaking.address, ether('10000'), { from: user1 });
+      for (let i = 0; i < values.length; i++) {
+        await easyStaking.methods['deposit(uint256)'](values[i], { from: user1 });
+      }
+    });
+    it('should request withdrawals', async () => {
+      const receipt = await easyStaking.requestWithdrawals(ids, { from: user1 });
+      const timestamp = await getBlockTimestamp(receipt);
+      for (let i = 0; i < ids.length; i++) {
+        expect(await easyStaking.withdrawalRequestsDates(user1, ids[i])).to.be.bignumber.equal(timestamp);
+        expectEvent(receipt, 'WithdrawalRequested', { sender: user1, id: new BN(ids[i]) });
+      }
+    });
+    it('should make requested withdrawals', async () => {
+      await easyStaking.requestWithdrawals(ids, { from: user1 });
+      await time.increase(withdrawalLockDuration);
+      const amounts = [0, ether('50'), 0];
+      const receipt = await easyStaking.makeRequestedWithdrawals(ids, amounts, { from: user1 });
+      const withdrawn = receipt.logs.filter(log => log.event === 'Withdrawn');
+      expect(withdrawn.length).to.be.equal(3);
+      for (let i = 0; i < ids.length; i++) {
+        expect(withdrawn[i].args.id).to.be.bignumber.equal(new BN(ids[i]));
+        expect(withdrawn[i].args.fee).to.be.bignumber.equal(new BN(0));
+        expect(await easyStaking.withdrawalRequestsDates(user1, ids[i])).to.be.bignumber.equal(new BN(0));
+      }
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.balances(user1, 2)).to.be.bignumber.equal(ether('200'));
+      expect(await easyStaking.balances(user1, 3)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(ether('200'));
+    });
+    it('should make forced withdrawals', async () => {
+      const receipt = await easyStaking.makeForcedWithdrawals(ids, [0, 0, ether('100')], { from: user1 });
+      const withdrawn = receipt.logs.filter(log => log.event === 'Withdrawn');
+      expect(withdrawn.length).to.be.equal(3);
+      for (let i = 0; i < ids.length; i++) {
+        expect(withdrawn[i].args.fee).to.be.bignumber.gt(new BN(0));
+      }
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(ether('500'));
+    });
+    it('should revert the whole batch if any withdrawal fails', async () => {
+      await easyStaking.requestWithdrawals([1, 2], { from: user1 });
+      await time.increase(withdrawalLockDuration);
+      await expectRevert(
+        easyStaking.makeRequestedWithdrawals(ids, [0, 0, 0], { from: user1 }),
+        `withdrawal wasn't requested`
+      );
+      await expectRevert(
+        easyStaking.makeForcedWithdrawals(ids, [0, 0, ether('601')], { from: user1 }),
+        'insufficient funds'
+      );
+      await expectRevert(easyStaking.requestWithdrawals([1, 4], { from: user1 }), 'wrong deposit id');
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(ether('950'));
+      expect(await easyStaking.withdrawalRequestsDates(user1, 1)).to.be.bignumber.gt(new BN(0));
+    });
+    it('fails if arrays have different lengths', async () => {
+      await expectRevert(easyStaking.makeForcedWithdrawals(ids, [0, 0], { from: user1 }), 'arrays length mismatch');
+      await expectRevert(easyStaking.makeRequestedWithdrawals(ids, [0], { from: user1 }), 'arrays length mismatch');
+    });
+  });
+  describe('operators', () => {
+    const operator = accounts[5];
+    const value = ether('1000');
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+    });
+    it('should grant and revoke an operator', async () => {
+      let receipt = await easyStaking.grantOperator(operator, 1, Permission.Withdraw, { from: user1 });
+      expectEvent(receipt, 'OperatorGranted', {
+        holder: user1,
+        operator,
+        id: new BN(1),
+        permission: new BN(Permission.Withdraw),
+      });
+      expect(await easyStaking.operatorPermissions(user1, operator, 1)).to.be.bignumber.equal(
+        new BN(Permission.Withdraw)
+      );
+      expect(await easyStaking.operatorPermissions(user1, operator, 0)).to.be.bignumber.equal(new BN(Permission.None));
+      receipt = await easyStaking.revokeOperator(operator, 1, { from: user1 });
+      expectEvent(receipt, 'OperatorRevoked', { holder: user1, operator, id: new BN(1) });
+      expect(await easyStaking.operatorPermissions(user1, operator, 1)).to.be.bignumber.equal(new BN(Permission.None));
+      await expectRevert(easyStaking.requestWithdrawalFor(user1, 1, { from: operator }), 'caller is not allowed');
+    });
+    it('should allow only the request step', async () => {
+      await easyStaking.grantOperator(operator, 1, Permission.Request, { from: user1 });
+      let receipt = await easyStaking.requestWithdrawalFor(user1, 1, { from: operator });
+      const timestamp = await getBlockTimestamp(receipt);
+      expectEvent(receipt, 'WithdrawalRequested', { sender: user1, id: new BN(1) });
+      expect(await easyStaking.withdrawalRequestsDates(user1, 1)).to.be.bignumber.equal(timestamp);
+      receipt = await easyStaking.cancelWithdrawalRequestFor(user1, 1, { from: operator });
+      expectEvent(receipt, 'WithdrawalRequestCancelled', { sender: user1, id: new BN(1) });
+      expect(await easyStaking.withdrawalRequestsDates(user1, 1)).to.be.bignumber.equal(new BN(0));
+      await easyStaking.requestWithdrawalFor(user1, 1, { from: operator });
+      await time.increase(withdrawalLockDuration);
+      await expectRevert(
+        easyStaking.makeRequestedWithdrawalFor(user1, 1, 0, { from: operator }),
+        'caller is not allowed'
+      );
+      await expectRevert(easyStaking.makeForcedWithdrawalFor(user1, 1, 0, { from: operator }), 'caller is not allowed');
+    });
+    it('should make a requested withdrawal to the holder', async () => {
+      await easyStaking.grantOperator(operator, 1, Permission.Withdraw, { from: user1 });
+      await easyStaking.requestWithdrawalFor(user1, 1, { from: operator });
+      await time.increase(withdrawalLockDuration);
+      await expectRevert(easyStaking.makeForcedWithdrawalFor(user1, 1, 0, { from: operator }), 'caller is not allowed');
+      const receipt = await easyStaking.makeRequestedWithdrawalFor(user1, 1, 0, { from: operator });
+      const withdrawn = receipt.logs.find(log => log.event === 'Withdrawn');
+      expect(withdrawn.args.sender).to.be.equal(user1);
+      expect(withdrawn.args.fee).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(withdrawn.args.amount);
+      expect(await stakeToken.balanceOf(operator)).to.be.bignumber.equal(new BN(0));
+    });
+    it('should make a forced withdrawal of any deposit to the holder', async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await easyStaking.grantOperator(operator, 0, Permission.ForcedWithdraw, { from: user1 });
+      const amount = ether('100');
+      await easyStaking.makeForcedWithdrawalFor(user1, 1, amount, { from: operator });
+      await easyStaking.makeForcedWithdrawalFor(user1, 2, amount, { from: operator });
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value.sub(amount));
+      expect(await easyStaking.balances(user1, 2)).to.be.bignumber.equal(value.sub(amount));
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.gt(new BN(0));
+      expect(await stakeToken.balanceOf(operator)).to.be.bignumber.equal(new BN(0));
+    });
+    it('should not allow an operator of another deposit or holder', async () => {
+      await easyStaking.grantOperator(operator, 2, Permission.ForcedWithdraw, { from: user1 });
+      await easyStaking.grantOperator(operator, 0, Permission.ForcedWithdraw, { from: user2 });
+      await expectRevert(easyStaking.requestWithdrawalFor(user1, 1, { from: operator }), 'caller is not allowed');
+      await expectRevert(easyStaking.makeForcedWithdrawalFor(user1, 1, 0, { from: operator }), 'caller is not allowed');
+    });
+    it('fails with wrong arguments', async () => {
+      await expectRevert(
+        easyStaking.grantOperator(constants.ZERO_ADDRESS, 1, Permission.Request, { from: user1 }),
+        'zero address'
+      );
+      await expectRevert(easyStaking.grantOperator(user1, 1, Permission.Request, { from: user1 }), 'wrong address');
+      await expectRevert(easyStaking.grantOperator(operator, 1, Permission.None, { from: user1 }), 'wrong permission');
+      await expectRevert(easyStaking.revokeOperator(operator, 1, { from: user1 }), 'not granted');
+    });
+  });
+  describe('signed withdrawals', () => {
+    const user1PrivateKey = '0x2bdd21761a483f71054e14f5b827213567971c676928d9a1808cbfa4b7501201';
+    const value = ether('1000');
+
+    async function sign(typeHashName, types, values, deadline, privateKey = user1PrivateKey) {
+      const signer = new ethers.utils.SigningKey(privateKey);
+      const nonce = await easyStaking.nonces(user1);
+      const structHash = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+        ['bytes32', 'address', ...types, 'uint256', 'uint256'],
+        [await easyStaking[typeHashName](), user1, ...values.map(v => v.toString()), nonce.toString(), deadline.toString()]
+      ));
+      const digest = ethers.utils.keccak256(ethers.utils.solidityPack(
+        ['bytes2', 'bytes32', 'bytes32'],
+        ['0x1901', await easyStaking.domainSeparator(), structHash]
+      ));
+      return signer.signDigest(digest);
+    }
+
+    function signRequest(id, deadline, privateKey) {
+      return sign('REQUEST_WITHDRAWAL_TYPEHASH', ['uint256'], [id], deadline, privateKey);
+    }
+
+    function signWithdrawal(id, amount, deadline, privateKey) {
+      return sign('MAKE_REQUESTED_WITHDRAWAL_TYPEHASH', ['uint256', 'uint256'], [id, amount], deadline, privateKey);
+    }
+
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+    });
+    it('should request and withdraw by a relayer', async () => {
+      let deadline = (await time.latest()).add(new BN(3600));
+      let { v, r, s } = await signRequest(1, deadline);
+      let receipt = await easyStaking.requestWithdrawalBySig(user1, 1, deadline, v, r, s, { from: user2 });
+      const timestamp = await getBlockTimestamp(receipt);
+      expect(await easyStaking.withdrawalRequestsDates(user1, 1)).to.be.bignumber.equal(timestamp);
+      expect(await easyStaking.nonces(user1)).to.be.bignumber.equal(new BN(1));
+      expectEvent(receipt, 'WithdrawalRequested', { sender: user1, id: new BN(1) });
+      await time.increase(withdrawalLockDuration);
+      deadline = (await time.latest()).add(new BN(3600));
+      ({ v, r, s } = await signWithdrawal(1, 0, deadline));
+      receipt = await easyStaking.makeRequestedWithdrawalBySig(user1, 1, 0, deadline, v, r, s, { from: user2 });
+      expectEvent(receipt, 'Withdrawn', { sender: user1, id: new BN(1), balance: new BN(0), fee: new BN(0) });
+      expect(await easyStaking.nonces(user1)).to.be.bignumber.equal(new BN(2));
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.gt(value);
+      expect(await stakeToken.balanceOf(user2)).to.be.bignumber.equal(new BN(0));
+    });
+    it('should withdraw a part of the deposit', async () => {
+      await easyStaking.requestWithdrawal(1, { from: user1 });
+      await time.increase(withdrawalLockDuration);
+      const deadline = (await time.latest()).add(new BN(3600));
+      const { v, r, s } = await signWithdrawal(1, ether('100'), deadline);
+      await easyStaking.makeRequestedWithdrawalBySig(user1, 1, ether('100'), deadline, v, r, s, { from: user2 });
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(ether('900'));
+    });
+    it('fails if wrong signature', async () => {
+      const deadline = (await time.latest()).add(new BN(3600));
+      let { v, r, s } = await signRequest(1, deadline);
+      await expectRevert(easyStaking.requestWithdrawalBySig(user1, 2, deadline, v, r, s, { from: user2 }), 'invalid signature');
+      await expectRevert(easyStaking.requestWithdrawalBySig(user2, 1, deadline, v, r, s, { from: user2 }), 'invalid signature');
+      await expectRevert(
+        easyStaking.makeRequestedWithdrawalBySig(user1, 1, 0, deadline, v, r, s, { from: user2 }),
+        'invalid signature'
+      );
+      const user2PrivateKey = '0x2bdd21761a483f71054e14f5b827213567971c676928d9a1808cbfa4b7501202';
+      ({ v, r, s } = await signRequest(1, deadline, user2PrivateKey));
+      await expectRevert(easyStaking.requestWithdrawalBySig(user1, 1, deadline, v, r, s, { from: user2 }), 'invalid signature');
+    });
+    it('fails if the signature is replayed', async () => {
+      const deadline = (await time.latest()).add(new BN(3600));
+      const { v, r, s } = await signRequest(1, deadline);
+      await easyStaking.requestWithdrawalBySig(user1, 1, deadline, v, r, s, { from: user2 });
+      await expectRevert(easyStaking.requestWithdrawalBySig(user1, 1, deadline, v, r, s, { from: user2 }), 'invalid signature');
+    });
+    it('fails if the signature expired', async () => {
+      const deadline = (await time.latest()).add(new BN(3600));
+      const { v, r, s } = await signRequest(1, deadline);
+      await time.increase(3601);
+      await expectRevert(easyStaking.requestWithdrawalBySig(user1, 1, deadline, v, r, s, { from: user2 }), 'signature expired');
+    });
+    it('fails if signed for another contract', async () => {
+      const deadline = (await time.latest()).add(new BN(3600));
+      const { v, r, s } = await signRequest(1, deadline);
+      const { easyStaking: otherEasyStaking } = await deployEasyStaking({ owner, liquidityProvidersRewardAddress, stakeToken });
+      expect(await otherEasyStaking.domainSeparator()).to.not.equal(await easyStaking.domainSeparator());
+      await expectRevert(
+        otherEasyStaking.requestWithdrawalBySig(user1, 1, deadline, v, r, s, { from: user2 }),
+        'invalid signature'
+      );
+    });
+  });
+  describe('pause', () => {
+    const value = ether('1000');
+    const pauseGuardian = accounts[4];
+
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value.muln(2), { from: owner });
+      await stakeToken.approve(easyStaking.address, ether('10000'), { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await easyStaking.setPauseGuardian(pauseGuardian, { from: owner });
+    });
+    it('should set the pause guardian', async () => {
+      expect(await easyStaking.pauseGuardian()).to.equal(pauseGuardian);
+      await expectRevert(easyStaking.setPauseGuardian(user2, { from: user1 }), 'Ownable: caller is not the owner');
+      const receipt = await easyStaking.setPauseGuardian(user2, { from: owner });
+      expectEvent(receipt, 'PauseGuardianSet', { value: user2, sender: owner });
+      expect(await easyStaking.pauseGuardian()).to.equal(user2);
+    });
+    it('should pause and unpause', async () => {
+      await expectRevert(easyStaking.setPaused(true, { from: owner }), 'only pause guardian is allowed');
+      let receipt = await easyStaking.setPaused(true, { from: pauseGuardian });
+      expectEvent(receipt, 'PausedSet', { value: true, sender: pauseGuardian });
+      expect(await easyStaking.paused()).to.be.equal(true);
+      receipt = await easyStaking.setPaused(false, { from: pauseGuardian });
+      expectEvent(receipt, 'PausedSet', { value: false, sender: pauseGuardian });
+      expect(await easyStaking.paused()).to.be.equal(false);
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      expect(await easyStaking.balances(user1, 2)).to.be.bignumber.equal(value);
+    });
+    it('should stop deposits and emission', async () => {
+      await easyStaking.setCompounding(1, true, { from: user1 });
+      await time.increase(YEAR);
+      await easyStaking.setPaused(true, { from: pauseGuardian });
+      await expectRevert(easyStaking.methods['deposit(uint256)'](value, { from: user1 }), 'paused');
+      await expectRevert(easyStaking.methods['deposit(uint256,uint256)'](1, value, { from: user1 }), 'paused');
+      await expectRevert(
+        stakeToken.transfer(easyStaking.address, value, { from: user1 }),
+        `you can't transfer to bridge contract` // if onTokenTransfer() fails
+      );
+      await expectRevert(easyStaking.claimEmission(1, { from: user1 }), 'paused');
+      await expectRevert(easyStaking.compound(user1, 1, { from: user1 }), 'paused');
+      await expectRevert(easyStaking.splitDeposit(1, ether('1'), { from: user1 }), 'paused');
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      const accrued = await easyStaking.getAccruedEmission(depositDate, value);
+      expect(accrued.userShare).to.be.bignumber.gt(new BN(0));
+      await time.increase(YEAR);
+      const { total, userShare } = await easyStaking.getAccruedEmission(depositDate, value);
+      expect(total).to.be.bignumber.equal(accrued.total);
+      expect(userShare).to.be.bignumber.equal(accrued.userShare);
+    });
+    it('should allow forced withdrawals without fee', async () => {
+      await time.increase(YEAR);
+      const pauseReceipt = await easyStaking.setPaused(true, { from: pauseGuardian });
+      const timePassed = (await getBlockTimestamp(pauseReceipt)).sub(await easyStaking.depositDates(user1, 1));
+      const totalSupply = await stakeToken.totalSupply();
+      const totalStaked = await easyStaking.totalStaked();
+      await time.increase(YEAR);
+      const receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const { userShare, liquidityProvidersReward } = calculateTotalAccruedEmission(value, timePassed, totalSupply, totalStaked);
+      expect(userShare).to.be.bignumber.gt(new BN(0));
+      expectEvent(receipt, 'Withdrawn', {
+        sender: user1,
+        amount: value.add(userShare),
+        fee: new BN(0),
+        balance: new BN(0),
+        accruedEmission: userShare,
+        lastDepositDuration: timePassed,
+      });
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(value.muln(2).add(userShare));
+      expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.equal(liquidityProvidersReward);
+      expect(await stakeToken.totalSupply()).to.be.bignumber.equal(totalSupply.add(userShare).add(liquidityProvidersReward));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(new BN(0));
+    });
+    it('should not accrue emission for the paused period after unpausing', async () => {
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      await time.increase(YEAR);
+      let pausedDuration = new BN(0);
+      for (const duration of [YEAR, new BN(3600)]) {
+        const pauseReceipt = await easyStaking.setPaused(true, { from: pauseGuardian });
+        await time.increase(duration);
+        const unpauseReceipt = await easyStaking.setPaused(false, { from: pauseGuardian });
+        pausedDuration = pausedDuration.add(
+          (await getBlockTimestamp(unpauseReceipt)).sub(await getBlockTimestamp(pauseReceipt))
+        );
+      }
+      await time.increase(YEAR.divn(2));
+      const totalSupply = await stakeToken.totalSupply();
+      const totalStaked = await easyStaking.totalStaked();
+      const receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const timestamp = await getBlockTimestamp(receipt);
+      expect(await easyStaking.getPausedDuration(depositDate, timestamp)).to.be.bignumber.equal(pausedDuration);
+      const timePassed = timestamp.sub(depositDate).sub(pausedDuration);
+      const { userShare } = calculateTotalAccruedEmission(value, timePassed, totalSupply, totalStaked);
+      const amount = value.add(userShare);
+      const feeValue = amount.mul(fee).div(oneEther);
+      expectEvent(receipt, 'Withdrawn', {
+        amount: amount.sub(feeValue),
+        fee: feeValue,
+        accruedEmission: userShare,
+        lastDepositDuration: timePassed,
+      });
+    });
+    it('should allow requested withdrawals outside the withdrawal window', async () => {
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await easyStaking.requestWithdrawals([1, 2], { from: user1 });
+      await easyStaking.setPaused(true, { from: pauseGuardian });
+      const receipt1 = await easyStaking.makeRequestedWithdrawal(1, 0, { from: user1 }); // too early when not paused
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(new BN(0));
+      await time.increase(withdrawalLockDuration.add(withdrawalUnlockDuration).add(new BN(1)));
+      const receipt2 = await easyStaking.makeRequestedWithdrawal(2, ether('100'), { from: user1 }); // too late when not paused
+      expect(await easyStaking.balances(user1, 2)).to.be.bignumber.equal(ether('900'));
+      expect(await easyStaking.withdrawalRequestsDates(user1, 2)).to.be.bignumber.equal(new BN(0));
+      await expectRevert(easyStaking.makeRequestedWithdrawal(2, 0, { from: user1 }), `withdrawal wasn't requested`);
+      const [withdrawn1, withdrawn2] = [receipt1, receipt2].map(({ logs }) => logs.find(log => log.event === 'Withdrawn').args);
+      expect(withdrawn1.amount).to.be.bignumber.equal(value.add(withdrawn1.accruedEmission));
+      expect(withdrawn2.amount).to.be.bignumber.equal(ether('100').add(withdrawn2.accruedEmission));
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(withdrawn1.amount.add(withdrawn2.amount));
+    });
+    it('should apply the withdrawal window again after unpausing', async () => {
+      await easyStaking.requestWithdrawal(1, { from: user1 });
+      await easyStaking.setPaused(true, { from: pauseGuardian });
+      await time.increase(withdrawalLockDuration.add(withdrawalUnlockDuration).add(new BN(1)));
+      await easyStaking.setPaused(false, { from: pauseGuardian });
+      await expectRevert(easyStaking.makeRequestedWithdrawal(1, 0, { from: user1 }), 'too late');
+      await easyStaking.requestWithdrawal(1, { from: user1 });
+      await expectRevert(easyStaking.makeRequestedWithdrawal(1, 0, { from: user1 }), 'too early');
+    });
+  });
+  describe('totalStaked', () => {
+    it('should be calculated correctly', async () => {
+      let expectedTotalStaked = new BN(0);
+      const value = ether('1000');
+      await stakeToken.mint(owner, value, { from: owner });
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.mint(user2, value, { from: owner });
+      await stakeToken.transfer(easyStaking.address, ether('10'), { from: owner });
+      expectedTotalStaked = expectedTotalStaked.add(ether('10'));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
+      await time.increase(1);
+      let receipt = await stakeToken.transfer(easyStaking.address, ether('500'), { from: user1 });
+      const timestampBefore = await getBlockTimestamp(receipt);
+      expectedTotalStaked = expectedTotalStaked.add(ether('500'));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
+      await time.increase(1);
+      await easyStaking.makeForcedWithdrawal(1, ether('250'), { from: user1 });
+      expectedTotalStaked = expectedTotalStaked.sub(ether('250'));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
+      await time.increase(1);
+      await stakeToken.transfer(easyStaking.address, ether('1000'), { from: user2 });
+      expectedTotalStaked = expectedTotalStaked.add(ether('1000'));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
+      await time.increase(1);
+      await stakeToken.transfer(easyStaking.address, ether('40'), { from: user1 });
+      expectedTotalStaked = expectedTotalStaked.add(ether('40'));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
+      await time.increase(1);
+      const totalSupply = await stakeToken.totalSupply();
+      const totalStaked = await easyStaking.totalStaked();
+      await stakeToken.approve(easyStaking.address, ether('333'), { from: user1 });
+      const accumulator = await getSupplyBasedEmissionRateAccumulator(user1, 1);
+      receipt = await easyStaking.methods['deposit(uint256,uint256)'](1, ether('333'), { from: user1 });
+      const timestampAfter = await getBlockTimestamp(receipt);
+      const timePassed = timestampAfter.sub(timestampBefore);
+      const averageRate = calculateAverageSupplyBasedEmissionRate(accumulator, timestampAfter, totalSupply, totalStaked);
+      const userAccruedEmission = calculateUserAccruedEmission(ether('250'), timePassed, totalSupply, totalStaked, averageRate);
+      expectedTotalStaked = expectedTotalStaked.add(ether('333')).add(userAccruedEmission);
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
+      await time.increase(1);
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: owner });
+      expectedTotalStaked = expectedTotalStaked.sub(ether('10'));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
+      await time.increase(1);
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user2 });
+      expectedTotalStaked = expectedTotalStaked.sub(ether('1000'));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
+      await time.increase(1);
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      expectedTotalStaked = expectedTotalStaked.sub(ether('583')).sub(userAccruedEmission);
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(expectedTotalStaked);
+      await time.increase(1);
+      await easyStaking.makeForcedWithdrawal(2, 0, { from: user1 });
+      expectedTotalStaked = expectedTotalStaked.sub(ether('40'));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(new BN(0));
+      expect(expectedTotalStaked).to.be.bignumber.equal(new BN(0));
+    });
+  });
+  describe('setFee', () => {
+    it('should set', async () => {
+      const newFee = ether('0.1');
+      expect(await easyStaking.fee()).to.be.bignumber.equal(fee);
+      expect(newFee).to.be.bignumber.not.equal(fee);
+      const receipt = await easyStaking.setFee(newFee, { from: owner });
+      expectEvent(receipt, 'FeeSet', { value: newFee, sender: owner });
+      const { id } = receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+      await expectRevert(easyStaking.applyParamChange(id), 'too early');
+      await time.increase(PARAM_UPDATE_DELAY.sub(new BN(1)));
+      expect(await easyStaking.fee()).to.be.bignumber.equal(fee);
+      await time.increase(2);
+      await easyStaking.applyParamChange(id, { from: user2 });
+      expect(await easyStaking.fee()).to.be.bignumber.equal(newFee);
+    });
+    it('fails if not an owner', async () => {
+      await expectRevert(
+        easyStaking.setFee(ether('0.1'), { from: user1 }),
+        'Ownable: caller is not the owner',
+      );
+    });
+    it('fails if greater than 1 ether', async () => {
+      await expectRevert(easyStaking.setFee(ether('1.01'), { from: owner }), 'should be less than or equal to 1 ether');
+    });
+  });
+  describe('setWithdrawalLockDuration', () => {
+    it('should set', async () => {
+      const newWithdrawalLockDuration = new BN(1000);
+      expect(await easyStaking.withdrawalLockDuration()).to.be.bignumber.equal(withdrawalLockDuration);
+      expect(newWithdrawalLockDuration).to.be.bignumber.not.equal(withdrawalLockDuration);
+      const receipt = await easyStaking.setWithdrawalLockDuration(newWithdrawalLockDuration, { from: owner });
+      expectEvent(receipt, 'WithdrawalLockDurationSet', { value: newWithdrawalLockDuration, sender: owner });
+      const { id } = receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+      await expectRevert(easyStaking.applyParamChange(id), 'too early');
+      await time.increase(PARAM_UPDATE_DELAY.sub(new BN(1)));
+      expect(await easyStaking.withdrawalLockDuration()).to.be.bignumber.equal(withdrawalLockDuration);
+      await time.increase(2);
+      await easyStaking.applyParamChange(id, { from: user2 });
+      expect(await easyStaking.withdrawalLockDuration()).to.be.bignumber.equal(newWithdrawalLockDuration);
+    });
+    it('fails if not an owner', async () => {
+      await expectRevert(
+        easyStaking.setWithdrawalLockDuration(new BN(1000), { from: user1 }),
+        'Ownable: caller is not the owner',
+      );
+    });
+    it('fails if greater than 30 days', async () => {
+      await expectRevert(easyStaking.setWithdrawalLockDuration(2592001, { from: owner }), `shouldn't be greater than 30 days`);
+    });
+  });
+  describe('setWithdrawalUnlockDuration', () => {
+    it('should set', async () => {
+      const newWithdrawalUnlockDuration = new BN(10000);
+      expect(await easyStaking.withdrawalUnlockDuration()).to.be.bignumber.equal(withdrawalUnlockDuration);
+      expect(newWithdrawalUnlockDuration).to.be.bignumber.not.equal(withdrawalUnlockDuration);
       const receipt = await easyStaking.setWithdrawalUnlockDuration(newWithdrawalUnlockDuration, { from: owner });
       expectEvent(receipt, 'WithdrawalUnlockDurationSet', { value: newWithdrawalUnlockDuration, sender: owner });
+      const { id } = receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+      await expectRevert(easyStaking.applyParamChange(id), 'too early');
       await time.increase(PARAM_UPDATE_DELAY.sub(new BN(1)));
       expect(await easyStaking.withdrawalUnlockDuration()).to.be.bignumber.equal(withdrawalUnlockDuration);
       await time.increase(2);
+      await easyStaking.applyParamChange(id, { from: user2 });
       expect(await easyStaking.withdrawalUnlockDuration()).to.be.bignumber.equal(newWithdrawalUnlockDuration);
     });
     it('fails if not an owner', async () => {
@@ -806,9 +1814,12 @@ contract('EasyStaking', accounts => {
       expect(newTotalSupplyFactor).to.be.bignumber.not.equal(totalSupplyFactor);
       const receipt = await easyStaking.setTotalSupplyFactor(newTotalSupplyFactor, { from: owner });
       expectEvent(receipt, 'TotalSupplyFactorSet', { value: newTotalSupplyFactor, sender: owner });
+      const { id } = receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+      await expectRevert(easyStaking.applyParamChange(id), 'too early');
       await time.increase(PARAM_UPDATE_DELAY.sub(new BN(1)));
       expect(await easyStaking.totalSupplyFactor()).to.be.bignumber.equal(totalSupplyFactor);
       await time.increase(2);
+      await easyStaking.applyParamChange(id, { from: user2 });
       expect(await easyStaking.totalSupplyFactor()).to.be.bignumber.equal(newTotalSupplyFactor);
     });
     it('fails if not an owner', async () => {
@@ -833,12 +1844,15 @@ contract('EasyStaking', accounts => {
       expect(sigmoidParams.c).to.be.bignumber.equal(sigmoidParamC);
       const receipt = await easyStaking.setSigmoidParameters(newSigmoidParams.a, newSigmoidParams.b, newSigmoidParams.c, { from: owner });
       expectEvent(receipt, 'SigmoidParametersSet', { a: newSigmoidParams.a, b: newSigmoidParams.b, c: newSigmoidParams.c, sender: owner });
+      const { id } = receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+      await expectRevert(easyStaking.applyParamChange(id), 'too early');
       await time.increase(PARAM_UPDATE_DELAY.sub(new BN(1)));
       sigmoidParams = await easyStaking.getSigmoidParameters();
       expect(sigmoidParams.a).to.be.bignumber.equal(sigmoidParamA);
       expect(sigmoidParams.b).to.be.bignumber.equal(sigmoidParamB);
       expect(sigmoidParams.c).to.be.bignumber.equal(sigmoidParamC);
       await time.increase(2);
+      await easyStaking.applyParamChange(id, { from: user2 });
       sigmoidParams = await easyStaking.getSigmoidParameters();
       expect(sigmoidParams.a).to.be.bignumber.equal(newSigmoidParams.a);
       expect(sigmoidParams.b).to.be.bignumber.equal(newSigmoidParams.b);
@@ -866,9 +1880,12 @@ contract('EasyStaking', accounts => {
       expect(newLiquidityProvidersRewardAddress).to.be.bignumber.not.equal(liquidityProvidersRewardAddress);
       const receipt = await easyStaking.setLiquidityProvidersRewardAddress(newLiquidityProvidersRewardAddress, { from: owner });
       expectEvent(receipt, 'LiquidityProvidersRewardAddressSet', { value: newLiquidityProvidersRewardAddress, sender: owner });
+      const { id } = receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+      await expectRevert(easyStaking.applyParamChange(id), 'too early');
       await time.increase(PARAM_UPDATE_DELAY.sub(new BN(1)));
       expect(await easyStaking.liquidityProvidersRewardAddress()).to.be.bignumber.equal(liquidityProvidersRewardAddress);
       await time.increase(2);
+      await easyStaking.applyParamChange(id, { from: user2 });
       expect(await easyStaking.liquidityProvidersRewardAddress()).to.be.bignumber.equal(newLiquidityProvidersRewardAddress);
     });
     it('fails if not an owner', async () => {
@@ -890,6 +1907,410 @@ contract('EasyStaking', accounts => {
       );
     });
   });
+  describe('setEmissionCurve', () => {
+    let curve;
+
+    beforeEach(async () => {
+      curve = await LinearEmissionCurve.new(ether('0.05'), YEAR);
+    });
+
+    async function setEmissionCurve(address) {
+      const receipt = await easyStaking.setEmissionCurve(address, { from: owner });
+      expectEvent(receipt, 'EmissionCurveSet', { value: address, sender: owner });
+      const { id } = receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+      await expectRevert(easyStaking.applyParamChange(id), 'too early');
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange(id, { from: user2 });
+    }
+
+    it('should set', async () => {
+      const duration = YEAR.div(new BN(4));
+      const sigmoidRate = await easyStaking.getTimeBasedEmissionRate(duration);
+      expect(sigmoidRate).to.be.bignumber.equal(
+        emission.calculateSigmoid({ a: sigmoidParamA, b: sigmoidParamB, c: sigmoidParamC }, duration)
+      );
+      expect(await easyStaking.emissionCurve()).to.equal(constants.ZERO_ADDRESS);
+      await setEmissionCurve(curve.address);
+      expect(await easyStaking.emissionCurve()).to.equal(curve.address);
+      expect(await easyStaking.getTimeBasedEmissionRate(duration)).to.be.bignumber.equal(ether('0.0125'));
+      expect(await easyStaking.getTimeBasedEmissionRate(YEAR.mul(new BN(2)))).to.be.bignumber.equal(ether('0.05'));
+      await setEmissionCurve(constants.ZERO_ADDRESS);
+      expect(await easyStaking.getTimeBasedEmissionRate(duration)).to.be.bignumber.equal(sigmoidRate);
+    });
+    it('should accrue emission using the curve', async () => {
+      await setEmissionCurve(curve.address);
+      const value = ether('1000');
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      await time.increase(YEAR);
+      const totalSupply = await stakeToken.totalSupply();
+      const receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const timePassed = (await getBlockTimestamp(receipt)).sub(depositDate);
+      const rate = ether('0.05').add(calculateSupplyBasedEmissionRate(totalSupply, value));
+      const userShare = calculateAccruedEmission(value, timePassed, rate);
+      expectEvent(receipt, 'Withdrawn', { accruedEmission: userShare, lastDepositDuration: timePassed });
+    });
+    it('should limit the rate of the curve', async () => {
+      curve = await LinearEmissionCurve.new(ether('0.1'), 1);
+      await setEmissionCurve(curve.address);
+      expect(await easyStaking.getTimeBasedEmissionRate(1)).to.be.bignumber.equal(MAX_EMISSION_RATE.div(new BN(2)));
+    });
+    it('should not stop emission while the curve is set', async () => {
+      await easyStaking.setSigmoidParameters(0, 0, 1, { from: owner });
+      await easyStaking.setTotalSupplyFactor(0, { from: owner });
+      await time.increase(PARAM_UPDATE_DELAY);
+      await applyParamChanges();
+      const value = ether('1000');
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      await expectRevert(easyStaking.methods['deposit(uint256)'](value, { from: user1 }), 'emission stopped');
+      await setEmissionCurve(curve.address);
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+    });
+    it('fails if not an owner', async () => {
+      await expectRevert(
+        easyStaking.setEmissionCurve(curve.address, { from: user1 }),
+        'Ownable: caller is not the owner',
+      );
+    });
+    it('fails if not a contract address', async () => {
+      await expectRevert(easyStaking.setEmissionCurve(user1, { from: owner }), 'not a contract address');
+    });
+  });
+  describe('emission cap', () => {
+    const value = ether('1000');
+
+    async function setEmissionCap(cap) {
+      const receipt = await easyStaking.setEmissionCap(cap, { from: owner });
+      expectEvent(receipt, 'EmissionCapSet', { value: cap, sender: owner });
+      const { id } = receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+      await expectRevert(easyStaking.applyParamChange(id), 'too early');
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange(id);
+    }
+
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value.muln(2), { from: owner });
+      await stakeToken.approve(easyStaking.address, value.muln(2), { from: user1 });
+    });
+
+    it('should count minted emission', async () => {
+      expect(await easyStaking.emissionCap()).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.remainingEmissionBudget()).to.be.bignumber.equal(constants.MAX_UINT256);
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      const totalSupply = await stakeToken.totalSupply();
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const minted = (await stakeToken.totalSupply()).sub(totalSupply);
+      expect(minted).to.be.bignumber.gt(new BN(0));
+      expect(await easyStaking.totalMinted()).to.be.bignumber.equal(minted);
+      await setEmissionCap(minted.muln(3));
+      expect(await easyStaking.remainingEmissionBudget()).to.be.bignumber.equal(minted.muln(2));
+    });
+    it('should scale emission down to the remaining budget', async () => {
+      const budget = ether('1');
+      await setEmissionCap(budget);
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      const totalSupply = await stakeToken.totalSupply();
+      const accrued = await easyStaking.getAccruedEmission(await easyStaking.depositDates(user1, 1), value);
+      expect(accrued.total).to.be.bignumber.equal(budget);
+      const receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const { accruedEmission } = receipt.logs.find(log => log.event === 'Withdrawn').args;
+      expect(accruedEmission).to.be.bignumber.gt(new BN(0));
+      expect(accruedEmission).to.be.bignumber.lt(budget);
+      expect(await stakeToken.totalSupply()).to.be.bignumber.equal(totalSupply.add(budget));
+      expect(await easyStaking.totalMinted()).to.be.bignumber.equal(budget);
+      expect(await easyStaking.remainingEmissionBudget()).to.be.bignumber.equal(new BN(0));
+    });
+    it('should keep deposits and withdrawals available when the budget is exhausted', async () => {
+      await setEmissionCap(new BN(1));
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      expect(await easyStaking.remainingEmissionBudget()).to.be.bignumber.equal(new BN(0));
+      const totalSupply = await stakeToken.totalSupply();
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      await easyStaking.requestWithdrawal(2, { from: user1 });
+      await time.increase(withdrawalLockDuration);
+      const receipt = await easyStaking.makeRequestedWithdrawal(2, 0, { from: user1 });
+      expectEvent(receipt, 'Withdrawn', { amount: value, accruedEmission: new BN(0) });
+      expect(await stakeToken.totalSupply()).to.be.bignumber.equal(totalSupply);
+    });
+    it('fails if not an owner', async () => {
+      await expectRevert(easyStaking.setEmissionCap(1, { from: user1 }), 'Ownable: caller is not the owner');
+    });
+  });
+  describe('rewards from reserve', () => {
+    const value = ether('1000');
+
+    async function setRewardsFromReserve(enabled) {
+      const receipt = await easyStaking.setRewardsFromReserve(enabled, { from: owner });
+      expectEvent(receipt, 'RewardsFromReserveSet', { value: enabled, sender: owner });
+      const { id } = receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange(id);
+      expect(await easyStaking.rewardsFromReserve()).to.be.equal(enabled);
+    }
+
+    async function fundRewardReserve(amount) {
+      await stakeToken.mint(owner, amount, { from: owner });
+      await stakeToken.approve(easyStaking.address, amount, { from: owner });
+      const receipt = await easyStaking.fundRewardReserve(amount, { from: owner });
+      expectEvent(receipt, 'RewardReserveFunded', { amount, sender: owner });
+    }
+
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value.muln(2), { from: owner });
+      await stakeToken.approve(easyStaking.address, value.muln(2), { from: user1 });
+      await setRewardsFromReserve(true);
+      await stakeToken.removeMinter(easyStaking.address);
+    });
+
+    it('should top up the reserve without making a deposit', async () => {
+      expect(await easyStaking.rewardReserve()).to.be.bignumber.equal(new BN(0));
+      await fundRewardReserve(ether('100'));
+      expect(await easyStaking.rewardReserve()).to.be.bignumber.equal(ether('100'));
+      expect(await easyStaking.lastDepositIds(owner)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(new BN(0));
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      expect(await easyStaking.rewardReserve()).to.be.bignumber.equal(ether('100'));
+      expect(await easyStaking.remainingEmissionBudget()).to.be.bignumber.equal(ether('100'));
+    });
+    it('should pay emission from the reserve', async () => {
+      const reserve = ether('100');
+      await fundRewardReserve(reserve);
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      const totalSupply = await stakeToken.totalSupply();
+      const receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const { accruedEmission, fee: feeValue } = receipt.logs.find(log => log.event === 'Withdrawn').args;
+      expect(accruedEmission).to.be.bignumber.gt(new BN(0));
+      const lpReward = await easyStaking.liquidityProvidersReward();
+      const total = lpReward.sub(feeValue).add(accruedEmission);
+      expect(await stakeToken.totalSupply()).to.be.bignumber.equal(totalSupply);
+      expect(await easyStaking.totalMinted()).to.be.bignumber.equal(total);
+      expect(await easyStaking.rewardReserve()).to.be.bignumber.equal(reserve.sub(total));
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(value.add(value.add(accruedEmission).sub(feeValue)));
+    });
+    it('should scale emission down to the reserve and keep withdrawals available', async () => {
+      const reserve = ether('1');
+      await fundRewardReserve(reserve);
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      const accrued = await easyStaking.getAccruedEmission(await easyStaking.depositDates(user1, 1), value);
+      expect(accrued.total).to.be.bignumber.equal(reserve);
+      let receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      let { accruedEmission } = receipt.logs.find(log => log.event === 'Withdrawn').args;
+      expect(accruedEmission).to.be.bignumber.gt(new BN(0));
+      expect(accruedEmission).to.be.bignumber.lt(reserve);
+      expect(await easyStaking.rewardReserve()).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.remainingEmissionBudget()).to.be.bignumber.equal(new BN(0));
+      await easyStaking.requestWithdrawal(2, { from: user1 });
+      await time.increase(withdrawalLockDuration);
+      receipt = await easyStaking.makeRequestedWithdrawal(2, 0, { from: user1 });
+      expectEvent(receipt, 'Withdrawn', { amount: value, accruedEmission: new BN(0) });
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(new BN(0));
+    });
+    it('should let the owner claim the unused reserve', async () => {
+      await fundRewardReserve(ether('100'));
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await expectRevert(
+        easyStaking.claimTokens(stakeToken.address, owner, ether('100').addn(1), { from: owner }),
+        'insufficient funds'
+      );
+      await easyStaking.claimTokens(stakeToken.address, owner, ether('100'), { from: owner });
+      expect(await easyStaking.rewardReserve()).to.be.bignumber.equal(new BN(0));
+      expect(await stakeToken.balanceOf(easyStaking.address)).to.be.bignumber.equal(value);
+    });
+    it('should mint emission again when disabled', async () => {
+      await stakeToken.addMinter(easyStaking.address, { from: owner });
+      await setRewardsFromReserve(false);
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      const totalSupply = await stakeToken.totalSupply();
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      expect(await stakeToken.totalSupply()).to.be.bignumber.equal(totalSupply.add(await easyStaking.totalMinted()));
+    });
+    it('fails if zero amount or not an owner', async () => {
+      await expectRevert(easyStaking.fundRewardReserve(0, { from: owner }), 'amount should be greater than 0');
+      await expectRevert(easyStaking.setRewardsFromReserve(false, { from: user1 }), 'Ownable: caller is not the owner');
+    });
+  });
+  describe('param changes queue', () => {
+    async function queue(promise) {
+      const receipt = await promise;
+      return receipt.logs.find(log => log.event === 'ParamChangeQueued').args;
+    }
+
+    it('should apply initial values without the delay', async () => {
+      const { ids } = await easyStaking.getPendingParamChanges();
+      expect(ids.length).to.be.equal(0);
+      for (let i = 0; i < 6; i++) {
+        expect((await easyStaking.paramChanges(i)).status).to.be.bignumber.equal(new BN(3)); // Applied
+      }
+    });
+    it('should keep several pending changes of the same parameter', async () => {
+      const first = await queue(easyStaking.setFee(ether('0.1'), { from: owner }));
+      await time.increase(100);
+      const second = await queue(easyStaking.setFee(ether('0.2'), { from: owner }));
+      expect(first.id).to.be.bignumber.equal(new BN(6));
+      expect(second.id).to.be.bignumber.equal(new BN(7));
+      expect(first.param).to.be.bignumber.equal(new BN(0)); // Fee
+      expect(second.activationTime).to.be.bignumber.gt(first.activationTime);
+      const { ids, activationTimes } = await easyStaking.getPendingParamChanges();
+      expect(ids.map(id => id.toString())).to.be.deep.equal(['6', '7']);
+      expect(activationTimes[0]).to.be.bignumber.equal(first.activationTime);
+      expect(activationTimes[1]).to.be.bignumber.equal(second.activationTime);
+      const change = await easyStaking.paramChanges(7);
+      expect(change.param).to.be.bignumber.equal(new BN(0));
+      expect(change.value).to.be.bignumber.equal(ether('0.2'));
+      expect(change.activationTime).to.be.bignumber.equal(second.activationTime);
+      expect(change.status).to.be.bignumber.equal(new BN(1)); // Queued
+      await time.increase(PARAM_UPDATE_DELAY.sub(new BN(100)));
+      await easyStaking.applyParamChange(first.id, { from: user1 });
+      expect(await easyStaking.fee()).to.be.bignumber.equal(ether('0.1'));
+      await expectRevert(easyStaking.applyParamChange(second.id, { from: user1 }), 'too early');
+      await time.increase(100);
+      const receipt = await easyStaking.applyParamChange(second.id, { from: user1 });
+      expectEvent(receipt, 'ParamChangeApplied', { id: second.id, sender: user1 });
+      expect(await easyStaking.fee()).to.be.bignumber.equal(ether('0.2'));
+      expect((await easyStaking.getPendingParamChanges()).ids.length).to.be.equal(0);
+    });
+    it('should not apply a change after a later change of the same parameter', async () => {
+      expect(await easyStaking.lastAppliedParamChangeIds(0)).to.be.bignumber.equal(new BN(1)); // initial fee
+      const first = await queue(easyStaking.setFee(ether('0.1'), { from: owner }));
+      const second = await queue(easyStaking.setFee(ether('0.2'), { from: owner }));
+      const other = await queue(easyStaking.setTotalSupplyFactor(ether('0.4'), { from: owner }));
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange(second.id, { from: user1 });
+      expect(await easyStaking.lastAppliedParamChangeIds(0)).to.be.bignumber.equal(second.id.addn(1));
+      await expectRevert(easyStaking.applyParamChange(first.id, { from: user1 }), 'a later change is applied');
+      expect(await easyStaking.fee()).to.be.bignumber.equal(ether('0.2'));
+      await easyStaking.applyParamChange(other.id, { from: user1 }); // another parameter
+      await easyStaking.cancelParamChange(first.id, { from: owner });
+      expect((await easyStaking.getPendingParamChanges()).ids.length).to.be.equal(0);
+    });
+    it('should apply sigmoid parameters and the reward address', async () => {
+      const sigmoidChange = await queue(easyStaking.setSigmoidParameters(ether('0.05'), -100, 999, { from: owner }));
+      const addressChange = await queue(easyStaking.setLiquidityProvidersRewardAddress(user2, { from: owner }));
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange(sigmoidChange.id);
+      await easyStaking.applyParamChange(addressChange.id);
+      const params = await easyStaking.getSigmoidParameters();
+      expect(params.a).to.be.bignumber.equal(ether('0.05'));
+      expect(params.b).to.be.bignumber.equal(new BN(-100));
+      expect(params.c).to.be.bignumber.equal(new BN(999));
+      expect(await easyStaking.liquidityProvidersRewardAddress()).to.equal(user2);
+    });
+    it('should cancel', async () => {
+      const { id } = await queue(easyStaking.setWithdrawalLockDuration(1000, { from: owner }));
+      await expectRevert(easyStaking.cancelParamChange(id, { from: user1 }), 'Ownable: caller is not the owner');
+      const receipt = await easyStaking.cancelParamChange(id, { from: owner });
+      expectEvent(receipt, 'ParamChangeCancelled', { id, sender: owner });
+      expect((await easyStaking.paramChanges(id)).status).to.be.bignumber.equal(new BN(2)); // Cancelled
+      expect((await easyStaking.getPendingParamChanges()).ids.length).to.be.equal(0);
+      await time.increase(PARAM_UPDATE_DELAY);
+      await expectRevert(easyStaking.applyParamChange(id), 'not queued');
+      await expectRevert(easyStaking.cancelParamChange(id, { from: owner }), 'not queued');
+      expect(await easyStaking.withdrawalLockDuration()).to.be.bignumber.equal(withdrawalLockDuration);
+    });
+    it('should not apply an expired change', async () => {
+      const PARAM_CHANGE_GRACE_PERIOD = await easyStaking.PARAM_CHANGE_GRACE_PERIOD();
+      const expired = await queue(easyStaking.setFee(ether('0.1'), { from: owner }));
+      await time.increase(PARAM_UPDATE_DELAY.divn(2));
+      const pending = await queue(easyStaking.setTotalSupplyFactor(ether('0.5'), { from: owner }));
+      await time.increase(PARAM_UPDATE_DELAY.divn(2).add(PARAM_CHANGE_GRACE_PERIOD).addn(1));
+      await expectRevert(easyStaking.applyParamChange(expired.id, { from: user1 }), 'expired');
+      const { ids } = await easyStaking.getPendingParamChanges();
+      expect(ids.map(id => id.toString())).to.be.deep.equal([pending.id.toString()]);
+      expect(await easyStaking.fee()).to.be.bignumber.equal(fee);
+      await easyStaking.applyParamChange(pending.id, { from: user1 });
+      expect(await easyStaking.firstPendingParamChangeId()).to.be.bignumber.equal(pending.id.addn(1));
+      const receipt = await easyStaking.cancelParamChange(expired.id, { from: owner });
+      expectEvent(receipt, 'ParamChangeCancelled', { id: expired.id, sender: owner });
+    });
+    it('should keep the ID of the first pending change', async () => {
+      expect(await easyStaking.firstPendingParamChangeId()).to.be.bignumber.equal(new BN(6));
+      const first = await queue(easyStaking.setFee(ether('0.1'), { from: owner }));
+      const second = await queue(easyStaking.setFee(ether('0.2'), { from: owner }));
+      const third = await queue(easyStaking.setFee(ether('0.3'), { from: owner }));
+      await easyStaking.cancelParamChange(second.id, { from: owner });
+      expect(await easyStaking.firstPendingParamChangeId()).to.be.bignumber.equal(first.id);
+      await easyStaking.cancelParamChange(first.id, { from: owner });
+      expect(await easyStaking.firstPendingParamChangeId()).to.be.bignumber.equal(third.id);
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange(third.id, { from: user1 });
+      expect(await easyStaking.firstPendingParamChangeId()).to.be.bignumber.equal(third.id.addn(1));
+      expect((await easyStaking.getPendingParamChanges()).ids.length).to.be.equal(0);
+    });
+    it('fails if not queued', async () => {
+      await expectRevert(easyStaking.applyParamChange(0), 'not queued');
+      await expectRevert(easyStaking.applyParamChange(6), 'not queued');
+      await expectRevert(easyStaking.cancelParamChange(6, { from: owner }), 'not queued');
+      const { id } = await queue(easyStaking.setTotalSupplyFactor(ether('0.5'), { from: owner }));
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange(id);
+      await expectRevert(easyStaking.applyParamChange(id), 'not queued');
+      await expectRevert(easyStaking.cancelParamChange(id, { from: owner }), 'not queued');
+    });
+  });
+  describe('claimLiquidityProvidersReward', () => {
+    beforeEach(async () => {
+      await stakeToken.mint(user1, ether('1000'), { from: owner });
+      await stakeToken.transfer(easyStaking.address, ether('1000'), { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+    });
+    it('should claim the accumulated reward', async () => {
+      const reward = await easyStaking.liquidityProvidersReward();
+      expect(reward).to.be.bignumber.gt(new BN(0));
+      expect(await stakeToken.balanceOf(liquidityProvidersRewardAddress)).to.be.bignumber.equal(new BN(0));
+      const receipt = await easyStaking.claimLiquidityProvidersReward({ from: user2 });
+      expectEvent(receipt, 'LiquidityProvidersRewardClaimed', {
+        recipient: liquidityProvidersRewardAddress,
+        amount: reward,
+        sender: user2,
+      });
+      expect(await stakeToken.balanceOf(liquidityProvidersRewardAddress)).to.be.bignumber.equal(reward);
+      expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.equal(new BN(0));
+      expect(await stakeToken.balanceOf(easyStaking.address)).to.be.bignumber.equal(new BN(0));
+      await expectRevert(easyStaking.claimLiquidityProvidersReward(), 'nothing to claim');
+    });
+    it('should not block withdrawals if the recipient reverts', async () => {
+      stakeToken = await Token.new();
+      easyStaking = await EasyStaking.new();
+      await initialize(
+        owner,
+        stakeToken.address,
+        liquidityProvidersRewardContract.address,
+        fee.toString(),
+        withdrawalLockDuration.toString(),
+        withdrawalUnlockDuration.toString(),
+        totalSupplyFactor.toString(),
+        sigmoidParamA.toString(),
+        sigmoidParamB.toString(),
+        sigmoidParamC.toString(),
+        extension.address,
+      );
+      // the token reverts transfers to the bridge contract which rejects them
+      await stakeToken.initialize(
+        'Stake', 'STAKE', 18, 0, owner, [owner, easyStaking.address], [], liquidityProvidersRewardContract.address
+      );
+      await stakeToken.mint(user1, ether('1000'), { from: owner });
+      await stakeToken.approve(easyStaking.address, ether('1000'), { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](ether('1000'), { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.gt(new BN(0));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(new BN(0));
+      await expectRevert(easyStaking.claimLiquidityProvidersReward(), "you can't transfer to bridge contract");
+    });
+  });
   describe('claimTokens', () => {
     it('should claim tokens', async () => {
       const value = ether('10');
@@ -919,6 +2340,18 @@ contract('EasyStaking', accounts => {
       expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(ether('100'));
       await expectRevert(easyStaking.claimTokens(stakeToken.address, owner, ether('10'), { from: owner }), 'insufficient funds');
     });
+    it('should not claim the Liquidity Providers reward', async () => {
+      await stakeToken.mint(user1, ether('100'), { from: owner });
+      await stakeToken.transfer(easyStaking.address, ether('100'), { from: user1 });
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const reward = await easyStaking.liquidityProvidersReward();
+      expect(reward).to.be.bignumber.gt(new BN(0));
+      expect(await stakeToken.balanceOf(easyStaking.address)).to.be.bignumber.equal(reward);
+      await expectRevert(easyStaking.claimTokens(stakeToken.address, owner, reward, { from: owner }), 'insufficient funds');
+      await stakeToken.mint(easyStaking.address, ether('10'), { from: owner });
+      await easyStaking.claimTokens(stakeToken.address, owner, ether('10'), { from: owner });
+      expect(await stakeToken.balanceOf(easyStaking.address)).to.be.bignumber.equal(reward);
+    });
     async function claimEtherAndSend(to) {
       easyStaking = await EasyStakingMock.new();
       await initialize();
@@ -976,6 +2409,7 @@ contract('EasyStaking', accounts => {
       await easyStaking.setTotalSupplyFactor(newTotalSupplyFactor);
       const supplyBasedEmissionRate2 = calculateSupplyBasedEmissionRate(totalSupply, totalStaked, newTotalSupplyFactor);
       await time.increase(PARAM_UPDATE_DELAY.add(new BN(1)));
+      await applyParamChanges();
       expect(await easyStaking.getSupplyBasedEmissionRate()).to.be.bignumber.equal(supplyBasedEmissionRate2);
       expect(supplyBasedEmissionRate1).to.be.bignumber.equal(supplyBasedEmissionRate2.mul(newTotalSupplyFactor).div(oneEther))
     });
@@ -987,11 +2421,66 @@ contract('EasyStaking', accounts => {
       expect(await easyStaking.getSupplyBasedEmissionRate()).to.be.bignumber.equal(maxSupplyBasedEmissionRate.div(new BN(2)));
       await easyStaking.setTotalSupplyFactor(ether('0.5'));
       await time.increase(PARAM_UPDATE_DELAY.add(new BN(1)));
+      await applyParamChanges();
       expect(await easyStaking.getSupplyBasedEmissionRate()).to.be.bignumber.equal(maxSupplyBasedEmissionRate);
       await stakeToken.transfer(easyStaking.address, totalSupply.div(new BN(2)), { from: owner });
       expect(await easyStaking.getSupplyBasedEmissionRate()).to.be.bignumber.equal(maxSupplyBasedEmissionRate);
     });
   });
+  describe('getAverageSupplyBasedEmissionRate', () => {
+    const value = ether('1000');
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      await stakeToken.mint(owner, ether('9000'), { from: owner });
+    });
+    it('should be equal to the current rate for a new deposit', async () => {
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      const rate = await easyStaking.getSupplyBasedEmissionRate();
+      expect(await easyStaking.getAverageSupplyBasedEmissionRate(user1, 1)).to.be.bignumber.equal(rate);
+      expect(await easyStaking.supplyBasedEmissionRateSnapshots(user1, 1)).to.be.bignumber.equal(
+        await easyStaking.supplyBasedEmissionRateCumulative()
+      );
+    });
+    it('should not be affected by a short-term deposit', async () => {
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      const rateBefore = await easyStaking.getSupplyBasedEmissionRate();
+      await time.increase(YEAR.div(new BN(2)));
+      const whaleDeposit = ether('9000');
+      await stakeToken.approve(easyStaking.address, whaleDeposit, { from: owner });
+      await easyStaking.methods['deposit(uint256)'](whaleDeposit, { from: owner });
+      const rateAfter = await easyStaking.getSupplyBasedEmissionRate();
+      expect(rateAfter).to.be.bignumber.gt(rateBefore);
+      const totalSupply = await stakeToken.totalSupply();
+      const totalStaked = await easyStaking.totalStaked();
+      const accumulator = await getSupplyBasedEmissionRateAccumulator(user1, 1);
+      await time.increase(1);
+      const receipt = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const timestamp = await getBlockTimestamp(receipt);
+      const averageRate = calculateAverageSupplyBasedEmissionRate(accumulator, timestamp, totalSupply, totalStaked);
+      expect(averageRate).to.be.bignumber.gte(rateBefore);
+      expect(averageRate).to.be.bignumber.lt(rateBefore.add(rateAfter.sub(rateBefore).div(new BN(1000))));
+      const timePassed = timestamp.sub(accumulator.accrualDate);
+      const userAccruedEmission = calculateUserAccruedEmission(value, timePassed, totalSupply, totalStaked, averageRate);
+      const { accruedEmission } = receipt.logs.find(log => log.event === 'Withdrawn').args;
+      expect(accruedEmission).to.be.bignumber.equal(userAccruedEmission);
+    });
+    it('should restart after claiming the emission', async () => {
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      await stakeToken.approve(easyStaking.address, ether('9000'), { from: owner });
+      await easyStaking.methods['deposit(uint256)'](ether('9000'), { from: owner });
+      await time.increase(YEAR.div(new BN(12)));
+      expect(await easyStaking.getAverageSupplyBasedEmissionRate(user1, 1)).to.be.bignumber.lt(
+        await easyStaking.getSupplyBasedEmissionRate()
+      );
+      await easyStaking.claimEmission(1, { from: user1 });
+      await time.increase(YEAR.div(new BN(12)));
+      expect(await easyStaking.getAverageSupplyBasedEmissionRate(user1, 1)).to.be.bignumber.equal(
+        await easyStaking.getSupplyBasedEmissionRate()
+      );
+    });
+  });
   describe('getAccruedEmission', () => {
     it('should be calculated correctly', async () => {
       const value = ether('100');
@@ -1026,7 +2515,7 @@ contract('EasyStaking', accounts => {
       for (let i = 0; i < inputs.length; i++) {
         const value = inputs[i];
         const { receipt } = await extendedMath.sqrt(value);
-        const expectedValue = squareRoot(value);
+        const expectedValue = emission.sqrt(value);
         expect(receipt.gasUsed).to.be.lt(57000);
         expect(await extendedMath.squareRoot()).to.be.bignumber.equal(expectedValue);
       }
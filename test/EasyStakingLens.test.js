@@ -0,0 +1,333 @@
+const { ether, BN, expectRevert, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const emission = require('../lib/emission');
+const { deployEasyStaking } = require('./helpers/deploy');
+
+const EasyStakingLens = artifacts.require('EasyStakingLens');
+
+contract('EasyStakingLens', accounts => {
+  const [owner, user1, liquidityProvidersRewardAddress, pauseGuardian] = accounts;
+  const value = ether('1000');
+  const withdrawalLockDuration = new BN(3600);
+  const withdrawalUnlockDuration = new BN(7200);
+  const State = { None: 0, Locked: 1, Open: 2, Expired: 3 };
+  const PARAM_UPDATE_DELAY = new BN(604800); // 7 days in seconds
+
+  let easyStaking;
+  let lens;
+  let stakeToken;
+
+  async function getBlockTimestamp(receipt) {
+    return new BN((await web3.eth.getBlock(receipt.receipt.blockNumber)).timestamp);
+  }
+
+  beforeEach(async () => {
+    ({ easyStaking, stakeToken } = await deployEasyStaking({
+      owner,
+      liquidityProvidersRewardAddress,
+      params: { withdrawalLockDuration, withdrawalUnlockDuration },
+    }));
+    lens = await EasyStakingLens.new(easyStaking.address);
+    await stakeToken.mint(user1, value, { from: owner });
+    await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+  });
+
+  describe('constructor', () => {
+    it('should be set up correctly', async () => {
+      expect(await lens.easyStaking()).to.equal(easyStaking.address);
+    });
+    it('fails if not a contract address', async () => {
+      await expectRevert(EasyStakingLens.new(user1), 'not a contract address');
+    });
+  });
+  describe('getWithdrawalRequestState', () => {
+    async function expectState(expectedState, unlockTime = new BN(0), expiryTime = new BN(0)) {
+      const { state, unlockTime: actualUnlockTime, expiryTime: actualExpiryTime } = await lens.getWithdrawalRequestState(user1, 1);
+      expect(state).to.be.bignumber.equal(new BN(expectedState));
+      expect(actualUnlockTime).to.be.bignumber.equal(unlockTime);
+      expect(actualExpiryTime).to.be.bignumber.equal(expiryTime);
+    }
+
+    it('should go through the withdrawal window', async () => {
+      await expectState(State.None);
+      const receipt = await easyStaking.requestWithdrawal(1, { from: user1 });
+      const unlockTime = (await getBlockTimestamp(receipt)).add(withdrawalLockDuration);
+      const expiryTime = unlockTime.add(withdrawalUnlockDuration);
+      await expectState(State.Locked, unlockTime, expiryTime);
+      await time.increaseTo(unlockTime);
+      await expectState(State.Open, unlockTime, expiryTime);
+      await time.increaseTo(expiryTime);
+      await expectState(State.Expired, unlockTime, expiryTime);
+      await expectRevert(easyStaking.makeRequestedWithdrawal(1, 0, { from: user1 }), 'too late');
+    });
+    it('should be open when the withdrawal is available', async () => {
+      const receipt = await easyStaking.requestWithdrawal(1, { from: user1 });
+      const unlockTime = (await getBlockTimestamp(receipt)).add(withdrawalLockDuration);
+      await time.increaseTo(unlockTime);
+      await expectState(State.Open, unlockTime, unlockTime.add(withdrawalUnlockDuration));
+      await easyStaking.makeRequestedWithdrawal(1, ether('100'), { from: user1 });
+      await expectState(State.None);
+    });
+    it('should be none after the request is cancelled', async () => {
+      await easyStaking.requestWithdrawal(1, { from: user1 });
+      await easyStaking.cancelWithdrawalRequest(1, { from: user1 });
+      await expectState(State.None);
+    });
+    it('should be open while paused', async () => {
+      await easyStaking.setPauseGuardian(pauseGuardian, { from: owner });
+      const receipt = await easyStaking.requestWithdrawal(1, { from: user1 });
+      const unlockTime = (await getBlockTimestamp(receipt)).add(withdrawalLockDuration);
+      await easyStaking.setPaused(true, { from: pauseGuardian });
+      await expectState(State.Open, unlockTime, unlockTime.add(withdrawalUnlockDuration));
+    });
+  });
+  describe('getDeposits', () => {
+    beforeEach(async () => {
+      await stakeToken.mint(user1, value.muln(3), { from: owner });
+      for (let i = 0; i < 3; i++) {
+        await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+      }
+      await easyStaking.makeForcedWithdrawal(2, 0, { from: user1 });
+      await easyStaking.requestWithdrawal(3, { from: user1 });
+      await time.increase(86400);
+      await time.advanceBlock();
+    });
+
+    it('should return active deposits', async () => {
+      const result = await lens.getDeposits(user1, 0, 10);
+      expect(result.ids.map(id => id.toNumber())).to.deep.equal([1, 3, 4]);
+      expect(result.nextId).to.be.bignumber.equal(new BN(0));
+      for (let i = 0; i < result.ids.length; i++) {
+        const id = result.ids[i];
+        const balance = await easyStaking.balances(user1, id);
+        const depositDate = await easyStaking.depositDates(user1, id);
+        const { state } = await lens.getWithdrawalRequestState(user1, id);
+        expect(result.balances[i]).to.be.bignumber.equal(balance);
+        expect(result.depositDates[i]).to.be.bignumber.equal(depositDate);
+        expect(result.requestStates[i]).to.be.bignumber.equal(state);
+        expect(result.userShares[i]).to.be.bignumber.gt(new BN(0));
+        expect(result.totals[i]).to.be.bignumber.gt(result.userShares[i]);
+      }
+      expect(result.balances[0]).to.be.bignumber.equal(value);
+      expect(result.requestStates.map(state => state.toNumber())).to.deep.equal([State.None, State.Expired, State.None]);
+    });
+    it('should return the emission a withdrawal would accrue', async () => {
+      // without the supply-based rate the accrued emission doesn't change while paused
+      await easyStaking.setTotalSupplyFactor(0, { from: owner });
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange((await easyStaking.getPendingParamChanges()).ids[0]);
+      await easyStaking.claimEmission(1, { from: user1 });
+      await easyStaking.setCompounding(3, true, { from: user1 });
+      await easyStaking.compound(user1, 3, { from: user1 });
+      await easyStaking.setLockupBoost(86400 * 30, ether('0.01'), { from: owner });
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      await easyStaking.depositWithLockup(value, 86400 * 30, { from: user1 });
+      await time.increase(86400);
+      await easyStaking.setPauseGuardian(pauseGuardian, { from: owner });
+      await easyStaking.setPaused(true, { from: pauseGuardian });
+      const result = await lens.getDeposits(user1, 0, 10);
+      expect(result.ids.map(id => id.toNumber())).to.deep.equal([1, 3, 4, 5]);
+      const timestamp = (await time.latest()).addn(86400);
+      for (let i = 0; i < result.ids.length; i++) {
+        const preview = await lens.previewWithdrawal(user1, result.ids[i], 0, timestamp, false);
+        expect(result.userShares[i]).to.be.bignumber.equal(preview.userShare);
+        expect(result.totals[i]).to.be.bignumber.equal(preview.userShare.add(preview.liquidityProvidersShare));
+        expect(result.userShares[i]).to.be.bignumber.gt(new BN(0));
+      }
+      // emission is accrued from the date of the claim
+      const { userShare } = await easyStaking.getAccruedEmission(result.depositDates[0], result.balances[0]);
+      expect(result.userShares[0]).to.be.bignumber.lt(userShare);
+      // the lockup boost is added
+      const withoutBoost = await easyStaking.getAccruedEmission(result.depositDates[3], result.balances[3]);
+      expect(result.userShares[3]).to.be.bignumber.gt(withoutBoost.userShare);
+    });
+    it('should paginate', async () => {
+      let result = await lens.getDeposits(user1, 0, 2);
+      expect(result.ids.map(id => id.toNumber())).to.deep.equal([1, 3]);
+      expect(result.nextId).to.be.bignumber.equal(new BN(4));
+      result = await lens.getDeposits(user1, result.nextId, 2);
+      expect(result.ids.map(id => id.toNumber())).to.deep.equal([4]);
+      expect(result.nextId).to.be.bignumber.equal(new BN(0));
+      result = await lens.getDeposits(user1, 2, 1);
+      expect(result.ids.map(id => id.toNumber())).to.deep.equal([3]);
+      expect(result.nextId).to.be.bignumber.equal(new BN(4));
+    });
+    it('should return nothing for a holder without deposits', async () => {
+      const result = await lens.getDeposits(owner, 0, 10);
+      expect(result.ids).to.deep.equal([]);
+      expect(result.nextId).to.be.bignumber.equal(new BN(0));
+      expect((await lens.getDeposits(user1, 5, 10)).ids).to.deep.equal([]);
+    });
+    it('fails with a zero limit', async () => {
+      await expectRevert(lens.getDeposits(user1, 0, 0), 'zero limit');
+    });
+  });
+  describe('previewWithdrawal', () => {
+    const fee = ether('0.03');
+
+    beforeEach(async () => {
+      // the total staked amount is a quarter of the total supply, so the supply-based rate is below the maximum
+      await stakeToken.mint(owner, value.muln(3), { from: owner });
+      await time.increase(86400 * 30);
+    });
+
+    // Previews the withdrawal for a few seconds from the timestamp, makes it and checks the preview for its block
+    async function expectWithdrawal(id, amount, timestamp, forced) {
+      const previews = {};
+      for (let i = 0; i < 5; i++) {
+        previews[timestamp.addn(i)] = await lens.previewWithdrawal(user1, id, amount, timestamp.addn(i), forced);
+      }
+      const liquidityProvidersReward = await easyStaking.liquidityProvidersReward();
+      await time.increaseTo(timestamp);
+      const receipt = forced
+        ? await easyStaking.makeForcedWithdrawal(id, amount, { from: user1 })
+        : await easyStaking.makeRequestedWithdrawal(id, amount, { from: user1 });
+      const preview = previews[await getBlockTimestamp(receipt)];
+      expect(preview).to.not.equal(undefined);
+      const { args } = receipt.logs.find(log => log.event === 'Withdrawn');
+      expect(preview.userShare).to.be.bignumber.equal(args.accruedEmission);
+      expect(preview.fee).to.be.bignumber.equal(args.fee);
+      expect(preview.netAmount).to.be.bignumber.equal(args.amount);
+      const liquidityProvidersShare = (await easyStaking.liquidityProvidersReward()).sub(liquidityProvidersReward).sub(args.fee);
+      expect(preview.liquidityProvidersShare).to.be.bignumber.equal(liquidityProvidersShare);
+      expect(preview.userShare).to.be.bignumber.gt(new BN(0));
+      return preview;
+    }
+
+    it('should match a requested withdrawal', async () => {
+      const receipt = await easyStaking.requestWithdrawal(1, { from: user1 });
+      const unlockTime = (await getBlockTimestamp(receipt)).add(withdrawalLockDuration);
+      const preview = await expectWithdrawal(1, new BN(0), unlockTime.addn(10), false);
+      expect(preview.fee).to.be.bignumber.equal(new BN(0));
+      expect(preview.netAmount).to.be.bignumber.equal(value.add(preview.userShare));
+    });
+    it('should match a forced withdrawal of a fixed-term deposit', async () => {
+      const lockupDuration = new BN(86400 * 30);
+      await easyStaking.setLockupBoost(lockupDuration, ether('0.01'), { from: owner });
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      const receipt = await easyStaking.depositWithLockup(value, lockupDuration, { from: user1 });
+      const lockupEnd = await easyStaking.lockupEnds(user1, 2);
+      expect(lockupEnd).to.be.bignumber.equal((await getBlockTimestamp(receipt)).add(lockupDuration));
+      await expectRevert(lens.previewWithdrawal(user1, 2, 0, lockupEnd.subn(1), true), 'locked');
+      const preview = await expectWithdrawal(2, ether('100'), lockupEnd.addn(10), true);
+      expect(preview.fee).to.be.bignumber.equal(preview.netAmount.add(preview.fee).mul(fee).div(ether('1')));
+    });
+    it('should use the parameter values active at the timestamp', async () => {
+      const sigmoidParams = { a: ether('0.05'), b: new BN(0), c: new BN(20000000000000) };
+      await easyStaking.setFee(ether('0.05'), { from: owner });
+      await easyStaking.setSigmoidParameters(sigmoidParams.a, sigmoidParams.b, sigmoidParams.c, { from: owner });
+      await easyStaking.setTotalSupplyFactor(ether('0.5'), { from: owner });
+      await easyStaking.setEmissionCap(ether('1'), { from: owner });
+      const { ids, activationTimes } = await easyStaking.getPendingParamChanges();
+      const [activationTime, , factorActivationTime] = activationTimes;
+
+      let params = await lens.getParamsAt(activationTime.subn(1));
+      expect(params.fee).to.be.bignumber.equal(fee);
+      expect(params.totalSupplyFactor).to.be.bignumber.equal(ether('1'));
+      expect(params.sigmoidParamA).to.be.bignumber.equal(ether('0.075'));
+      expect(params.emissionCap).to.be.bignumber.equal(new BN(0));
+      const timestamp = activationTime.add(PARAM_UPDATE_DELAY);
+      params = await lens.getParamsAt(timestamp);
+      expect(params.fee).to.be.bignumber.equal(ether('0.05'));
+      expect(params.totalSupplyFactor).to.be.bignumber.equal(ether('0.5'));
+      expect(params.sigmoidParamA).to.be.bignumber.equal(sigmoidParams.a);
+      expect(params.sigmoidParamB).to.be.bignumber.equal(sigmoidParams.b);
+      expect(params.sigmoidParamC).to.be.bignumber.equal(sigmoidParams.c);
+      expect(params.emissionCurve).to.equal('0x0000000000000000000000000000000000000000');
+      expect(params.emissionCap).to.be.bignumber.equal(ether('1'));
+      expect(params.rewardsFromReserve).to.equal(false);
+
+      // the supply-based rate changes at the activation time of the new factor
+      const totalSupply = await stakeToken.totalSupply();
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      const supplyBasedEmissionRate = emission.getSupplyBasedEmissionRate(totalSupply, value, ether('1'))
+        .mul(factorActivationTime.sub(depositDate))
+        .add(emission.getSupplyBasedEmissionRate(totalSupply, value, ether('0.5')).mul(timestamp.sub(factorActivationTime)))
+        .div(timestamp.sub(depositDate));
+      const expected = emission.getAccruedEmission({
+        sigmoidParams,
+        supplyBasedEmissionRate,
+        remainingEmissionBudget: ether('1'),
+      }, depositDate, value, timestamp);
+      expect(expected.total).to.be.bignumber.equal(ether('1'));
+      const preview = await lens.previewWithdrawal(user1, 1, 0, timestamp, true);
+      expect(preview.userShare).to.be.bignumber.equal(expected.userShare);
+      expect(preview.liquidityProvidersShare).to.be.bignumber.equal(expected.total.sub(expected.userShare));
+      const amount = value.add(expected.userShare);
+      expect(preview.fee).to.be.bignumber.equal(amount.mul(ether('0.05')).div(ether('1')));
+      expect(preview.netAmount).to.be.bignumber.equal(amount.sub(preview.fee));
+
+      await easyStaking.cancelParamChange(ids[0], { from: owner });
+      expect((await lens.getParamsAt(timestamp)).fee).to.be.bignumber.equal(fee);
+      expect((await lens.previewWithdrawal(user1, 1, 0, timestamp, true)).fee).to.be.bignumber.equal(amount.mul(fee).div(ether('1')));
+    });
+    it('should skip the changes that cannot be applied anymore', async () => {
+      for (const newFee of [ether('0.05'), ether('0.07'), ether('0.09')]) {
+        await easyStaking.setFee(newFee, { from: owner });
+        await time.increase(100);
+      }
+      const { ids, activationTimes } = await easyStaking.getPendingParamChanges();
+      await time.increaseTo(activationTimes[1].addn(1));
+      await easyStaking.applyParamChange(ids[1]);
+      const timestamp = activationTimes[2].add(PARAM_UPDATE_DELAY);
+      expect((await lens.getParamsAt(activationTimes[2].subn(1))).fee).to.be.bignumber.equal(ether('0.07'));
+      expect((await lens.getParamsAt(timestamp)).fee).to.be.bignumber.equal(ether('0.09'));
+    });
+    it('should walk several pending changes of the total supply factor', async () => {
+      for (const factor of [ether('0.5'), ether('0.75'), ether('0.25')]) {
+        await easyStaking.setTotalSupplyFactor(factor, { from: owner });
+        await time.increase(3600);
+      }
+      const { ids, activationTimes } = await easyStaking.getPendingParamChanges();
+      await easyStaking.cancelParamChange(ids[1], { from: owner });
+      const timestamp = activationTimes[2].add(PARAM_UPDATE_DELAY);
+      const totalSupply = await stakeToken.totalSupply();
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      const segments = [
+        [depositDate, activationTimes[0], ether('1')],
+        [activationTimes[0], activationTimes[2], ether('0.5')],
+        [activationTimes[2], timestamp, ether('0.25')],
+      ];
+      const supplyBasedEmissionRate = segments
+        .reduce((sum, [from, to, factor]) => sum.add(
+          emission.getSupplyBasedEmissionRate(totalSupply, value, factor).mul(to.sub(from))
+        ), new BN(0))
+        .div(timestamp.sub(depositDate));
+      const expected = emission.getAccruedEmission({
+        sigmoidParams: { a: ether('0.075'), b: new BN(0), c: new BN(10000000000000) },
+        supplyBasedEmissionRate,
+      }, depositDate, value, timestamp);
+      const preview = await lens.previewWithdrawal(user1, 1, 0, timestamp, true);
+      expect(preview.userShare).to.be.bignumber.equal(expected.userShare);
+      expect(preview.liquidityProvidersShare).to.be.bignumber.equal(expected.total.sub(expected.userShare));
+    });
+    it('should not accrue emission and charge the fee while paused', async () => {
+      await easyStaking.setPauseGuardian(pauseGuardian, { from: owner });
+      await easyStaking.setPaused(true, { from: pauseGuardian });
+      const timestamp = (await time.latest()).addn(86400);
+      const preview = await lens.previewWithdrawal(user1, 1, 0, timestamp.addn(86400 * 365), true);
+      expect(preview.userShare).to.be.bignumber.gt(new BN(0));
+      expect(preview.fee).to.be.bignumber.equal(new BN(0));
+      expect(preview.netAmount).to.be.bignumber.equal(value.add(preview.userShare));
+      expect((await expectWithdrawal(1, 0, timestamp, true)).userShare).to.be.bignumber.equal(preview.userShare);
+    });
+    it('should not accrue emission for the paused period after unpausing', async () => {
+      await easyStaking.setPauseGuardian(pauseGuardian, { from: owner });
+      await easyStaking.setPaused(true, { from: pauseGuardian });
+      await time.increase(86400 * 30);
+      await easyStaking.setPaused(false, { from: pauseGuardian });
+      await expectWithdrawal(1, 0, (await time.latest()).addn(86400), true);
+    });
+    it('fails with wrong arguments', async () => {
+      const timestamp = (await time.latest()).addn(86400);
+      await expectRevert(lens.previewWithdrawal(user1, 1, 0, 1, true), 'the timestamp is in the past');
+      await expectRevert(lens.getParamsAt(1), 'the timestamp is in the past');
+      await expectRevert(lens.previewWithdrawal(user1, 2, 0, timestamp, true), 'wrong deposit id');
+      await expectRevert(lens.previewWithdrawal(user1, 1, value.addn(1), timestamp, true), 'insufficient funds');
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      await expectRevert(lens.previewWithdrawal(user1, 1, 0, timestamp, true), 'insufficient funds');
+    });
+  });
+});
@@ -0,0 +1,457 @@
+const { ether, BN, expectRevert, expectEvent, constants, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const emission = require('../lib/emission');
+const { deployEasyStaking } = require('./helpers/deploy');
+
+const EasyStaking = artifacts.require('EasyStaking');
+const EasyStakingPools = artifacts.require('EasyStakingPools');
+const Token = artifacts.require('ERC677Mock');
+
+contract('EasyStakingPools', accounts => {
+  const [owner, user1, user2, liquidityProvidersRewardAddress, pauseGuardian] = accounts;
+  const YEAR = new BN(31536000); // in seconds
+  const MAX_EMISSION_RATE = ether('0.15'); // 15%
+  const PARAM_UPDATE_DELAY = new BN(604800); // 7 days in seconds
+  const oneEther = ether('1');
+  const value = ether('100');
+  const poolParams = {
+    fee: ether('0.05'),
+    withdrawalLockDuration: new BN(7200),
+    withdrawalUnlockDuration: new BN(3600),
+    totalSupplyFactor: ether('0.5'),
+    sigmoidParams: { a: ether('0.05'), b: new BN(0), c: new BN(10000000000000) },
+  };
+
+  let easyStaking;
+  let stakeToken;
+  let lpToken;
+
+  async function getBlockTimestamp(receipt) {
+    return new BN((await web3.eth.getBlock(receipt.receipt.blockNumber)).timestamp);
+  }
+
+  function addPool(params = {}, tokenAddress = lpToken.address, from = owner) {
+    const { fee, withdrawalLockDuration, withdrawalUnlockDuration, totalSupplyFactor, sigmoidParams } = {
+      ...poolParams,
+      ...params,
+    };
+    return easyStaking.addPool(
+      tokenAddress,
+      fee,
+      withdrawalLockDuration,
+      withdrawalUnlockDuration,
+      totalSupplyFactor,
+      sigmoidParams.a,
+      sigmoidParams.b,
+      sigmoidParams.c,
+      { from }
+    );
+  }
+
+  function setPoolParameters(poolId, params = {}, from = owner) {
+    const { fee, withdrawalLockDuration, withdrawalUnlockDuration, totalSupplyFactor, sigmoidParams } = {
+      ...poolParams,
+      ...params,
+    };
+    return easyStaking.setPoolParameters(
+      poolId,
+      fee,
+      withdrawalLockDuration,
+      withdrawalUnlockDuration,
+      totalSupplyFactor,
+      sigmoidParams.a,
+      sigmoidParams.b,
+      sigmoidParams.c,
+      { from }
+    );
+  }
+
+  async function expectPoolParameters(poolId, params) {
+    const actual = await easyStaking.getPoolParameters(poolId);
+    expect(actual.poolFee).to.be.bignumber.equal(params.fee);
+    expect(actual.lockDuration).to.be.bignumber.equal(params.withdrawalLockDuration);
+    expect(actual.unlockDuration).to.be.bignumber.equal(params.withdrawalUnlockDuration);
+    expect(actual.factor).to.be.bignumber.equal(params.totalSupplyFactor);
+    expect(actual.a).to.be.bignumber.equal(params.sigmoidParams.a);
+    expect(actual.b).to.be.bignumber.equal(params.sigmoidParams.b);
+    expect(actual.c).to.be.bignumber.equal(params.sigmoidParams.c);
+  }
+
+  async function deposit(poolId, amount = value, depositId = 0, from = user1) {
+    await lpToken.approve(easyStaking.address, amount, { from });
+    return easyStaking.depositToPool(poolId, depositId, amount, { from });
+  }
+
+  // The emission of a deposit with the given supply-based rate for the whole period
+  function calculateEmission(amount, timePassed, supplyBasedEmissionRate, sigmoidParams = poolParams.sigmoidParams) {
+    const userEmissionRate = emission.calculateSigmoid(sigmoidParams, timePassed).add(supplyBasedEmissionRate);
+    const yearInWei = YEAR.mul(oneEther);
+    return {
+      total: amount.mul(MAX_EMISSION_RATE).mul(timePassed).div(yearInWei),
+      userShare: amount.mul(userEmissionRate).mul(timePassed).div(yearInWei),
+    };
+  }
+
+  beforeEach(async () => {
+    ({ easyStaking, stakeToken } = await deployEasyStaking({ owner, liquidityProvidersRewardAddress }));
+    lpToken = await Token.new();
+    await lpToken.initialize('LP', 'LP', 18, 0, owner, [owner], [], constants.ZERO_ADDRESS);
+    await lpToken.mint(user1, ether('1000'), { from: owner });
+    await lpToken.mint(user2, ether('1000'), { from: owner });
+  });
+
+  describe('setPoolsExtension', () => {
+    it('should set the contract', async () => {
+      const pools = await EasyStakingPools.new();
+      const receipt = await easyStaking.setPoolsExtension(pools.address, { from: owner });
+      expectEvent(receipt, 'PoolsExtensionSet', { value: pools.address, sender: owner });
+      expect(await easyStaking.poolsExtension()).to.equal(pools.address);
+      await addPool();
+      expect(await easyStaking.lastPoolId()).to.be.bignumber.equal(new BN(1));
+    });
+    it('fails if not an owner', async () => {
+      const pools = await EasyStakingPools.new();
+      await expectRevert(
+        easyStaking.setPoolsExtension(pools.address, { from: user1 }),
+        'Ownable: caller is not the owner'
+      );
+    });
+    it('fails if not a contract', async () => {
+      await expectRevert(easyStaking.setPoolsExtension(user1, { from: owner }), 'not a contract address');
+    });
+    it('fails to call a method of the pools if the contract is not set', async () => {
+      easyStaking = await EasyStaking.new();
+      expect(await easyStaking.poolsExtension()).to.equal(constants.ZERO_ADDRESS);
+      await expectRevert(easyStaking.depositToPool(1, 0, value, { from: user1 }), 'extension is not set');
+    });
+  });
+  describe('addPool', () => {
+    it('should add a pool', async () => {
+      const receipt = await addPool();
+      expectEvent(receipt, 'PoolAdded', { poolId: new BN(1), token: lpToken.address, sender: owner });
+      expectEvent(receipt, 'PoolParametersSet', {
+        poolId: new BN(1),
+        fee: poolParams.fee,
+        withdrawalLockDuration: poolParams.withdrawalLockDuration,
+        withdrawalUnlockDuration: poolParams.withdrawalUnlockDuration,
+        totalSupplyFactor: poolParams.totalSupplyFactor,
+        a: poolParams.sigmoidParams.a,
+        b: poolParams.sigmoidParams.b,
+        c: poolParams.sigmoidParams.c,
+        sender: owner,
+      });
+      expect(await easyStaking.lastPoolId()).to.be.bignumber.equal(new BN(1));
+      const pool = await easyStaking.getPool(1);
+      expect(pool.tokenAddress).to.equal(lpToken.address);
+      expect(pool.staked).to.be.bignumber.equal(new BN(0));
+      await expectPoolParameters(1, poolParams);
+    });
+    it('should return the STAKE pool as pool 0', async () => {
+      const pool = await easyStaking.getPool(0);
+      expect(pool.tokenAddress).to.equal(stakeToken.address);
+      await expectPoolParameters(0, {
+        fee: await easyStaking.fee(),
+        withdrawalLockDuration: await easyStaking.withdrawalLockDuration(),
+        withdrawalUnlockDuration: await easyStaking.withdrawalUnlockDuration(),
+        totalSupplyFactor: await easyStaking.totalSupplyFactor(),
+        sigmoidParams: await easyStaking.getSigmoidParameters(),
+      });
+    });
+    it('fails if not an owner', async () => {
+      await expectRevert(addPool({}, lpToken.address, user1), 'Ownable: caller is not the owner');
+    });
+    it('fails if not a contract', async () => {
+      await expectRevert(addPool({}, user1), 'not a contract address');
+    });
+    it('fails if the token is already staked', async () => {
+      await expectRevert(addPool({}, stakeToken.address), 'token is already staked');
+      await addPool();
+      await expectRevert(addPool(), 'token is already staked');
+    });
+    it('fails if any of parameters is incorrect', async () => {
+      await expectRevert(addPool({ fee: ether('1.01') }), 'should be less than or equal to 1 ether');
+      await expectRevert(addPool({ totalSupplyFactor: ether('1.01') }), 'should be less than or equal to 1 ether');
+      await expectRevert(addPool({ withdrawalLockDuration: new BN(2592001) }), 'shouldn\'t be greater than 30 days');
+      await expectRevert(addPool({ withdrawalUnlockDuration: new BN(3599) }), 'shouldn\'t be less than 1 hour');
+      await expectRevert(
+        addPool({ sigmoidParams: { ...poolParams.sigmoidParams, a: ether('0.076') } }),
+        'should be less than or equal to a half of the maximum emission rate'
+      );
+      await expectRevert(
+        addPool({ sigmoidParams: { ...poolParams.sigmoidParams, c: new BN(0) } }),
+        'should be greater than 0'
+      );
+    });
+  });
+  describe('setPoolParameters', () => {
+    const newParams = {
+      fee: ether('0.1'),
+      withdrawalLockDuration: new BN(600),
+      withdrawalUnlockDuration: new BN(7200),
+      totalSupplyFactor: ether('1'),
+      sigmoidParams: { a: ether('0.07'), b: new BN(100), c: new BN(20000000000000) },
+    };
+
+    beforeEach(async () => {
+      await addPool();
+    });
+    it('should set the parameters after the delay', async () => {
+      const receipt = await setPoolParameters(1, newParams);
+      expectEvent(receipt, 'PoolParametersSet', { poolId: new BN(1), fee: newParams.fee, sender: owner });
+      await expectPoolParameters(1, poolParams);
+      await time.increase(PARAM_UPDATE_DELAY.add(new BN(1)));
+      await expectPoolParameters(1, newParams);
+    });
+    it('should replace the parameters set during the delay', async () => {
+      await setPoolParameters(1, newParams);
+      await time.increase(PARAM_UPDATE_DELAY.div(new BN(2)));
+      await setPoolParameters(1, { fee: ether('0.2') });
+      await expectPoolParameters(1, poolParams);
+      await time.increase(PARAM_UPDATE_DELAY.add(new BN(1)));
+      await expectPoolParameters(1, { ...poolParams, fee: ether('0.2') });
+    });
+    it('fails if not an owner', async () => {
+      await expectRevert(setPoolParameters(1, newParams, user1), 'Ownable: caller is not the owner');
+    });
+    it('fails if wrong pool id', async () => {
+      await expectRevert(setPoolParameters(0, newParams), 'wrong pool id');
+      await expectRevert(setPoolParameters(2, newParams), 'wrong pool id');
+    });
+    it('fails if any of parameters is incorrect', async () => {
+      await expectRevert(setPoolParameters(1, { fee: ether('1.01') }), 'should be less than or equal to 1 ether');
+      await expectRevert(
+        setPoolParameters(1, { sigmoidParams: { ...poolParams.sigmoidParams, c: new BN(0) } }),
+        'should be greater than 0'
+      );
+    });
+  });
+  describe('depositToPool', () => {
+    beforeEach(async () => {
+      await addPool();
+    });
+    it('should deposit', async () => {
+      const receipt = await deposit(1);
+      const timestamp = await getBlockTimestamp(receipt);
+      expectEvent(receipt, 'PoolDeposited', {
+        poolId: new BN(1),
+        sender: user1,
+        id: new BN(1),
+        amount: value,
+        balance: value,
+        accruedEmission: new BN(0),
+        prevDepositDuration: new BN(0),
+      });
+      expect(await easyStaking.getPoolLastDepositId(1, user1)).to.be.bignumber.equal(new BN(1));
+      const { balance, depositDate, withdrawalRequestDate } = await easyStaking.getPoolDeposit(1, user1, 1);
+      expect(balance).to.be.bignumber.equal(value);
+      expect(depositDate).to.be.bignumber.equal(timestamp);
+      expect(withdrawalRequestDate).to.be.bignumber.equal(new BN(0));
+      expect((await easyStaking.getPool(1)).staked).to.be.bignumber.equal(value);
+      expect(await lpToken.balanceOf(easyStaking.address)).to.be.bignumber.equal(value);
+      // the deposits are keyed per pool
+      expect(await easyStaking.lastDepositIds(user1)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.totalStaked()).to.be.bignumber.equal(new BN(0));
+    });
+    it('should deposit to the STAKE pool', async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      const receipt = await easyStaking.depositToPool(0, 0, value, { from: user1 });
+      expectEvent(receipt, 'Deposited', { sender: user1, id: new BN(1), amount: value, balance: value });
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(value);
+      expect((await easyStaking.getPoolDeposit(0, user1, 1)).balance).to.be.bignumber.equal(value);
+      expect(await easyStaking.getPoolLastDepositId(0, user1)).to.be.bignumber.equal(new BN(1));
+      expect((await easyStaking.getPool(0)).staked).to.be.bignumber.equal(value);
+      expect(await easyStaking.getPoolLastDepositId(1, user1)).to.be.bignumber.equal(new BN(0));
+    });
+    it('should pay the accrued emission in STAKE tokens', async () => {
+      const firstReceipt = await deposit(1);
+      await time.increase(YEAR.div(new BN(4)));
+      const receipt = await deposit(1, value, 1);
+      const timePassed = (await getBlockTimestamp(receipt)).sub(await getBlockTimestamp(firstReceipt));
+      // the pool is the only holder of LP tokens staked, so the supply-based rate is the same for the whole period
+      const totalSupply = await lpToken.totalSupply();
+      const supplyBasedEmissionRate = emission.getSupplyBasedEmissionRate(totalSupply, value, poolParams.totalSupplyFactor);
+      const { total, userShare } = calculateEmission(value, timePassed, supplyBasedEmissionRate);
+      expectEvent(receipt, 'PoolEmissionAccrued', {
+        poolId: new BN(1),
+        holder: user1,
+        id: new BN(1),
+        userShare,
+        liquidityProvidersShare: total.sub(userShare),
+      });
+      expectEvent(receipt, 'PoolDeposited', {
+        id: new BN(1),
+        balance: value.mul(new BN(2)),
+        accruedEmission: userShare,
+        prevDepositDuration: timePassed,
+      });
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(userShare);
+      expect(await easyStaking.liquidityProvidersReward()).to.be.bignumber.equal(total.sub(userShare));
+      expect(await easyStaking.totalMinted()).to.be.bignumber.equal(total);
+    });
+    it('fails if wrong pool id', async () => {
+      await expectRevert(deposit(2), 'wrong pool id');
+    });
+    it('fails if wrong deposit id', async () => {
+      await expectRevert(deposit(1, value, 1), 'wrong deposit id');
+      await deposit(1);
+      await expectRevert(deposit(1, value, 2), 'wrong deposit id');
+    });
+    it('fails if deposit value is zero', async () => {
+      await expectRevert(deposit(1, new BN(0)), 'deposit amount should be more than 0');
+    });
+    it('fails if paused', async () => {
+      await easyStaking.setPauseGuardian(pauseGuardian, { from: owner });
+      await easyStaking.setPaused(true, { from: pauseGuardian });
+      await expectRevert(deposit(1), 'paused');
+    });
+    it('fails if emission is stopped', async () => {
+      await setPoolParameters(1, { totalSupplyFactor: new BN(0), sigmoidParams: { ...poolParams.sigmoidParams, a: new BN(0) } });
+      await time.increase(PARAM_UPDATE_DELAY.add(new BN(1)));
+      await expectRevert(deposit(1), 'emission stopped');
+    });
+  });
+  describe('makeForcedPoolWithdrawal', () => {
+    beforeEach(async () => {
+      await addPool();
+    });
+    it('should withdraw with the fee of the pool', async () => {
+      const depositReceipt = await deposit(1);
+      await time.increase(YEAR.div(new BN(12)));
+      const receipt = await easyStaking.makeForcedPoolWithdrawal(1, 1, 0, { from: user1 });
+      const timePassed = (await getBlockTimestamp(receipt)).sub(await getBlockTimestamp(depositReceipt));
+      const totalSupply = await lpToken.totalSupply();
+      const supplyBasedEmissionRate = emission.getSupplyBasedEmissionRate(totalSupply, value, poolParams.totalSupplyFactor);
+      const { userShare } = calculateEmission(value, timePassed, supplyBasedEmissionRate);
+      const feeValue = value.mul(poolParams.fee).div(oneEther);
+      expectEvent(receipt, 'PoolWithdrawn', {
+        poolId: new BN(1),
+        sender: user1,
+        id: new BN(1),
+        amount: value.sub(feeValue),
+        fee: feeValue,
+        balance: new BN(0),
+        accruedEmission: userShare,
+        lastDepositDuration: timePassed,
+        forced: true,
+      });
+      expect(await lpToken.balanceOf(user1)).to.be.bignumber.equal(ether('1000').sub(feeValue));
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(userShare);
+      const { balance, depositDate } = await easyStaking.getPoolDeposit(1, user1, 1);
+      expect(balance).to.be.bignumber.equal(new BN(0));
+      expect(depositDate).to.be.bignumber.equal(new BN(0));
+      expect((await easyStaking.getPool(1)).staked).to.be.bignumber.equal(new BN(0));
+      // the fee is kept in the contract and can be claimed by the owner, the staked tokens cannot
+      await deposit(1, value, 0, user2);
+      await expectRevert(
+        easyStaking.claimTokens(lpToken.address, owner, feeValue.add(new BN(1)), { from: owner }),
+        'insufficient funds'
+      );
+      await easyStaking.claimTokens(lpToken.address, owner, feeValue, { from: owner });
+      expect(await lpToken.balanceOf(owner)).to.be.bignumber.equal(feeValue);
+    });
+    it('should withdraw a part of the deposit', async () => {
+      await deposit(1);
+      const amount = ether('40');
+      const receipt = await easyStaking.makeForcedPoolWithdrawal(1, 1, amount, { from: user1 });
+      expectEvent(receipt, 'PoolWithdrawn', { balance: value.sub(amount) });
+      const { balance, depositDate } = await easyStaking.getPoolDeposit(1, user1, 1);
+      expect(balance).to.be.bignumber.equal(value.sub(amount));
+      expect(depositDate).to.be.bignumber.gt(new BN(0));
+    });
+    it('should withdraw without the fee while paused', async () => {
+      await deposit(1);
+      await easyStaking.setPauseGuardian(pauseGuardian, { from: owner });
+      await easyStaking.setPaused(true, { from: pauseGuardian });
+      const receipt = await easyStaking.makeForcedPoolWithdrawal(1, 1, 0, { from: user1 });
+      expectEvent(receipt, 'PoolWithdrawn', { amount: value, fee: new BN(0) });
+    });
+    it('should withdraw from the STAKE pool', async () => {
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      await easyStaking.depositToPool(0, 0, value, { from: user1 });
+      const receipt = await easyStaking.makeForcedPoolWithdrawal(0, 1, 0, { from: user1 });
+      expectEvent(receipt, 'Withdrawn', { sender: user1, id: new BN(1), balance: new BN(0), forced: true });
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(new BN(0));
+    });
+    it('fails if trying to withdraw more than deposited', async () => {
+      await deposit(1);
+      await expectRevert(
+        easyStaking.makeForcedPoolWithdrawal(1, 1, value.add(new BN(1)), { from: user1 }),
+        'insufficient funds'
+      );
+    });
+    it('fails if wrong pool id or deposit id', async () => {
+      await deposit(1);
+      await expectRevert(easyStaking.makeForcedPoolWithdrawal(2, 1, 0, { from: user1 }), 'wrong pool id');
+      await expectRevert(easyStaking.makeForcedPoolWithdrawal(1, 2, 0, { from: user1 }), 'wrong deposit id');
+      await expectRevert(easyStaking.makeForcedPoolWithdrawal(1, 1, 0, { from: user2 }), 'wrong deposit id');
+    });
+  });
+  describe('requested pool withdrawal', () => {
+    beforeEach(async () => {
+      await addPool();
+      await deposit(1);
+    });
+    it('should withdraw in the withdrawal window of the pool without the fee', async () => {
+      const receipt = await easyStaking.requestPoolWithdrawal(1, 1, { from: user1 });
+      expectEvent(receipt, 'PoolWithdrawalRequested', { poolId: new BN(1), sender: user1, id: new BN(1) });
+      const requestDate = await getBlockTimestamp(receipt);
+      expect((await easyStaking.getPoolDeposit(1, user1, 1)).withdrawalRequestDate).to.be.bignumber.equal(requestDate);
+      // the lock duration of the STAKE pool (1 hour) doesn't apply
+      await time.increaseTo(requestDate.add(new BN(3600)));
+      await expectRevert(easyStaking.makeRequestedPoolWithdrawal(1, 1, 0, { from: user1 }), 'too early');
+      await time.increaseTo(requestDate.add(poolParams.withdrawalLockDuration));
+      const withdrawal = await easyStaking.makeRequestedPoolWithdrawal(1, 1, 0, { from: user1 });
+      expectEvent(withdrawal, 'PoolWithdrawn', { amount: value, fee: new BN(0), balance: new BN(0), forced: false });
+      expect((await easyStaking.getPoolDeposit(1, user1, 1)).withdrawalRequestDate).to.be.bignumber.equal(new BN(0));
+      expect(await lpToken.balanceOf(user1)).to.be.bignumber.equal(ether('1000'));
+    });
+    it('fails if too late', async () => {
+      const receipt = await easyStaking.requestPoolWithdrawal(1, 1, { from: user1 });
+      const lockEnd = (await getBlockTimestamp(receipt)).add(poolParams.withdrawalLockDuration);
+      await time.increaseTo(lockEnd.add(poolParams.withdrawalUnlockDuration));
+      await expectRevert(easyStaking.makeRequestedPoolWithdrawal(1, 1, 0, { from: user1 }), 'too late');
+    });
+    it('should cancel the request', async () => {
+      await easyStaking.requestPoolWithdrawal(1, 1, { from: user1 });
+      const receipt = await easyStaking.cancelPoolWithdrawalRequest(1, 1, { from: user1 });
+      expectEvent(receipt, 'PoolWithdrawalRequestCancelled', { poolId: new BN(1), sender: user1, id: new BN(1) });
+      expect((await easyStaking.getPoolDeposit(1, user1, 1)).withdrawalRequestDate).to.be.bignumber.equal(new BN(0));
+      await expectRevert(easyStaking.makeRequestedPoolWithdrawal(1, 1, 0, { from: user1 }), 'withdrawal wasn\'t requested');
+      await expectRevert(easyStaking.cancelPoolWithdrawalRequest(1, 1, { from: user1 }), 'withdrawal wasn\'t requested');
+    });
+    it('fails to request if wrong deposit id', async () => {
+      await expectRevert(easyStaking.requestPoolWithdrawal(1, 2, { from: user1 }), 'wrong deposit id');
+      await expectRevert(easyStaking.requestPoolWithdrawal(2, 1, { from: user1 }), 'wrong pool id');
+    });
+  });
+  describe('supply-based emission rate', () => {
+    const sigmoidParams = { a: new BN(0), b: new BN(0), c: new BN(10000000000000) };
+
+    beforeEach(async () => {
+      await addPool({ totalSupplyFactor: oneEther, sigmoidParams });
+    });
+    it('should take into account the change of the factor since the activation time', async () => {
+      const depositReceipt = await deposit(1);
+      const depositDate = await getBlockTimestamp(depositReceipt);
+      await time.increase(86400);
+      const setReceipt = await setPoolParameters(1, { totalSupplyFactor: ether('0.25'), sigmoidParams });
+      const activationTime = (await getBlockTimestamp(setReceipt)).add(PARAM_UPDATE_DELAY);
+      await time.increase(PARAM_UPDATE_DELAY.mul(new BN(2)));
+      const receipt = await easyStaking.makeForcedPoolWithdrawal(1, 1, 0, { from: user1 });
+      const withdrawalDate = await getBlockTimestamp(receipt);
+      const totalSupply = await lpToken.totalSupply();
+      const oldRate = emission.getSupplyBasedEmissionRate(totalSupply, value, oneEther);
+      const newRate = emission.getSupplyBasedEmissionRate(totalSupply, value, ether('0.25'));
+      expect(newRate).to.be.bignumber.gt(oldRate);
+      const period = withdrawalDate.sub(depositDate);
+      const averageRate = oldRate.mul(activationTime.sub(depositDate))
+        .add(newRate.mul(withdrawalDate.sub(activationTime)))
+        .div(period);
+      const { userShare } = calculateEmission(value, period, averageRate, sigmoidParams);
+      expectEvent(receipt, 'PoolWithdrawn', { accruedEmission: userShare });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { ether, BN, expectRevert, expectEvent, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { deployEasyStaking } = require('./helpers/deploy');
+
+const EasyStakingPositions = artifacts.require('EasyStakingPositions');
+
+contract('EasyStakingPositions', accounts => {
+  const [owner, user1, user2, liquidityProvidersRewardAddress] = accounts;
+  const value = ether('1000');
+
+  let easyStaking;
+  let positions;
+  let stakeToken;
+
+  async function getBlockTimestamp(receipt) {
+    return new BN((await web3.eth.getBlock(receipt.receipt.blockNumber)).timestamp);
+  }
+
+  beforeEach(async () => {
+    ({ easyStaking, stakeToken } = await deployEasyStaking({ owner, liquidityProvidersRewardAddress }));
+    positions = await EasyStakingPositions.new();
+    await positions.methods['initialize(address)'](easyStaking.address);
+    await stakeToken.mint(user1, value, { from: owner });
+    await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+  });
+
+  describe('initialize', () => {
+    it('should be set up correctly', async () => {
+      expect(await positions.easyStaking()).to.equal(easyStaking.address);
+      expect(await positions.name()).to.equal('EasyStaking Position');
+      expect(await positions.symbol()).to.equal('ESP');
+    });
+    it('fails if not a contract address', async () => {
+      positions = await EasyStakingPositions.new();
+      await expectRevert(positions.methods['initialize(address)'](user1), 'not a contract address');
+    });
+  });
+  describe('onDepositTransfer', () => {
+    it('should mint a position', async () => {
+      const receipt = await easyStaking.requestWithdrawal(1, { from: user1 });
+      const requestDate = await getBlockTimestamp(receipt);
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      await easyStaking.transferDepositAndCall(1, positions.address, '0x', { from: user1 });
+      expect(await positions.ownerOf(1)).to.equal(user1);
+      expect(await positions.balanceOf(user1)).to.be.bignumber.equal(new BN(1));
+      expect(await easyStaking.balances(positions.address, 1)).to.be.bignumber.equal(value);
+      expect(await easyStaking.depositDates(positions.address, 1)).to.be.bignumber.equal(depositDate);
+      expect(await easyStaking.withdrawalRequestsDates(positions.address, 1)).to.be.bignumber.equal(requestDate);
+    });
+    it('should mint a position when the deposit is transferred without data', async () => {
+      await easyStaking.transferDeposit(1, positions.address, { from: user1 });
+      expect(await positions.ownerOf(1)).to.equal(user1);
+      expect(await easyStaking.balances(positions.address, 1)).to.be.bignumber.equal(value);
+    });
+    it('fails if not EasyStaking contract', async () => {
+      await expectRevert(
+        positions.onDepositTransfer(user1, 1, '0x', { from: user1 }),
+        'only EasyStaking contract is allowed'
+      );
+    });
+  });
+  describe('redeem', () => {
+    beforeEach(async () => {
+      await easyStaking.transferDepositAndCall(1, positions.address, '0x', { from: user1 });
+    });
+    it('should transfer the position and redeem the deposit', async () => {
+      const depositDate = await easyStaking.depositDates(positions.address, 1);
+      await time.increase(3600);
+      await positions.transferFrom(user1, user2, 1, { from: user1 });
+      expect(await positions.ownerOf(1)).to.equal(user2);
+      await expectRevert(positions.redeem(1, user1, { from: user1 }), 'caller is not owner nor approved');
+      const receipt = await positions.redeem(1, user2, { from: user2 });
+      expectEvent(receipt, 'Redeemed', { tokenId: new BN(1), to: user2, depositId: new BN(1) });
+      expect(await positions.totalSupply()).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.balances(positions.address, 1)).to.be.bignumber.equal(new BN(0));
+      expect(await easyStaking.balances(user2, 1)).to.be.bignumber.equal(value);
+      expect(await easyStaking.depositDates(user2, 1)).to.be.bignumber.equal(depositDate);
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user2 });
+      expect(await stakeToken.balanceOf(user2)).to.be.bignumber.gt(new BN(0));
+    });
+    it('should redeem by an approved address', async () => {
+      await positions.approve(user2, 1, { from: user1 });
+      await positions.redeem(1, user1, { from: user2 });
+      expect(await easyStaking.balances(user1, 2)).to.be.bignumber.equal(value);
+    });
+  });
+});
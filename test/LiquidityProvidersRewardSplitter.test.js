@@ -0,0 +1,176 @@
+const { ether, BN, expectRevert, expectEvent, constants, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { deployEasyStaking } = require('./helpers/deploy');
+
+const LiquidityProvidersRewardSplitter = artifacts.require('LiquidityProvidersRewardSplitter');
+const Token = artifacts.require('ERC677Mock');
+
+contract('LiquidityProvidersRewardSplitter', accounts => {
+  const [owner, user1, pool1, pool2, pool3] = accounts;
+  const PARAM_UPDATE_DELAY = new BN(604800); // 7 days in seconds
+  const recipients = [pool1, pool2];
+  const weights = [ether('0.75'), ether('0.25')];
+
+  let splitter;
+  let stakeToken;
+
+  function initialize(...params) {
+    if (params.length === 0) {
+      params = [owner, stakeToken.address, recipients, weights];
+    }
+    return splitter.methods['initialize(address,address,address[],uint256[])'](...params, { from: owner });
+  }
+
+  function expectSplit(actualRecipients, actualWeights, expectedRecipients, expectedWeights) {
+    expect(actualRecipients).to.deep.equal(expectedRecipients);
+    expect(actualWeights.map(weight => weight.toString())).to.deep.equal(expectedWeights.map(weight => weight.toString()));
+  }
+
+  beforeEach(async () => {
+    stakeToken = await Token.new();
+    await stakeToken.initialize('Stake', 'STAKE', 18, 0, owner, [owner], [], constants.ZERO_ADDRESS);
+    splitter = await LiquidityProvidersRewardSplitter.new();
+    await initialize();
+  });
+
+  describe('initialize', () => {
+    it('should be set up correctly', async () => {
+      expect(await splitter.owner()).to.equal(owner);
+      expect(await splitter.token()).to.equal(stakeToken.address);
+      const splits = await splitter.getSplits();
+      expectSplit(splits.recipients, splits.weights, recipients, weights);
+    });
+    it('fails if any of parameters is incorrect', async () => {
+      splitter = await LiquidityProvidersRewardSplitter.new();
+      await expectRevert(initialize(constants.ZERO_ADDRESS, stakeToken.address, recipients, weights), 'zero address');
+      await expectRevert(initialize(owner, user1, recipients, weights), 'not a contract address');
+      await expectRevert(initialize(owner, stakeToken.address, [], []), 'wrong number of recipients');
+    });
+  });
+  describe('setSplit', () => {
+    const newRecipients = [pool1, pool2, pool3];
+    const newWeights = [ether('0.5'), ether('0.3'), ether('0.2')];
+
+    it('should set after the delay', async () => {
+      await time.increase(PARAM_UPDATE_DELAY.addn(1));
+      let splits = await splitter.getSplits();
+      expect(splits.pendingRecipients).to.deep.equal([]);
+      expect(splits.pendingActivationTime).to.be.bignumber.equal(new BN(0));
+      const receipt = await splitter.setSplit(newRecipients, newWeights, { from: owner });
+      expectEvent(receipt, 'SplitSet', { sender: owner });
+      const timestamp = new BN((await web3.eth.getBlock(receipt.receipt.blockNumber)).timestamp);
+      splits = await splitter.getSplits();
+      expectSplit(splits.recipients, splits.weights, recipients, weights);
+      expectSplit(splits.pendingRecipients, splits.pendingWeights, newRecipients, newWeights);
+      expect(splits.pendingActivationTime).to.be.bignumber.equal(timestamp.add(PARAM_UPDATE_DELAY).addn(1));
+      await expectRevert(splitter.distribute(), 'nothing to distribute');
+      await time.increaseTo(splits.pendingActivationTime);
+      await time.advanceBlock();
+      // the split is reported as active once the delay is over, before it is activated by "distribute"
+      splits = await splitter.getSplits();
+      expectSplit(splits.recipients, splits.weights, newRecipients, newWeights);
+      expect(splits.pendingRecipients).to.deep.equal([]);
+      expect(splits.pendingActivationTime).to.be.bignumber.equal(new BN(0));
+      const activationReceipt = await splitter.distribute({ from: user1 });
+      expectEvent(activationReceipt, 'SplitActivated', { sender: user1 });
+      expect(activationReceipt.logs.filter(log => log.event === 'Distributed').length).to.be.equal(0);
+      splits = await splitter.getSplits();
+      expectSplit(splits.recipients, splits.weights, newRecipients, newWeights);
+      expect(splits.pendingRecipients).to.deep.equal([]);
+      expect(splits.pendingActivationTime).to.be.bignumber.equal(new BN(0));
+    });
+    it('should replace the pending split', async () => {
+      await time.increase(PARAM_UPDATE_DELAY.addn(1));
+      await splitter.setSplit(newRecipients, newWeights, { from: owner });
+      await splitter.setSplit([pool3], [ether('1')], { from: owner });
+      let splits = await splitter.getSplits();
+      expectSplit(splits.recipients, splits.weights, recipients, weights);
+      expectSplit(splits.pendingRecipients, splits.pendingWeights, [pool3], [ether('1')]);
+      await time.increase(PARAM_UPDATE_DELAY.addn(1));
+      await time.advanceBlock();
+      splits = await splitter.getSplits();
+      expectSplit(splits.recipients, splits.weights, [pool3], [ether('1')]);
+      expect(splits.pendingRecipients).to.deep.equal([]);
+      await splitter.setSplit(newRecipients, newWeights, { from: owner });
+      splits = await splitter.getSplits();
+      expectSplit(splits.recipients, splits.weights, [pool3], [ether('1')]);
+      expectSplit(splits.pendingRecipients, splits.pendingWeights, newRecipients, newWeights);
+    });
+    it('fails if not an owner', async () => {
+      await expectRevert(splitter.setSplit(newRecipients, newWeights, { from: user1 }), 'Ownable: caller is not the owner');
+    });
+    it('fails if wrong values', async () => {
+      await expectRevert(splitter.setSplit(newRecipients, weights, { from: owner }), 'arrays length mismatch');
+      await expectRevert(
+        splitter.setSplit(Array(11).fill(pool1), Array(11).fill(ether('0.1')), { from: owner }),
+        'wrong number of recipients'
+      );
+      await expectRevert(splitter.setSplit([pool1, constants.ZERO_ADDRESS], weights, { from: owner }), 'zero address');
+      await expectRevert(splitter.setSplit([pool1, splitter.address], weights, { from: owner }), 'wrong address');
+      await expectRevert(splitter.setSplit(recipients, [ether('1'), 0], { from: owner }), 'weight should be greater than 0');
+      await expectRevert(
+        splitter.setSplit(recipients, [ether('0.5'), ether('0.4')], { from: owner }),
+        'weights should sum up to 1 ether'
+      );
+    });
+  });
+  describe('distribute', () => {
+    it('should distribute in proportion to the weights', async () => {
+      const amount = ether('10').addn(1);
+      await stakeToken.mint(splitter.address, amount, { from: owner });
+      const receipt = await splitter.distribute({ from: user1 });
+      expectEvent(receipt, 'Distributed', { amount, sender: user1 });
+      expect(await stakeToken.balanceOf(pool1)).to.be.bignumber.equal(ether('7.5'));
+      expect(await stakeToken.balanceOf(pool2)).to.be.bignumber.equal(ether('2.5').addn(1));
+      expect(await stakeToken.balanceOf(splitter.address)).to.be.bignumber.equal(new BN(0));
+    });
+    it('should distribute the tokens received before the activation by the previous split', async () => {
+      await splitter.setSplit([pool3], [ether('1')], { from: owner });
+      await stakeToken.mint(splitter.address, ether('10'), { from: owner });
+      await time.increase(PARAM_UPDATE_DELAY.addn(1));
+      const receipt = await splitter.distribute({ from: user1 });
+      expectEvent(receipt, 'Distributed', { amount: ether('10'), sender: user1 });
+      expectEvent(receipt, 'SplitActivated', { sender: user1 });
+      expect(await stakeToken.balanceOf(pool1)).to.be.bignumber.equal(ether('7.5'));
+      expect(await stakeToken.balanceOf(pool2)).to.be.bignumber.equal(ether('2.5'));
+      expect(await stakeToken.balanceOf(pool3)).to.be.bignumber.equal(new BN(0));
+      await stakeToken.mint(splitter.address, ether('4'), { from: owner });
+      await splitter.distribute();
+      expect(await stakeToken.balanceOf(pool1)).to.be.bignumber.equal(ether('7.5'));
+      expect(await stakeToken.balanceOf(pool3)).to.be.bignumber.equal(ether('4'));
+    });
+    it('should distribute the balance by the previous split when a new split is set', async () => {
+      await splitter.setSplit([pool3], [ether('1')], { from: owner });
+      await stakeToken.mint(splitter.address, ether('10'), { from: owner });
+      await time.increase(PARAM_UPDATE_DELAY.addn(1));
+      await splitter.setSplit(recipients, weights, { from: owner });
+      expect(await stakeToken.balanceOf(pool1)).to.be.bignumber.equal(ether('7.5'));
+      expect(await stakeToken.balanceOf(pool2)).to.be.bignumber.equal(ether('2.5'));
+      expect(await stakeToken.balanceOf(splitter.address)).to.be.bignumber.equal(new BN(0));
+    });
+    it('fails if nothing to distribute', async () => {
+      await expectRevert(splitter.distribute(), 'nothing to distribute');
+    });
+    it('should split the reward of EasyStaking', async () => {
+      const { easyStaking } = await deployEasyStaking({
+        owner,
+        liquidityProvidersRewardAddress: splitter.address,
+        stakeToken,
+      });
+      await stakeToken.addMinter(easyStaking.address, { from: owner });
+      const value = ether('1000');
+      await stakeToken.mint(user1, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      await easyStaking.methods['deposit(uint256)'](value, { from: user1 });
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      await easyStaking.claimLiquidityProvidersReward();
+      const reward = await stakeToken.balanceOf(splitter.address);
+      expect(reward).to.be.bignumber.gt(ether('30'));
+      await splitter.distribute();
+      const share1 = reward.mul(weights[0]).div(ether('1'));
+      expect(await stakeToken.balanceOf(pool1)).to.be.bignumber.equal(share1);
+      expect(await stakeToken.balanceOf(pool2)).to.be.bignumber.equal(reward.sub(share1));
+    });
+  });
+});
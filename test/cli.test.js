@@ -0,0 +1,178 @@
+const { ether, BN, expectRevert, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const ethers = require('ethers');
+const cli = require('../lib/cli');
+const { deployEasyStaking } = require('./helpers/deploy');
+
+const EasyStaking = artifacts.require('EasyStaking');
+const EasyStakingLens = artifacts.require('EasyStakingLens');
+
+contract('cli', accounts => {
+  const [owner, user1, liquidityProvidersRewardAddress] = accounts;
+  const PARAM_UPDATE_DELAY = new BN(604800); // 7 days in seconds
+  const value = ether('1000');
+
+  let easyStaking;
+  let lens;
+  let stakeToken;
+  let logs;
+
+  beforeEach(async () => {
+    ({ easyStaking, stakeToken } = await deployEasyStaking({ owner, liquidityProvidersRewardAddress }));
+    lens = await EasyStakingLens.new(easyStaking.address);
+    await stakeToken.mint(user1, value.muln(10), { from: owner });
+    logs = [];
+  });
+
+  function run(command, from) {
+    const provider = new ethers.providers.Web3Provider(web3.currentProvider);
+    const argv = command.split(' ').concat('--from', from);
+    const context = { provider, address: easyStaking.address, abi: EasyStaking.abi, gas: 5000000 };
+    return cli.run(argv, { ...context, log: line => logs.push(line) });
+  }
+
+  function expectClose(actual, expected) {
+    const tolerance = ether('0.0001');
+    expect(actual).to.be.bignumber.gte(expected.sub(tolerance));
+    expect(actual).to.be.bignumber.lte(expected.add(tolerance));
+  }
+
+  function getWithdrawn(receipt) {
+    const { args } = receipt.events.find(event => event.event === 'Withdrawn');
+    return { amount: new BN(args.amount.toString()), fee: new BN(args.fee.toString()) };
+  }
+
+  describe('parseArgs', () => {
+    it('should parse options', () => {
+      const { command, args, options } = cli.parseArgs(['withdraw', '--network', 'kovan', '1', '--dry-run', '0.5']);
+      expect(command).to.equal('withdraw');
+      expect(args).to.deep.equal(['1', '0.5']);
+      expect(options).to.deep.equal({ network: 'kovan', dryRun: true });
+    });
+    it('fails for unknown commands and wrong arguments', async () => {
+      await expectRevert(run('unknown', user1), 'Usage:');
+      await expectRevert(run('request-withdrawal', user1), 'missing argument');
+      await expectRevert(run('request-withdrawal 1 2', user1), 'too many arguments');
+      await expectRevert(run('request-withdrawal -1', user1), 'not an integer: -1');
+      await expectRevert(run('set-rewards-from-reserve yes', owner), 'not a bool: yes');
+      await expectRevert(run(`claim-tokens ${user1} ${user1} 1.5`, owner), 'not an integer: 1.5');
+      expect(cli.usage()).to.include('claim-tokens <token> <to> <amountWei>');
+    });
+  });
+  describe('deposits and withdrawals', () => {
+    it('should deposit', async () => {
+      await run('deposit 100', user1);
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(ether('100'));
+      await run('deposit 50.5 1', user1);
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.gte(ether('150.5'));
+      expect(await easyStaking.lastDepositIds(user1)).to.be.bignumber.equal(new BN(1));
+      expect(logs).to.include('Approving 50.5 STAKE');
+      expect(logs.some(line => line.startsWith('Deposited(sender='))).to.equal(true);
+    });
+    it('should not deposit in the dry-run mode', async () => {
+      await run('deposit 100 --dry-run', user1);
+      expect(logs).to.deep.equal(['Dry run: 100.0 STAKE must be approved first, the deposit is not simulated']);
+      await stakeToken.approve(easyStaking.address, ether('100'), { from: user1 });
+      await run('deposit 100 --dry-run', user1);
+      expect(logs[1]).to.equal('Dry run: deposit succeeds');
+      expect(await easyStaking.lastDepositIds(user1)).to.be.bignumber.equal(new BN(0));
+    });
+    it('should make a requested withdrawal', async () => {
+      await run('deposit 1000', user1);
+      await time.increase(86400 * 30);
+      await run('request-withdrawal 1', user1);
+      await expectRevert(run('withdraw 1 --dry-run', user1), 'too early');
+      await time.increase(3600);
+      const { withdrawal } = await run(`withdraw 1 100 --dry-run --lens ${lens.address}`, user1);
+      expect(withdrawal.fee).to.be.bignumber.equal(new BN(0));
+      expect(withdrawal.balance).to.be.bignumber.equal(ether('900'));
+      expect(withdrawal.accruedEmission).to.be.bignumber.gt(new BN(0));
+      expect(logs[logs.length - 1]).to.match(/^Expected Withdrawn: amount=100\.\d+ fee=0\.0 balance=900\.0 accruedEmission=/);
+      expect(await easyStaking.withdrawalRequestsDates(user1, 1)).to.be.bignumber.gt(new BN(0));
+      const receipt = await run('withdraw 1 100', user1);
+      expectClose(getWithdrawn(receipt).amount, withdrawal.amount);
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(ether('900'));
+    });
+    it('should preview a forced withdrawal', async () => {
+      await run('deposit 1000', user1);
+      await time.increase(86400 * 30);
+      const { withdrawal } = await run(`force-withdraw 1 --dry-run --lens ${lens.address}`, user1);
+      expect(withdrawal.balance).to.be.bignumber.equal(new BN(0));
+      const fee = withdrawal.amount.add(withdrawal.fee).mul(ether('0.03')).div(ether('1'));
+      expect(withdrawal.fee).to.be.bignumber.equal(fee);
+      const actual = getWithdrawn(await run('force-withdraw 1', user1));
+      expectClose(actual.amount, withdrawal.amount);
+      expectClose(actual.fee, withdrawal.fee);
+      expect(await easyStaking.balances(user1, 1)).to.be.bignumber.equal(new BN(0));
+    });
+    it('should preview the lockup boost', async () => {
+      await easyStaking.setLockupBoost(86400 * 30, ether('0.05'), { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: user1 });
+      await easyStaking.depositWithLockup(value, 86400 * 30, { from: user1 });
+      await time.increase(86400 * 31);
+      const { withdrawal } = await run(`force-withdraw 1 --dry-run --lens ${lens.address}`, user1);
+      // the boost is 5% per annum for a month
+      const withoutBoost = await easyStaking.getAccruedEmission(await easyStaking.depositDates(user1, 1), value);
+      expect(withdrawal.accruedEmission).to.be.bignumber.gt(withoutBoost.userShare.add(ether('4')));
+      const { args } = (await run('force-withdraw 1', user1)).events.find(event => event.event === 'Withdrawn');
+      expectClose(withdrawal.accruedEmission, new BN(args.accruedEmission.toString()));
+    });
+    it('should not preview a withdrawal without the Lens address', async () => {
+      await run('deposit 1000', user1);
+      const result = await run('force-withdraw 1 --dry-run', user1);
+      expect(result).to.deep.equal({ dryRun: true });
+      expect(logs[logs.length - 1]).to.equal('Pass the EasyStakingLens address with --lens to preview the withdrawal');
+    });
+  });
+  describe('parameters', () => {
+    it('should show and apply pending parameter changes', async () => {
+      await run('pending-changes', user1);
+      expect(logs).to.deep.equal(['No pending parameter changes']);
+      await run('set-fee 0.05', owner);
+      await run('set-sigmoid-parameters 0.05 -100 999999', owner);
+      await run('set-liquidity-providers-reward-address 0x0000000000000000000000000000000000000001', owner);
+      await run('set-rewards-from-reserve true', owner);
+      const changes = await run('pending-changes', user1);
+      expect(changes.map(change => change.param)).to.deep.equal([
+        'fee',
+        'sigmoidParameters',
+        'liquidityProvidersRewardAddress',
+        'rewardsFromReserve',
+      ]);
+      expect(changes.map(change => change.value)).to.deep.equal([
+        '0.05',
+        'a=0.05 b=-100 c=999999',
+        '0x0000000000000000000000000000000000000001',
+        'true',
+      ]);
+      const { activationTime } = await easyStaking.paramChanges(changes[0].id);
+      expect(new BN(changes[0].activationTime)).to.be.bignumber.equal(activationTime);
+      const date = new Date(activationTime.toNumber() * 1000).toISOString();
+      expect(logs).to.include(`#${changes[0].id} fee = 0.05, activation time: ${date} (pending)`);
+      await expectRevert(run(`apply-change ${changes[0].id} --dry-run`, user1), 'too early');
+      await time.increase(PARAM_UPDATE_DELAY);
+      await run(`apply-change ${changes[0].id}`, user1);
+      await run(`cancel-change ${changes[1].id}`, owner);
+      expect(await easyStaking.fee()).to.be.bignumber.equal(ether('0.05'));
+      expect((await run('pending-changes', user1)).map(change => change.param)).to.deep.equal([
+        'liquidityProvidersRewardAddress',
+        'rewardsFromReserve',
+      ]);
+      expect(logs[logs.length - 1]).to.match(/\(can be applied\)$/);
+    });
+    it('should call owner methods', async () => {
+      await run('set-lockup-boost 2592000 0.01', owner);
+      expect(await easyStaking.lockupBoosts(2592000)).to.be.bignumber.equal(ether('0.01'));
+      await run('set-pause-guardian 0x0000000000000000000000000000000000000002', owner);
+      expect(await easyStaking.pauseGuardian()).to.equal('0x0000000000000000000000000000000000000002');
+      await stakeToken.mint(owner, value, { from: owner });
+      await stakeToken.approve(easyStaking.address, value, { from: owner });
+      await easyStaking.fundRewardReserve(value, { from: owner });
+      await expectRevert(run(`claim-tokens ${stakeToken.address} ${user1} 1000 --dry-run`, user1), 'Ownable: caller is not the owner');
+      await run(`claim-tokens ${stakeToken.address} ${user1} 1000 --dry-run`, owner);
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(value.muln(10));
+      await run(`claim-tokens ${stakeToken.address} ${user1} 1000`, owner);
+      expect(await stakeToken.balanceOf(user1)).to.be.bignumber.equal(value.muln(10).addn(1000));
+    });
+  });
+});
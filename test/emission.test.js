@@ -0,0 +1,191 @@
+const { ether, BN, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const emission = require('../lib/emission');
+const { deployEasyStaking } = require('./helpers/deploy');
+
+const LinearEmissionCurve = artifacts.require('LinearEmissionCurve');
+
+contract('emission', accounts => {
+  const [owner, user1, liquidityProvidersRewardAddress] = accounts;
+  const DAY = new BN(86400); // in seconds
+  const PARAM_UPDATE_DELAY = new BN(604800); // 7 days in seconds
+  const sigmoidParams = { a: ether('0.075'), b: new BN(0), c: new BN(10000000000000) };
+  const totalSupplyFactor = ether('1');
+
+  // The data of the examples in README.md
+  const readme = {
+    sigmoidParams,
+    totalSupplyFactor,
+    totalSupply: ether('8537500'),
+    totalStaked: ether('1500000'),
+  };
+
+  function expectTokens(actual, expected) {
+    const tolerance = ether('0.05');
+    expect(actual).to.be.bignumber.gte(ether(expected).sub(tolerance));
+    expect(actual).to.be.bignumber.lte(ether(expected).add(tolerance));
+  }
+
+  describe('README examples', () => {
+    it('2nd example: replenishment after 2 weeks', () => {
+      const state = { ...readme, totalStaked: readme.totalStaked.add(ether('1000')) };
+      const { total, userShare } = emission.getAccruedEmission(state, 1, ether('1000'), DAY.muln(14).addn(1));
+      expectTokens(userShare, '1.53');
+      expectTokens(total.sub(userShare), '4.22');
+    });
+    it('2nd example: timed withdrawal 3 months later', () => {
+      const balance = ether('2001.53');
+      const state = {
+        ...readme,
+        totalSupply: readme.totalSupply.add(ether('1.53')).add(ether('4.22')),
+        totalStaked: readme.totalStaked.add(balance),
+      };
+      const { total, userShare } = emission.getAccruedEmission(state, 1, balance, DAY.muln(90).addn(1));
+      expectTokens(userShare, '40.76');
+      expectTokens(total.sub(userShare), '33.26');
+    });
+    it('3rd example: withdrawal of a half after 6 months', () => {
+      const state = { ...readme, totalStaked: readme.totalStaked.add(ether('1000')) };
+      const { total, userShare } = emission.getAccruedEmission(state, 1, ether('500'), DAY.muln(180).addn(1));
+      expectTokens(userShare, '21.37');
+      expectTokens(total.sub(userShare), '15.6');
+    });
+    it('returns zeros for zero amount or time', () => {
+      let result = emission.getAccruedEmission(readme, 1, 0, DAY);
+      expect(result.total).to.be.bignumber.equal(new BN(0));
+      expect(result.timePassed).to.be.bignumber.equal(new BN(0));
+      result = emission.getAccruedEmission(readme, DAY, ether('1'), DAY);
+      expect(result.total).to.be.bignumber.equal(new BN(0));
+      expect(result.userShare).to.be.bignumber.equal(new BN(0));
+    });
+  });
+
+  describe('remainingEmissionBudget', () => {
+    it('should scale emission down to the budget', () => {
+      const full = emission.getAccruedEmission(readme, 1, ether('1000'), DAY.muln(90).addn(1));
+      const budget = full.total.divn(4);
+      const result = emission.getAccruedEmission({ ...readme, remainingEmissionBudget: budget }, 1, ether('1000'), DAY.muln(90).addn(1));
+      expect(result.total).to.be.bignumber.equal(budget);
+      expect(result.userShare).to.be.bignumber.equal(full.userShare.mul(budget).div(full.total));
+      const unlimited = emission.getAccruedEmission({ ...readme, remainingEmissionBudget: full.total }, 1, ether('1000'), DAY.muln(90).addn(1));
+      expect(unlimited.userShare).to.be.bignumber.equal(full.userShare);
+    });
+  });
+
+  describe('getParamValue', () => {
+    it('should switch to the new value after the delay', () => {
+      const param = { oldValue: 'old', newValue: 'new', timestamp: new BN(1000) };
+      expect(emission.getParamValue(param, PARAM_UPDATE_DELAY.addn(1000))).to.equal('old');
+      expect(emission.getParamValue(param, PARAM_UPDATE_DELAY.addn(1001))).to.equal('new');
+    });
+  });
+
+  describe('calculateSigmoid', () => {
+    it('should be zero before parameter B', () => {
+      const params = { ...sigmoidParams, b: new BN(1000) };
+      expect(emission.calculateSigmoid(params, 999)).to.be.bignumber.equal(new BN(0));
+      expect(emission.calculateSigmoid(params, 1000)).to.be.bignumber.equal(new BN(0));
+      expect(emission.calculateSigmoid(params, 1001)).to.be.bignumber.gt(new BN(0));
+    });
+  });
+
+  describe('getSupplyBasedEmissionRate', () => {
+    it('should be capped and zero for zero factor', () => {
+      const maxRate = emission.MAX_EMISSION_RATE.divn(2);
+      expect(emission.getSupplyBasedEmissionRate(ether('100'), ether('100'), ether('0.5'))).to.be.bignumber.equal(maxRate);
+      expect(emission.getSupplyBasedEmissionRate(ether('100'), ether('100'), 0)).to.be.bignumber.equal(new BN(0));
+      expect(emission.getSupplyBasedEmissionRate(ether('100'), ether('25'), ether('1'))).to.be.bignumber.equal(maxRate.divn(4));
+    });
+  });
+
+  describe('compared with EasyStaking', () => {
+    let easyStaking;
+    let stakeToken;
+
+    beforeEach(async () => {
+      ({ easyStaking, stakeToken } = await deployEasyStaking({
+        owner,
+        liquidityProvidersRewardAddress,
+        params: { totalSupplyFactor, sigmoidParams },
+      }));
+      await stakeToken.mint(owner, ether('8537500'), { from: owner });
+      await stakeToken.transfer(user1, ether('1000'), { from: owner });
+      await stakeToken.transfer(easyStaking.address, ether('1000'), { from: user1 });
+    });
+
+    async function getState() {
+      return {
+        sigmoidParams: await easyStaking.getSigmoidParameters(),
+        totalSupplyFactor: await easyStaking.totalSupplyFactor(),
+        totalSupply: await stakeToken.totalSupply(),
+        totalStaked: await easyStaking.totalStaked(),
+      };
+    }
+
+    async function expectSameEmission(state, amount) {
+      await time.advanceBlock();
+      const now = await time.latest();
+      const depositDate = await easyStaking.depositDates(user1, 1);
+      const expected = await easyStaking.getAccruedEmission(depositDate, amount);
+      const actual = emission.getAccruedEmission(state, depositDate, amount, now);
+      expect(actual.total).to.be.bignumber.equal(expected.total);
+      expect(actual.userShare).to.be.bignumber.equal(expected.userShare);
+      expect(actual.timePassed).to.be.bignumber.equal(expected.timePassed);
+    }
+
+    it('should calculate the same accrued emission', async () => {
+      const durations = [new BN(1), DAY, DAY.muln(14), DAY.muln(90), DAY.muln(365)];
+      for (let i = 0; i < durations.length; i++) {
+        await time.increase(durations[i]);
+        await expectSameEmission(await getState(), ether('1000'));
+        await expectSameEmission(await getState(), ether('333.333'));
+      }
+    });
+    it('should use the stored parameters like the contract', async () => {
+      const newSigmoidParams = { a: ether('0.05'), b: DAY, c: new BN(999999) };
+      const newTotalSupplyFactor = ether('0.1');
+      await easyStaking.setSigmoidParameters(newSigmoidParams.a, newSigmoidParams.b, newSigmoidParams.c, { from: owner });
+      await easyStaking.setTotalSupplyFactor(newTotalSupplyFactor, { from: owner });
+      await time.increase(DAY);
+      await expectSameEmission(await getState(), ether('1000'));
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange(6);
+      await easyStaking.applyParamChange(7);
+      const state = { ...(await getState()), totalSupplyFactor: await easyStaking.totalSupplyFactorParam() };
+      expect(state.sigmoidParams.b).to.be.bignumber.equal(newSigmoidParams.b);
+      expect(state.totalSupplyFactor.newValue).to.be.bignumber.equal(newTotalSupplyFactor);
+      await time.increase(DAY);
+      await expectSameEmission(state, ether('1000'));
+    });
+    it('should use the emission curve like the contract', async () => {
+      const curveParams = { maxRate: ether('0.06'), duration: DAY.muln(30) };
+      const curve = await LinearEmissionCurve.new(curveParams.maxRate, curveParams.duration);
+      await easyStaking.setEmissionCurve(curve.address, { from: owner });
+      await time.increase(PARAM_UPDATE_DELAY);
+      await easyStaking.applyParamChange(6);
+      const emissionCurve = x => emission.calculateLinear(curveParams, x);
+      expect(await easyStaking.getTimeBasedEmissionRate(DAY)).to.be.bignumber.equal(emissionCurve(DAY));
+      await expectSameEmission({ ...(await getState()), emissionCurve }, ether('1000'));
+      await time.increase(DAY.muln(30));
+      await expectSameEmission({ ...(await getState()), emissionCurve }, ether('1000'));
+    });
+    it('should calculate the same average supply-based rate', async () => {
+      await time.increase(DAY.muln(30));
+      await stakeToken.transfer(easyStaking.address, ether('1000000'), { from: owner });
+      await time.increase(DAY);
+      await time.advanceBlock();
+      const now = await time.latest();
+      const accumulator = {
+        cumulative: await easyStaking.supplyBasedEmissionRateCumulative(),
+        updatedAt: await easyStaking.supplyBasedEmissionRateUpdatedAt(),
+        accumulatedSince: await easyStaking.supplyBasedEmissionRateAccumulatedSince(),
+        snapshot: await easyStaking.supplyBasedEmissionRateSnapshots(user1, 1),
+        accrualDate: await easyStaking.depositDates(user1, 1),
+      };
+      const expected = await easyStaking.getAverageSupplyBasedEmissionRate(user1, 1);
+      const actual = emission.getAverageSupplyBasedEmissionRate(await getState(), accumulator, now);
+      expect(actual).to.be.bignumber.equal(expected);
+      expect(actual).to.be.bignumber.lt(await easyStaking.getSupplyBasedEmissionRate());
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { ether } = require('@openzeppelin/test-helpers');
+
+const EasyStaking = artifacts.require('EasyStaking');
+const EasyStakingExtension = artifacts.require('EasyStakingExtension');
+const EasyStakingPools = artifacts.require('EasyStakingPools');
+const Token = artifacts.require('ERC677Mock');
+
+const INITIALIZE_METHOD = 'initialize(address,address,address,uint256,uint256,uint256,uint256,uint256,int256,uint256,address)';
+
+// The parameters EasyStaking is initialized with unless they are overridden
+const DEFAULT_PARAMS = {
+  fee: ether('0.03'),
+  withdrawalLockDuration: 3600,
+  withdrawalUnlockDuration: 3600,
+  totalSupplyFactor: ether('1'),
+  sigmoidParams: { a: ether('0.075'), b: 0, c: 10000000000000 },
+};
+
+/**
+ * Deploys EasyStaking with a new extension and a new EasyStakingPools contract and initializes it.
+ * If no token is given, deploys a new one and initializes it with EasyStaking as its minter and bridge contract.
+ * @param {Object} options
+ * @param {string} options.owner The owner of EasyStaking and the token.
+ * @param {string} options.liquidityProvidersRewardAddress The address of the Liquidity Providers reward.
+ * @param {Object} [options.stakeToken] An initialized token (EasyStaking must be made its minter separately).
+ * @param {Object} [options.params] The parameters overriding "DEFAULT_PARAMS".
+ * @return The deployed EasyStaking and token.
+ */
+async function deployEasyStaking({ owner, liquidityProvidersRewardAddress, stakeToken, params = {} }) {
+  const { fee, withdrawalLockDuration, withdrawalUnlockDuration, totalSupplyFactor, sigmoidParams } = {
+    ...DEFAULT_PARAMS,
+    ...params,
+  };
+  const token = stakeToken || await Token.new();
+  const easyStaking = await EasyStaking.new();
+  await easyStaking.methods[INITIALIZE_METHOD](
+    owner,
+    token.address,
+    liquidityProvidersRewardAddress,
+    fee,
+    withdrawalLockDuration,
+    withdrawalUnlockDuration,
+    totalSupplyFactor,
+    sigmoidParams.a,
+    sigmoidParams.b,
+    sigmoidParams.c,
+    (await EasyStakingExtension.new()).address,
+    { from: owner }
+  );
+  await easyStaking.setPoolsExtension((await EasyStakingPools.new()).address, { from: owner });
+  if (!stakeToken) {
+    await token.initialize('Stake', 'STAKE', 18, 0, owner, [owner, easyStaking.address], [], easyStaking.address);
+  }
+  return { easyStaking, stakeToken: token };
+}
+
+module.exports = {
+  INITIALIZE_METHOD,
+  DEFAULT_PARAMS,
+  deployEasyStaking,
+};
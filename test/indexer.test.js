@@ -0,0 +1,199 @@
+const { ether, BN, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const indexer = require('../lib/indexer');
+const { deployEasyStaking } = require('./helpers/deploy');
+
+const Token = artifacts.require('ERC677Mock');
+
+contract('indexer', accounts => {
+  const [owner, user1, user2, user3, liquidityProvidersRewardAddress, pauseGuardian] = accounts;
+  const DAY = new BN(86400); // in seconds
+  const PARAM_UPDATE_DELAY = new BN(604800); // 7 days in seconds
+  const value = ether('1000');
+
+  let easyStaking;
+  let stakeToken;
+  let fromBlock;
+
+  beforeEach(async () => {
+    fromBlock = await web3.eth.getBlockNumber();
+    ({ easyStaking, stakeToken } = await deployEasyStaking({ owner, liquidityProvidersRewardAddress }));
+    await stakeToken.mint(owner, ether('1000000'), { from: owner });
+    await stakeToken.transfer(user1, value.muln(10), { from: owner });
+    await stakeToken.transfer(user2, value.muln(10), { from: owner });
+  });
+
+  function index(options, state) {
+    return indexer.indexEvents(web3, easyStaking.contract, { fromBlock, ...options }, state);
+  }
+
+  function getQueuedId(receipt) {
+    return receipt.logs.find(log => log.event === 'ParamChangeQueued').args.id;
+  }
+
+  async function expectSameState(state) {
+    for (const holder of [user1, user2, user3]) {
+      const lastId = await easyStaking.lastDepositIds(holder);
+      expect(state.lastDepositIds[holder.toLowerCase()] || new BN(0)).to.be.bignumber.equal(lastId);
+      for (let id = 1; id <= lastId.toNumber(); id++) {
+        const deposit = state.deposits[holder.toLowerCase()][id];
+        expect(deposit.balance).to.be.bignumber.equal(await easyStaking.balances(holder, id));
+        expect(deposit.depositDate).to.be.bignumber.equal(await easyStaking.depositDates(holder, id));
+        expect(deposit.withdrawalRequestDate).to.be.bignumber.equal(await easyStaking.withdrawalRequestsDates(holder, id));
+      }
+    }
+    expect(state.totalStaked).to.be.bignumber.equal(await easyStaking.totalStaked());
+    expect(state.liquidityProvidersReward).to.be.bignumber.equal(await easyStaking.liquidityProvidersReward());
+    const { emission, fees, claimed } = state.liquidityProvidersRewardTotals;
+    expect(emission.add(fees).sub(claimed)).to.be.bignumber.equal(state.liquidityProvidersReward);
+    expect(state.params.fee).to.be.bignumber.equal(await easyStaking.fee());
+    expect(state.params.withdrawalLockDuration).to.be.bignumber.equal(await easyStaking.withdrawalLockDuration());
+    expect(state.params.withdrawalUnlockDuration).to.be.bignumber.equal(await easyStaking.withdrawalUnlockDuration());
+    expect(state.params.totalSupplyFactor).to.be.bignumber.equal(await easyStaking.totalSupplyFactor());
+    expect(state.params.liquidityProvidersRewardAddress).to.equal(await easyStaking.liquidityProvidersRewardAddress());
+    expect(state.params.emissionCap || new BN(0)).to.be.bignumber.equal(await easyStaking.emissionCap());
+    expect(Boolean(state.params.rewardsFromReserve)).to.equal(await easyStaking.rewardsFromReserve());
+    const sigmoidParams = await easyStaking.getSigmoidParameters();
+    expect(state.params.sigmoidParameters.a).to.be.bignumber.equal(sigmoidParams.a);
+    expect(state.params.sigmoidParameters.b).to.be.bignumber.equal(sigmoidParams.b);
+    expect(state.params.sigmoidParameters.c).to.be.bignumber.equal(sigmoidParams.c);
+    for (let id = 0; id < state.paramChanges.length; id++) {
+      const change = await easyStaking.paramChanges(id);
+      expect(new BN(state.paramChanges[id].status)).to.be.bignumber.equal(change.status);
+      expect(state.paramChanges[id].activationTime).to.be.bignumber.equal(change.activationTime);
+    }
+    expect(state.pauseGuardian).to.equal(await easyStaking.pauseGuardian());
+    expect(state.paused).to.equal(await easyStaking.paused());
+    const now = await time.latest();
+    const pausedDuration = state.pauses.reduce((sum, { start, end }) => sum.add((end.isZero() ? now : end).sub(start)), new BN(0));
+    expect(await easyStaking.getPausedDuration(0, now)).to.be.bignumber.equal(pausedDuration);
+  }
+
+  it('should rebuild the state of the contract', async () => {
+    await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+    await stakeToken.transfer(easyStaking.address, value.divn(2), { from: user1 });
+    await stakeToken.transfer(easyStaking.address, value.muln(2), { from: user2 });
+    await time.increase(DAY.muln(30));
+    await stakeToken.approve(easyStaking.address, ether('100'), { from: user1 });
+    await easyStaking.methods['deposit(uint256,uint256)'](1, ether('100'), { from: user1 });
+    await easyStaking.requestWithdrawal(1, { from: user1 });
+    await easyStaking.makeForcedWithdrawal(1, ether('10'), { from: user1 });
+    await time.increase(3600);
+    await easyStaking.makeRequestedWithdrawal(1, ether('50'), { from: user1 });
+    await time.increase(DAY);
+    await easyStaking.claimEmission(1, { from: user2 });
+    await easyStaking.setCompounding(1, true, { from: user2 });
+    await easyStaking.grantOperator(user3, 1, 1, { from: user2 }); // the "Compound" permission
+    await time.increase(DAY);
+    await easyStaking.compound(user2, 1, { from: user3 });
+    await easyStaking.requestWithdrawal(2, { from: user1 });
+    await easyStaking.mergeDeposits(1, 2, { from: user1 });
+    await time.increase(DAY);
+    await easyStaking.splitDeposit(1, ether('200'), { from: user1 });
+    await easyStaking.transferDeposit(3, user3, { from: user1 });
+    await easyStaking.requestWithdrawal(1, { from: user3 });
+    await easyStaking.makeForcedWithdrawal(1, 0, { from: user3 });
+    await easyStaking.claimLiquidityProvidersReward();
+    const feeChangeId = getQueuedId(await easyStaking.setFee(ether('0.05'), { from: owner }));
+    const capChangeId = getQueuedId(await easyStaking.setEmissionCap(ether('1000000'), { from: owner }));
+    await easyStaking.setSigmoidParameters(ether('0.05'), DAY, 999999, { from: owner });
+    await time.increase(PARAM_UPDATE_DELAY);
+    await easyStaking.applyParamChange(feeChangeId);
+    await easyStaking.cancelParamChange(capChangeId, { from: owner });
+    await easyStaking.setPauseGuardian(pauseGuardian, { from: owner });
+    await easyStaking.setPaused(true, { from: pauseGuardian });
+    await time.increase(DAY);
+    await easyStaking.makeForcedWithdrawal(1, ether('100'), { from: user2 });
+    await easyStaking.setPaused(false, { from: pauseGuardian });
+    await easyStaking.makeForcedWithdrawal(1, ether('100'), { from: user1 });
+    await stakeToken.transfer(easyStaking.address, value, { from: user2 });
+    await easyStaking.makeForcedWithdrawals([1, 2], [ether('1'), ether('2')], { from: user2 });
+    await stakeToken.mint(easyStaking.address, ether('1'), { from: owner });
+    const state = await index();
+    await expectSameState(state);
+    expect(state.liquidityProvidersRewardTotals.claimed).to.be.bignumber.gt(new BN(0));
+    expect(state.paramChanges[feeChangeId].value).to.be.bignumber.equal(ether('0.05'));
+    expect(state.paramChanges[capChangeId].status).to.equal(indexer.ParamChangeStatus.Cancelled);
+    expect(state.paramChanges[capChangeId.addn(1)].status).to.equal(indexer.ParamChangeStatus.Queued);
+    expect(state.paramChanges[capChangeId.addn(1)].value.b).to.be.bignumber.equal(DAY);
+    expect(state.paramHistory.fee.map(item => item.value.toString())).to.deep.equal([
+      ether('0.03').toString(),
+      ether('0.05').toString(),
+    ]);
+  });
+  it('should rebuild the Liquidity Providers reward paid from the reserve', async () => {
+    const changeId = getQueuedId(await easyStaking.setRewardsFromReserve(true, { from: owner }));
+    await time.increase(PARAM_UPDATE_DELAY);
+    await easyStaking.applyParamChange(changeId);
+    await stakeToken.approve(easyStaking.address, value, { from: user2 });
+    await easyStaking.fundRewardReserve(value, { from: user2 });
+    await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+    await time.increase(DAY.muln(30));
+    await easyStaking.splitDeposit(1, ether('100'), { from: user1 });
+    await time.increase(DAY);
+    await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+    const state = await index();
+    await expectSameState(state);
+    expect(state.rewardReserveFunded).to.be.bignumber.equal(value);
+    expect(state.liquidityProvidersRewardTotals.emission).to.be.bignumber.gt(new BN(0));
+  });
+  it('should rebuild the Liquidity Providers reward of the pools', async () => {
+    const lpToken = await Token.new();
+    await lpToken.initialize('LP', 'LP', 18, 0, owner, [owner], [], owner);
+    await lpToken.mint(user1, value, { from: owner });
+    await easyStaking.addPool(lpToken.address, ether('0.05'), 3600, 3600, ether('1'), ether('0.05'), 0, 10000000000000, {
+      from: owner,
+    });
+    await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+    await lpToken.approve(easyStaking.address, value, { from: user1 });
+    await easyStaking.depositToPool(1, 0, value, { from: user1 });
+    await time.increase(DAY.muln(30));
+    await easyStaking.makeForcedPoolWithdrawal(1, 1, 0, { from: user1 });
+    const { logs } = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+    const state = await index();
+    await expectSameState(state);
+    // the fee of the pool is kept in its token, so only the fee of the STAKE pool is a part of the reward
+    const { fee } = logs.find(log => log.event === 'Withdrawn').args;
+    expect(state.liquidityProvidersRewardTotals.fees).to.be.bignumber.equal(fee);
+  });
+  it('should only use the events', async () => {
+    const changeId = getQueuedId(await easyStaking.setRewardsFromReserve(true, { from: owner }));
+    await time.increase(PARAM_UPDATE_DELAY);
+    await easyStaking.applyParamChange(changeId);
+    await stakeToken.approve(easyStaking.address, value, { from: user2 });
+    await easyStaking.fundRewardReserve(value, { from: user2 });
+    await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+    await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+    await time.increase(DAY.muln(30));
+    await easyStaking.requestWithdrawal(1, { from: user1 });
+    await easyStaking.splitDeposit(1, ether('100'), { from: user1 });
+    await easyStaking.mergeDeposits(2, 3, { from: user1 });
+    await time.increase(DAY);
+    await easyStaking.makeForcedWithdrawal(1, ether('10'), { from: user1 });
+    // the contract can only be asked for its events
+    const contract = {
+      options: easyStaking.contract.options,
+      getPastEvents: (...args) => easyStaking.contract.getPastEvents(...args),
+    };
+    const events = await contract.getPastEvents('allEvents', { fromBlock, toBlock: 'latest' });
+    const state = indexer.createState();
+    for (const event of events) {
+      event.timestamp = (await web3.eth.getBlock(event.blockNumber)).timestamp;
+      indexer.applyEvent(state, event);
+      expect(state.liquidityProvidersRewardTotals.emission).to.be.bignumber.gte(new BN(0));
+    }
+    await expectSameState(state);
+    expect(JSON.stringify(state)).to.equal(JSON.stringify(await indexer.indexEvents(web3, contract, { fromBlock })));
+  });
+  it('should continue from the previous state', async () => {
+    await stakeToken.transfer(easyStaking.address, value, { from: user1 });
+    await time.increase(DAY);
+    const toBlock = await web3.eth.getBlockNumber();
+    const previous = await index({ toBlock });
+    await easyStaking.makeForcedWithdrawal(1, ether('100'), { from: user1 });
+    await stakeToken.transfer(easyStaking.address, value, { from: user2 });
+    const state = await index({ fromBlock: toBlock + 1 }, previous);
+    await expectSameState(state);
+    expect(JSON.stringify(state)).to.equal(JSON.stringify(await index()));
+  });
+});
@@ -0,0 +1,160 @@
+const { ether, BN, time } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const emission = require('../lib/emission');
+const simulation = require('../lib/simulation');
+const { deployEasyStaking } = require('./helpers/deploy');
+
+
+contract('simulation', accounts => {
+  const [owner, user1, user2, liquidityProvidersRewardAddress] = accounts;
+  const DAY = new BN(86400); // in seconds
+  const sigmoidParams = { a: ether('0.05'), b: DAY, c: new BN(10000000000000) };
+  const totalSupplyFactor = ether('0.5');
+  const totalSupply = ether('8537500');
+
+  describe('simulate', () => {
+    const trajectory = [
+      { time: 0, totalStaked: ether('1500000') },
+      { time: DAY.muln(30), totalStaked: ether('3000000') },
+    ];
+
+    it('should calculate the rates and shares', () => {
+      const times = [0, DAY, DAY.muln(30), DAY.muln(60)];
+      const rows = simulation.simulate({ sigmoidParams, totalSupplyFactor, totalSupply, trajectory, times, amount: ether('1000') });
+      expect(rows.length).to.equal(4);
+      const rate1 = emission.getSupplyBasedEmissionRate(totalSupply, ether('1500000'), totalSupplyFactor);
+      const rate2 = emission.getSupplyBasedEmissionRate(totalSupply, ether('3000000'), totalSupplyFactor);
+      expect(rows[0].personalRate).to.be.bignumber.equal(new BN(0));
+      expect(rows[0].averageSupplyBasedRate).to.be.bignumber.equal(rate1);
+      expect(rows[0].total).to.be.bignumber.equal(new BN(0));
+      expect(rows[1].personalRate).to.be.bignumber.equal(new BN(0)); // the sigmoid starts after parameter B
+      expect(rows[2].personalRate).to.be.bignumber.equal(emission.calculateSigmoid(sigmoidParams, DAY.muln(30)));
+      expect(rows[2].supplyBasedRate).to.be.bignumber.equal(rate2);
+      expect(rows[2].averageSupplyBasedRate).to.be.bignumber.equal(rate1);
+      expect(rows[3].averageSupplyBasedRate).to.be.bignumber.equal(rate1.add(rate2).divn(2));
+      rows.forEach(row => {
+        expect(row.userRate).to.be.bignumber.equal(row.personalRate.add(row.averageSupplyBasedRate));
+        expect(row.userRate.add(row.liquidityProvidersRate)).to.be.bignumber.equal(emission.MAX_EMISSION_RATE);
+        expect(row.userShare.add(row.liquidityProvidersShare)).to.be.bignumber.equal(row.total);
+      });
+      const { total, userShare } = emission.getAccruedEmission({
+        sigmoidParams,
+        supplyBasedEmissionRate: rows[3].averageSupplyBasedRate,
+      }, 1, ether('1000'), DAY.muln(60).addn(1));
+      expect(rows[3].total).to.be.bignumber.equal(total);
+      expect(rows[3].userShare).to.be.bignumber.equal(userShare);
+    });
+    it('should use the times of the trajectory and its total supply', () => {
+      const rows = simulation.simulate({
+        sigmoidParams,
+        totalSupplyFactor,
+        totalSupply,
+        trajectory: trajectory.concat({ time: DAY.muln(40), totalStaked: ether('3000000'), totalSupply: ether('6000000') }),
+      });
+      expect(rows.map(row => row.time.toString())).to.deep.equal(['0', DAY.muln(30).toString(), DAY.muln(40).toString()]);
+      expect(rows[2].totalSupply).to.be.bignumber.equal(ether('6000000'));
+      expect(rows[2].supplyBasedRate).to.be.bignumber.equal(emission.MAX_EMISSION_RATE.divn(2));
+    });
+    it('fails for a wrong trajectory', () => {
+      expect(() => simulation.simulate({ sigmoidParams, totalSupplyFactor, totalSupply, trajectory: trajectory.slice(1) }))
+        .to.throw('the trajectory should start at 0');
+      expect(() => simulation.simulate({ sigmoidParams, totalSupplyFactor, totalSupply, trajectory: trajectory.concat(trajectory[1]) }))
+        .to.throw('the trajectory should be sorted by time');
+    });
+  });
+
+  describe('toCSV and toJSON', () => {
+    it('should format the table', () => {
+      const rows = simulation.simulate({
+        sigmoidParams,
+        totalSupplyFactor: ether('1'),
+        totalSupply: ether('100'),
+        trajectory: [{ time: 0, totalStaked: ether('25') }],
+      });
+      expect(simulation.toCSV(rows)).to.equal([
+        simulation.COLUMNS.join(','),
+        `0,${ether('100')},${ether('25')},0,${ether('0.01875')},${ether('0.01875')},${ether('0.01875')},${ether('0.13125')},0,0,0`,
+      ].join('\n'));
+      expect(simulation.toCSV(rows, true).split('\n')[1]).to.equal('0,100,25,0,0.01875,0.01875,0.01875,0.13125,0,0,0');
+      const json = JSON.parse(simulation.toJSON(rows, true));
+      expect(json).to.deep.equal([{
+        time: '0',
+        totalSupply: '100',
+        totalStaked: '25',
+        personalRate: '0',
+        supplyBasedRate: '0.01875',
+        averageSupplyBasedRate: '0.01875',
+        userRate: '0.01875',
+        liquidityProvidersRate: '0.13125',
+        total: '0',
+        userShare: '0',
+        liquidityProvidersShare: '0',
+      }]);
+      expect(simulation.formatFixedPoint(ether('1.5'))).to.equal('1.5');
+    });
+  });
+
+  describe('compared with EasyStaking', () => {
+    let easyStaking;
+    let stakeToken;
+
+    beforeEach(async () => {
+      ({ easyStaking, stakeToken } = await deployEasyStaking({
+        owner,
+        liquidityProvidersRewardAddress,
+        params: { totalSupplyFactor, sigmoidParams },
+      }));
+      await stakeToken.mint(owner, totalSupply, { from: owner });
+      await stakeToken.transfer(user1, ether('1000'), { from: owner });
+      await stakeToken.transfer(user2, ether('3000000'), { from: owner });
+    });
+
+    it('should match the emission of a deposit', async () => {
+      const trajectory = [];
+      let depositDate;
+      async function addPoint(receipt) {
+        const { timestamp } = await web3.eth.getBlock(receipt.receipt.blockNumber);
+        if (!depositDate) depositDate = new BN(timestamp);
+        trajectory.push({
+          time: new BN(timestamp).sub(depositDate),
+          totalStaked: await easyStaking.totalStaked(),
+          totalSupply: await stakeToken.totalSupply(),
+        });
+      }
+
+      await addPoint(await stakeToken.transfer(easyStaking.address, ether('1000'), { from: user1 }));
+      await time.increase(DAY.muln(10));
+      await addPoint(await stakeToken.transfer(easyStaking.address, ether('1500000'), { from: user2 }));
+      await time.increase(DAY.muln(20));
+      await addPoint(await easyStaking.makeForcedWithdrawal(1, ether('500000'), { from: user2 }));
+      await time.increase(DAY.muln(5));
+      await time.advanceBlock();
+      const now = await time.latest();
+
+      let [row] = simulation.simulate({ sigmoidParams, totalSupplyFactor, trajectory, times: [now.sub(depositDate)], amount: ether('1000') });
+      expect(row.personalRate).to.be.bignumber.equal(await easyStaking.getTimeBasedEmissionRate(now.sub(depositDate)));
+      expect(row.supplyBasedRate).to.be.bignumber.equal(await easyStaking.getSupplyBasedEmissionRate());
+      expect(row.averageSupplyBasedRate).to.be.bignumber.equal(await easyStaking.getAverageSupplyBasedEmissionRate(user1, 1));
+      expect(row.averageSupplyBasedRate).to.be.bignumber.gt(trajectory.map(point => emission.getSupplyBasedEmissionRate(
+        point.totalSupply,
+        point.totalStaked,
+        totalSupplyFactor
+      )).reduce((min, rate) => BN.min(min, rate)));
+
+      const liquidityProvidersReward = await easyStaking.liquidityProvidersReward();
+      const withdrawal = await easyStaking.makeForcedWithdrawal(1, 0, { from: user1 });
+      const { timestamp } = await web3.eth.getBlock(withdrawal.receipt.blockNumber);
+      [row] = simulation.simulate({
+        sigmoidParams,
+        totalSupplyFactor,
+        trajectory,
+        times: [new BN(timestamp).sub(depositDate)],
+        amount: ether('1000'),
+      });
+      const { args } = withdrawal.logs.find(log => log.event === 'Withdrawn');
+      expect(args.accruedEmission).to.be.bignumber.equal(row.userShare);
+      const liquidityProvidersShare = (await easyStaking.liquidityProvidersReward()).sub(liquidityProvidersReward).sub(args.fee);
+      expect(liquidityProvidersShare).to.be.bignumber.equal(row.liquidityProvidersShare);
+    });
+  });
+});